@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSseClient } from './index';
+import { disposeSymbol, asyncDisposeSymbol } from './dispose';
+
+// An EventSource stand-in that records every instance and whether it was closed
+class FakeEventSource {
+  static instances: FakeEventSource[] = [];
+
+  onopen: (() => void) | null = null;
+  onmessage: ((event: MessageEvent) => void) | null = null;
+  onerror: (() => void) | null = null;
+  closed = false;
+
+  constructor(public url: string) {
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(): void {}
+
+  removeEventListener(): void {}
+
+  close(): void {
+    this.closed = true;
+  }
+}
+
+describe('createSseClient', () => {
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    vi.stubGlobal('EventSource', FakeEventSource);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('should close the connection and complete events on asyncDispose', async () => {
+    vi.useFakeTimers();
+    const client = createSseClient('http://test/events', { reconnectDelay: 100 });
+    const [source] = FakeEventSource.instances;
+    const complete = vi.fn();
+    client.events.subscribe({ next: () => {}, complete });
+    // A pending reconnection is cancelled along with the connection
+    source.onerror?.();
+
+    await client[asyncDisposeSymbol]();
+    vi.advanceTimersByTime(100);
+
+    expect(source.closed).toBe(true);
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(() => client.source).toThrow('SSE connection is closed');
+  });
+
+  it('should close the connection and complete events on dispose', () => {
+    const client = createSseClient('http://test/events');
+    const [source] = FakeEventSource.instances;
+    const complete = vi.fn();
+    client.events.subscribe({ next: () => {}, complete });
+
+    client[disposeSymbol]();
+
+    expect(source.closed).toBe(true);
+    expect(complete).toHaveBeenCalledTimes(1);
+  });
+});
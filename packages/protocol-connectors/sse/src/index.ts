@@ -10,6 +10,7 @@ import type {
   NodeResponse,
   SseEventSource
 } from './types';
+import { disposeSymbol, asyncDisposeSymbol } from './dispose';
 
 // Declare global EventSource for browser environments
 declare global {
@@ -166,6 +167,15 @@ export function createSseClient(
     },
     close,
     reconnect,
+    // `using` declarations close the connection and complete the event stream
+    [disposeSymbol]: () => {
+      close();
+      events.complete();
+    },
+    [asyncDisposeSymbol]: async () => {
+      close();
+      events.complete();
+    },
   };
   
   return client;
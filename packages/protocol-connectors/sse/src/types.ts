@@ -1,4 +1,5 @@
 import { EventStream } from '../../../core/dist/event-stream.js';
+import { disposeSymbol, asyncDisposeSymbol } from './dispose';
 
 // Node.js compatible request/response interfaces
 export interface NodeRequest {
@@ -126,6 +127,16 @@ export interface SseClient {
    * Reconnect to the server
    */
   reconnect(): void;
+
+  /**
+   * Close the connection and complete the event stream at the end of a `using` block
+   */
+  [disposeSymbol](): void;
+
+  /**
+   * Close the connection and complete the event stream at the end of an `await using` block
+   */
+  [asyncDisposeSymbol](): Promise<void>;
 }
 
 /**
@@ -0,0 +1,35 @@
+// Shared helpers for the tests in src
+
+// Let pending reactions run
+export const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Reads every value of an iterable into an array
+export async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+// An async source over the values that records how far it was read and whether it was stopped
+export function trackedSource(values) {
+  const state = { pulled: 0, returned: false };
+  state.iterable = {
+    [Symbol.asyncIterator]() {
+      let index = 0;
+      return {
+        next: async () => {
+          if (index >= values.length) return { done: true, value: undefined };
+          state.pulled++;
+          return { value: values[index++], done: false };
+        },
+        return: async () => {
+          state.returned = true;
+          return { done: true, value: undefined };
+        }
+      };
+    }
+  };
+  return state;
+}
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { withQueue } from '../withQueue.js';
+import { fromEventEmitter } from '../sources/fromEventEmitter.js';
+import { ValidationError } from '../errors.js';
+import { flush, trackedSource } from './utils.js';
+
+describe('withQueue', () => {
+  it('should validate the overflow policy', () => {
+    expect(() => withQueue({ onOverflow: 'wait' })).toThrow(ValidationError);
+  });
+
+  it('should pass every value through without a limit', async () => {
+    const values = [];
+    for await (const value of withQueue()([1, 2, 3])) {
+      values.push(value);
+    }
+    expect(values).toEqual([1, 2, 3]);
+  });
+
+  describe("'block' policy", () => {
+    it('should stop pulling the source while the queue is full', async () => {
+      const source = trackedSource([1, 2, 3, 4, 5, 6]);
+      const iterator = withQueue({ queueLimit: 2, onOverflow: 'block' })(source.iterable);
+
+      await flush();
+      expect(source.pulled).toBe(2);
+
+      expect(await iterator.next()).toEqual({ value: 1, done: false });
+      await flush();
+      expect(source.pulled).toBe(3);
+
+      await iterator.return();
+    });
+
+    it('should deliver every value without loss', async () => {
+      const source = trackedSource([1, 2, 3, 4, 5, 6]);
+      const values = [];
+
+      for await (const value of withQueue({ queueLimit: 1, onOverflow: 'block' })(source.iterable)) {
+        values.push(value);
+        await flush();
+      }
+
+      expect(values).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+  });
+
+  describe('watermarks', () => {
+    it('should stop pulling at highWaterMark and resume at lowWaterMark', async () => {
+      const source = trackedSource([1, 2, 3, 4, 5, 6]);
+      const onPause = vi.fn();
+      const onResume = vi.fn();
+      const iterator = withQueue({ highWaterMark: 3, lowWaterMark: 1, onPause, onResume })(source.iterable);
+
+      await flush();
+      expect(source.pulled).toBe(3);
+      expect(onPause).toHaveBeenCalledTimes(1);
+
+      await iterator.next();
+      await flush();
+      expect(source.pulled).toBe(3);
+
+      await iterator.next();
+      expect(onResume).toHaveBeenCalledTimes(1);
+      await flush();
+      expect(source.pulled).toBeGreaterThan(3);
+
+      await iterator.return();
+    });
+
+    it('should call onResume when returned while paused', async () => {
+      const source = trackedSource([1, 2, 3]);
+      const onResume = vi.fn();
+      const iterator = withQueue({ highWaterMark: 2, onResume })(source.iterable);
+
+      await flush();
+      await iterator.return();
+
+      expect(onResume).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('priority mode', () => {
+    it('should serve buffered values by priority', async () => {
+      const source = trackedSource([1, 9, 3, 7]);
+      const iterator = withQueue({ priority: (value) => value })(source.iterable);
+
+      await flush();
+      const values = [];
+      for await (const value of iterator) {
+        values.push(value);
+      }
+
+      expect(values).toEqual([9, 7, 3, 1]);
+    });
+
+    it('should evict the lowest priority value when the queue is full', async () => {
+      const source = trackedSource([5, 1, 8, 2]);
+      const iterator = withQueue({ priority: (value) => value, queueLimit: 2, onOverflow: 'drop-old' })(source.iterable);
+
+      await flush();
+      const values = [];
+      for await (const value of iterator) {
+        values.push(value);
+      }
+
+      expect(values).toEqual([8, 5]);
+    });
+  });
+
+  describe('stopping the source', () => {
+    it('should detach an idle emitter source on asyncDispose', async () => {
+      const emitter = new EventEmitter();
+      const iterable = withQueue()(fromEventEmitter(emitter, 'data'));
+      await flush();
+      expect(emitter.listenerCount('data')).toBe(1);
+
+      await iterable[Symbol.asyncDispose]();
+
+      expect(emitter.listenerCount('data')).toBe(0);
+    });
+
+    it('should detach an idle emitter source on synchronous dispose', async () => {
+      const emitter = new EventEmitter();
+      const iterable = withQueue()(fromEventEmitter(emitter, 'data'));
+      await flush();
+
+      iterable[Symbol.dispose]();
+      await flush();
+
+      expect(emitter.listenerCount('data')).toBe(0);
+    });
+
+    it('should detach an emitter source when the consumer breaks out', async () => {
+      const emitter = new EventEmitter();
+      const iterable = withQueue()(fromEventEmitter(emitter, 'data'));
+      setTimeout(() => emitter.emit('data', 1), 0);
+
+      for await (const value of iterable) {
+        expect(value).toBe(1);
+        break;
+      }
+
+      expect(emitter.listenerCount('data')).toBe(0);
+    });
+
+    it('should detach an emitter source when the signal aborts', async () => {
+      const emitter = new EventEmitter();
+      const controller = new AbortController();
+      const iterator = withQueue({ signal: controller.signal })(fromEventEmitter(emitter, 'data'));
+      await flush();
+
+      controller.abort();
+
+      expect(emitter.listenerCount('data')).toBe(0);
+      await expect(iterator.next()).rejects.toThrow('Operation was aborted');
+    });
+
+    it('should stop the source when the queue overflows', async () => {
+      const emitter = new EventEmitter();
+      const iterator = withQueue({ queueLimit: 1 })(fromEventEmitter(emitter, 'data'));
+      await flush();
+
+      emitter.emit('data', 1);
+      emitter.emit('data', 2);
+      await flush();
+
+      expect(emitter.listenerCount('data')).toBe(0);
+      await expect(iterator.next()).rejects.toThrow('Queue overflow');
+    });
+  });
+});
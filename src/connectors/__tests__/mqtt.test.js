@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { createMqttClient } from '../mqtt.js';
+
+// A broker connection stand-in recording subscriptions and whether it was ended
+function fakeConnection() {
+  const connection = new EventEmitter();
+  connection.subscribed = [];
+  connection.ended = false;
+  connection.subscribe = async (topic) => {
+    connection.subscribed.push(topic);
+  };
+  connection.unsubscribe = async (topic) => {
+    connection.subscribed = connection.subscribed.filter((name) => name !== topic);
+  };
+  connection.end = (force, options, callback) => {
+    connection.ended = true;
+    callback();
+  };
+  return connection;
+}
+
+const connections = [];
+
+vi.mock('../mqtt/node.js', () => ({
+  connect: async () => {
+    const connection = fakeConnection();
+    connections.push(connection);
+    return connection;
+  }
+}));
+
+describe('createMqttClient', () => {
+  it('should end topic streams and the connection on asyncDispose', async () => {
+    const client = await createMqttClient({ url: 'mqtt://test' });
+    const connection = connections.at(-1);
+    const messages = await client.subscribe('news');
+    const iterator = messages[Symbol.asyncIterator]();
+
+    connection.emit('message', 'news', Buffer.from('hello'));
+    expect(await iterator.next()).toEqual({ value: { topic: 'news', message: 'hello' }, done: false });
+
+    await client[Symbol.asyncDispose]();
+
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    expect(connection.subscribed).toEqual([]);
+    expect(connection.ended).toBe(true);
+    expect(client.connected).toBe(false);
+  });
+
+  it('should start closing the connection on dispose', async () => {
+    const client = await createMqttClient({ url: 'mqtt://test' });
+    const connection = connections.at(-1);
+
+    client[Symbol.dispose]();
+    await vi.waitFor(() => expect(connection.ended).toBe(true));
+
+    expect(client.connected).toBe(false);
+  });
+});
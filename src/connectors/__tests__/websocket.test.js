@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createWebSocketClient } from '../websocket.js';
+import { VirtualTimeScheduler } from '../../core/scheduler.js';
+
+// A WebSocket stand-in that the test opens, feeds and closes by hand
+class FakeWebSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(data) {
+    this.onmessage?.({ data });
+  }
+}
+
+describe('createWebSocketClient', () => {
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should ignore messages that arrive after close', async () => {
+    const client = createWebSocketClient('ws://test');
+    const [socket] = FakeWebSocket.instances;
+    const received = [];
+    client.messages.subscribe((data) => received.push(data));
+    socket.open();
+
+    socket.receive('a');
+    client.close();
+    expect(() => socket.receive('b')).not.toThrow();
+
+    const values = [];
+    for await (const value of client.messages) {
+      values.push(value);
+    }
+    expect(values).toEqual(['a']);
+    expect(received).toEqual(['a']);
+  });
+
+  it('should close the socket and end the message stream on asyncDispose', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const client = createWebSocketClient('ws://test', { scheduler });
+    const [socket] = FakeWebSocket.instances;
+    socket.open();
+    socket.receive('a');
+
+    await client[Symbol.asyncDispose]();
+    await scheduler.runAll();
+
+    expect(socket.readyState).toBe(3);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    const values = [];
+    for await (const value of client.messages) {
+      values.push(value);
+    }
+    expect(values).toEqual(['a']);
+  });
+});
@@ -1,5 +1,6 @@
 import { EventEmitter } from 'events';
 import { createAsyncQueue } from '../core/asyncQueue.js';
+import { asyncDisposeSymbol, disposeSymbol } from '../utils/dispose.js';
 
 // Use dynamic imports for platform-specific implementations
 let mqttImplementation;
@@ -18,7 +19,8 @@ if (typeof window !== 'undefined') {
  * @param {string} options.url - MQTT broker URL (e.g., 'mqtt://test.mosquitto.org' or 'ws://test.mosquitto.org:8080')
  * @param {Object} [options.mqttOptions] - MQTT client options
  * @param {AbortSignal} [options.signal] - Optional AbortSignal to close the connection
- * @returns {Promise<MqttClient>} A promise that resolves to an MQTT client instance
+ * @returns {Promise<MqttClient>} A promise that resolves to an MQTT client instance, disposable with
+ *   `using`/`await using`
  */
 export async function createMqttClient({ url, mqttOptions = {}, signal }) {
   const client = new MqttClient(url, mqttOptions);
@@ -111,6 +113,7 @@ class MqttClient extends EventEmitter {
       close: () => {
         this.topics.delete(topic);
         this.client?.unsubscribe(topic);
+        queue.end();
       }
     };
     
@@ -121,7 +124,7 @@ class MqttClient extends EventEmitter {
     // Create an async iterable with cleanup
     const asyncIterator = (async function*() {
       try {
-        for await (const message of queue.iterator) {
+        for await (const message of queue) {
           yield message;
         }
       } finally {
@@ -195,6 +198,21 @@ class MqttClient extends EventEmitter {
     this.client = null;
     this.connected = false;
   }
+
+  /**
+   * Close the connection at the end of an `await using` block
+   * @returns {Promise<void>}
+   */
+  async [asyncDisposeSymbol]() {
+    await this.close();
+  }
+
+  /**
+   * Start closing the connection at the end of a `using` block
+   */
+  [disposeSymbol]() {
+    this.close().catch(() => {});
+  }
 }
 
 export default createMqttClient;
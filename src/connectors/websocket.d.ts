@@ -20,12 +20,27 @@ declare module './websocket' {
     
     /** AbortSignal to close the connection */
     signal?: AbortSignal;
+
+    /** Unread message count at which the socket is paused (0 disables flow control) */
+    highWaterMark?: number;
+
+    /** Unread message count at or below which the socket is resumed */
+    lowWaterMark?: number;
+
+    /** Called when unread messages reach highWaterMark */
+    onPause?: () => void;
+
+    /** Called when unread messages drain back to lowWaterMark */
+    onResume?: () => void;
+
+    /** Scheduler providing the reconnect timers (defaults to the platform timers) */
+    scheduler?: import('../index').Scheduler;
   }
 
   /**
-   * WebSocket client interface
+   * WebSocket client interface. Disposing it (`using`/`await using`) closes the connection.
    */
-  export interface WebSocketClient {
+  export interface WebSocketClient extends import('../index').Disposer {
     /**
      * Send data through the WebSocket
      * @param data - Data to send (string, ArrayBuffer, or Blob)
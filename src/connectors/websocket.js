@@ -7,6 +7,8 @@
 
 import { createAsyncQueue } from '../core/asyncQueue.js';
 import { AbortError } from '../errors.js';
+import { resolveScheduler } from '../core/scheduler.js';
+import { addDisposers } from '../utils/dispose.js';
 
 /**
  * Creates a WebSocket client that connects to a WebSocket server
@@ -16,21 +18,50 @@ import { AbortError } from '../errors.js';
  * @param {number} [options.maxReconnectAttempts=5] - Maximum number of reconnection attempts (0 for unlimited)
  * @param {boolean} [options.binaryType='blob'] - Binary type ('blob' or 'arraybuffer')
  * @param {AbortSignal} [options.signal] - AbortSignal to close the connection
- * @returns {Object} - Object with send method and async iterable for receiving messages
+ * @param {number} [options.highWaterMark=0] - Unread message count at which the socket is paused (0 = disabled)
+ * @param {number} [options.lowWaterMark=0] - Unread message count at or below which the socket is resumed
+ * @param {Function} [options.onPause] - Called when unread messages reach highWaterMark. Sockets with
+ *   pause()/resume() methods (e.g. the `ws` package) are paused automatically; browser sockets are not.
+ * @param {Function} [options.onResume] - Called when unread messages drain back to lowWaterMark
+ * @param {Object} [options.scheduler] - Scheduler providing the reconnect timers (see VirtualTimeScheduler)
+ * @returns {Object} - Object with send method and async iterable for receiving messages, disposable
+ *   with `using`/`await using`
  */
 export function createWebSocketClient(url, {
   reconnectDelay = 1000,
   maxReconnectAttempts = 5,
   binaryType = 'blob',
-  signal
+  signal,
+  highWaterMark = 0,
+  lowWaterMark = 0,
+  onPause,
+  onResume,
+  scheduler
 } = {}) {
+  const timers = resolveScheduler(scheduler);
   let socket;
   let reconnectAttempts = 0;
   let reconnectTimeout;
-  const queue = createAsyncQueue();
+  let isPaused = false;
+  const queue = createAsyncQueue({
+    highWaterMark,
+    lowWaterMark,
+    onPause: () => {
+      isPaused = true;
+      socket?.pause?.();
+      onPause?.();
+    },
+    onResume: () => {
+      isPaused = false;
+      socket?.resume?.();
+      onResume?.();
+    }
+  });
   const messageQueue = [];
   const subscribers = new Set();
   let isConnected = false;
+  // Set once the client is closed on purpose, so the socket is not reconnected
+  let isClosed = false;
 
   const connect = async () => {
     if (signal?.aborted) {
@@ -46,6 +77,10 @@ export function createWebSocketClient(url, {
         socket.onopen = () => {
           isConnected = true;
           reconnectAttempts = 0;
+          // Keep a reconnected socket paused until the consumer catches up
+          if (isPaused) {
+            socket.pause?.();
+          }
           // Process any queued messages
           while (messageQueue.length > 0 && isConnected) {
             const message = messageQueue.shift();
@@ -55,6 +90,9 @@ export function createWebSocketClient(url, {
         };
 
         socket.onmessage = (event) => {
+          // The message stream has ended; a message still in flight is dropped
+          if (isClosed) return;
+
           queue.enqueue(event.data);
           // Notify all subscribers
           for (const subscriber of subscribers) {
@@ -75,17 +113,17 @@ export function createWebSocketClient(url, {
 
         socket.onclose = () => {
           isConnected = false;
-          if (signal?.aborted) {
-            queue.close();
+          if (isClosed || signal?.aborted) {
+            queue.end();
             return;
           }
           
           if (maxReconnectAttempts === 0 || reconnectAttempts < maxReconnectAttempts) {
             reconnectAttempts++;
             console.log(`Attempting to reconnect (${reconnectAttempts}/${maxReconnectAttempts || '∞'})...`);
-            reconnectTimeout = setTimeout(connect, reconnectDelay);
+            reconnectTimeout = timers.setTimeout(connect, reconnectDelay);
           } else {
-            queue.close(new Error('Max reconnection attempts reached'));
+            queue.end(new Error('Max reconnection attempts reached'));
           }
         };
       } catch (err) {
@@ -97,21 +135,22 @@ export function createWebSocketClient(url, {
   // Handle abort signal
   if (signal) {
     signal.addEventListener('abort', () => {
-      if (reconnectTimeout) clearTimeout(reconnectTimeout);
+      isClosed = true;
+      if (reconnectTimeout) timers.clearTimeout(reconnectTimeout);
       if (socket) {
         socket.close();
       }
-      queue.close(new AbortError('Connection aborted'));
+      queue.end(new AbortError('Connection aborted'));
     });
   }
 
   // Start connection
   connect().catch(err => {
     console.error('WebSocket connection failed:', err);
-    queue.close(err);
+    queue.end(err);
   });
 
-  return {
+  const client = {
     /**
      * Send data through the WebSocket
      * @param {string|ArrayBuffer|Blob} data - Data to send
@@ -150,11 +189,12 @@ export function createWebSocketClient(url, {
      * @param {string} [reason] - Close reason
      */
     close: (code, reason) => {
-      if (reconnectTimeout) clearTimeout(reconnectTimeout);
+      isClosed = true;
+      if (reconnectTimeout) timers.clearTimeout(reconnectTimeout);
       if (socket) {
         socket.close(code, reason);
       }
-      queue.close();
+      queue.end();
     },
 
     /**
@@ -168,11 +208,14 @@ export function createWebSocketClient(url, {
      * Reconnect the WebSocket
      */
     reconnect: () => {
-      if (reconnectTimeout) clearTimeout(reconnectTimeout);
+      if (reconnectTimeout) timers.clearTimeout(reconnectTimeout);
       if (socket) socket.close();
       return connect();
     }
   };
+
+  // `using` declarations close the socket and end the message stream on disposal
+  return addDisposers(client, () => client.close());
 }
 
 // Export for Node.js environment
@@ -6,7 +6,29 @@
 export const QUEUE_POLICIES = Object.freeze({
   DROP_OLD: 'drop-old',
   DROP_NEW: 'drop-new',
-  THROW: 'throw'
+  THROW: 'throw',
+  BLOCK: 'block'
+});
+
+// Retry backoff strategies
+export const BACKOFF_STRATEGIES = Object.freeze({
+  FIXED: 'fixed',
+  EXPONENTIAL: 'exponential',
+  DECORRELATED_JITTER: 'decorrelated-jitter'
+});
+
+// Timeout operator modes
+export const TIMEOUT_MODES = Object.freeze({
+  FIRST: 'first',
+  EACH: 'each',
+  TOTAL: 'total'
+});
+
+// Error handling modes for merge and mergeAll
+export const MERGE_ERROR_MODES = Object.freeze({
+  FAIL_FAST: 'failFast',
+  COLLECT: 'collect',
+  IGNORE: 'ignore'
 });
 
 // Error messages
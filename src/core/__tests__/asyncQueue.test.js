@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createAsyncQueue } from '../asyncQueue.js';
+import { QueueOverflowError, ValidationError, AbortError } from '../../errors.js';
+
+describe('createAsyncQueue', () => {
+  it('should validate onOverflow', () => {
+    expect(() => createAsyncQueue({ onOverflow: 'wait' })).toThrow(ValidationError);
+  });
+
+  it('should throw QueueOverflowError on a full queue by default', () => {
+    const queue = createAsyncQueue({ queueLimit: 1 });
+    queue.enqueue(1);
+    expect(() => queue.enqueue(2)).toThrow(QueueOverflowError);
+  });
+
+  describe("'block' policy", () => {
+    it('should resolve enqueue() immediately while there is room', async () => {
+      const queue = createAsyncQueue({ queueLimit: 2, onOverflow: 'block' });
+      expect(queue.enqueue(1)).toBe(true);
+      expect(queue.enqueue(2)).toBe(true);
+    });
+
+    it('should hold a producer until the consumer makes room', async () => {
+      const queue = createAsyncQueue({ queueLimit: 1, onOverflow: 'block' });
+      queue.enqueue(1);
+
+      const accepted = queue.enqueue(2);
+      expect(accepted).toBeInstanceOf(Promise);
+
+      const settled = vi.fn();
+      accepted.then(settled);
+      await Promise.resolve();
+      expect(settled).not.toHaveBeenCalled();
+
+      expect(await queue.next()).toEqual({ value: 1, done: false });
+      expect(await accepted).toBe(true);
+      expect(await queue.next()).toEqual({ value: 2, done: false });
+    });
+
+    it('should admit blocked values in order', async () => {
+      const queue = createAsyncQueue({ queueLimit: 1, onOverflow: 'block' });
+      queue.enqueue('a');
+      const b = queue.enqueue('b');
+      const c = queue.enqueue('c');
+      queue.end();
+
+      const values = [];
+      for await (const value of queue) {
+        values.push(value);
+      }
+
+      expect(values).toEqual(['a', 'b', 'c']);
+      expect(await b).toBe(true);
+      expect(await c).toBe(true);
+    });
+
+    it('should resolve blocked producers with false when the consumer returns', async () => {
+      const queue = createAsyncQueue({ queueLimit: 1, onOverflow: 'block' });
+      queue.enqueue(1);
+      const accepted = queue.enqueue(2);
+
+      await queue.return();
+
+      expect(await accepted).toBe(false);
+    });
+
+    it('should reject blocked producers when the signal aborts', async () => {
+      const controller = new AbortController();
+      const queue = createAsyncQueue({ queueLimit: 1, onOverflow: 'block', signal: controller.signal });
+      queue.enqueue(1);
+      const accepted = queue.enqueue(2);
+
+      controller.abort();
+
+      await expect(accepted).rejects.toBeInstanceOf(AbortError);
+    });
+  });
+
+  describe('watermarks', () => {
+    it('should reject a lowWaterMark at or above highWaterMark', () => {
+      expect(() => createAsyncQueue({ highWaterMark: 2, lowWaterMark: 2 })).toThrow(ValidationError);
+    });
+
+    it('should pause once at highWaterMark and resume once at lowWaterMark', async () => {
+      const onPause = vi.fn();
+      const onResume = vi.fn();
+      const queue = createAsyncQueue({ highWaterMark: 3, lowWaterMark: 1, onPause, onResume });
+
+      queue.enqueue(1);
+      queue.enqueue(2);
+      expect(onPause).not.toHaveBeenCalled();
+      queue.enqueue(3);
+      queue.enqueue(4);
+      expect(onPause).toHaveBeenCalledTimes(1);
+
+      await queue.next();
+      await queue.next();
+      expect(onResume).not.toHaveBeenCalled();
+      await queue.next();
+      expect(onResume).toHaveBeenCalledTimes(1);
+    });
+
+    it('should count blocked producers towards highWaterMark', () => {
+      const onPause = vi.fn();
+      const queue = createAsyncQueue({ queueLimit: 1, onOverflow: 'block', highWaterMark: 2, onPause });
+
+      queue.enqueue(1);
+      queue.enqueue(2);
+
+      expect(onPause).toHaveBeenCalledTimes(1);
+    });
+
+    it('should resume a paused producer when the consumer returns', async () => {
+      const onResume = vi.fn();
+      const queue = createAsyncQueue({ highWaterMark: 1, onResume });
+      queue.enqueue(1);
+
+      await queue.return();
+
+      expect(onResume).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('priority mode', () => {
+    const byLevel = (item) => item.level;
+
+    // Drain everything already buffered
+    const drain = async (queue) => {
+      queue.end();
+      const values = [];
+      for await (const item of queue) {
+        values.push(item.id);
+      }
+      return values;
+    };
+
+    it('should reject priority and compare together', () => {
+      expect(() => createAsyncQueue({ priority: byLevel, compare: () => 0 })).toThrow(ValidationError);
+    });
+
+    it('should serve higher priorities first and keep arrival order on ties', async () => {
+      const queue = createAsyncQueue({ priority: byLevel });
+      queue.enqueue({ id: 'data-1', level: 0 });
+      queue.enqueue({ id: 'data-2', level: 0 });
+      queue.enqueue({ id: 'control', level: 5 });
+      queue.enqueue({ id: 'data-3', level: 0 });
+
+      expect(await drain(queue)).toEqual(['control', 'data-1', 'data-2', 'data-3']);
+    });
+
+    it('should accept a comparator', async () => {
+      const queue = createAsyncQueue({ compare: (a, b) => a.level - b.level });
+      queue.enqueue({ id: 'high', level: 2 });
+      queue.enqueue({ id: 'low', level: 1 });
+
+      expect(await drain(queue)).toEqual(['low', 'high']);
+    });
+
+    it('should evict the lowest priority value on overflow', async () => {
+      const queue = createAsyncQueue({ priority: byLevel, queueLimit: 2, onOverflow: 'drop-old' });
+      queue.enqueue({ id: 'data', level: 0 });
+      queue.enqueue({ id: 'control-1', level: 5 });
+      expect(queue.enqueue({ id: 'control-2', level: 5 })).toBe(true);
+
+      expect(await drain(queue)).toEqual(['control-1', 'control-2']);
+    });
+
+    it('should drop an incoming value that ranks lowest', async () => {
+      const queue = createAsyncQueue({ priority: byLevel, queueLimit: 1, onOverflow: 'drop-old' });
+      queue.enqueue({ id: 'control', level: 5 });
+
+      expect(queue.enqueue({ id: 'data', level: 0 })).toBe(false);
+      expect(await drain(queue)).toEqual(['control']);
+    });
+
+    it('should break ties by the overflow policy', async () => {
+      const dropOld = createAsyncQueue({ priority: byLevel, queueLimit: 2, onOverflow: 'drop-old' });
+      const dropNew = createAsyncQueue({ priority: byLevel, queueLimit: 2, onOverflow: 'drop-new' });
+      for (const queue of [dropOld, dropNew]) {
+        queue.enqueue({ id: 'a', level: 0 });
+        queue.enqueue({ id: 'b', level: 0 });
+        queue.enqueue({ id: 'c', level: 0 });
+      }
+
+      expect(await drain(dropOld)).toEqual(['b', 'c']);
+      expect(await drain(dropNew)).toEqual(['a', 'b']);
+    });
+  });
+});
+
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi } from 'vitest';
+import { VirtualTimeScheduler, resolveScheduler, wait, defaultScheduler } from '../scheduler.js';
+import { fromInterval } from '../../sources/fromInterval.js';
+import { AbortError, ValidationError } from '../../errors.js';
+
+describe('resolveScheduler', () => {
+  it('should default to the platform scheduler', () => {
+    expect(resolveScheduler()).toBe(defaultScheduler);
+  });
+
+  it('should reject objects without the timer functions', () => {
+    expect(() => resolveScheduler({ now: () => 0 })).toThrow(ValidationError);
+  });
+});
+
+describe('VirtualTimeScheduler', () => {
+  it('should only move the clock when advanced', async () => {
+    const scheduler = new VirtualTimeScheduler(100);
+    expect(scheduler.now()).toBe(100);
+
+    await scheduler.advanceBy(50);
+    expect(scheduler.now()).toBe(150);
+  });
+
+  it('should fire due timers in time order, and same-time timers in scheduling order', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const fired = [];
+    scheduler.setTimeout(() => fired.push('b'), 20);
+    scheduler.setTimeout(() => fired.push('a'), 10);
+    scheduler.setTimeout(() => fired.push('c'), 20);
+    scheduler.setTimeout(() => fired.push('late'), 100);
+
+    await scheduler.advanceBy(20);
+
+    expect(fired).toEqual(['a', 'b', 'c']);
+    expect(scheduler.pending).toBe(1);
+  });
+
+  it('should pass extra arguments to the callback', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const callback = vi.fn();
+    scheduler.setTimeout(callback, 5, 'x', 'y');
+
+    await scheduler.runAll();
+
+    expect(callback).toHaveBeenCalledWith('x', 'y');
+  });
+
+  it('should not fire cleared timers', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const callback = vi.fn();
+    const handle = scheduler.setTimeout(callback, 5);
+    scheduler.clearTimeout(handle);
+
+    await scheduler.runAll();
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('should run timers scheduled by code woken from another timer', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const times = [];
+
+    const loop = (async () => {
+      for (let i = 0; i < 3; i++) {
+        await wait(10, { scheduler });
+        times.push(scheduler.now());
+      }
+    })();
+
+    await scheduler.runAll();
+    await loop;
+
+    expect(times).toEqual([10, 20, 30]);
+  });
+
+  it('should stop runAll after maxTimers', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const reschedule = () => scheduler.setTimeout(reschedule, 1);
+    reschedule();
+
+    await expect(scheduler.runAll({ maxTimers: 5 })).rejects.toThrow('more than 5 timers');
+  });
+
+  it('should reject negative advances', async () => {
+    await expect(new VirtualTimeScheduler().advanceBy(-1)).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('wait', () => {
+  it('should reject with AbortError when the signal aborts', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const controller = new AbortController();
+    const waiting = wait(100, { scheduler, signal: controller.signal });
+
+    controller.abort();
+
+    await expect(waiting).rejects.toBeInstanceOf(AbortError);
+    expect(scheduler.pending).toBe(0);
+  });
+});
+
+describe('fromInterval', () => {
+  it('should emit on virtual time', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const emitted = [];
+
+    const run = (async () => {
+      for await (const tick of fromInterval(100, { count: 3, scheduler })) {
+        emitted.push([tick, scheduler.now()]);
+      }
+    })();
+
+    await scheduler.runAll();
+    await run;
+
+    expect(emitted).toEqual([[0, 0], [1, 100], [2, 200]]);
+  });
+
+  it('should stop ticking once disposed', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const ticks = fromInterval(100, { scheduler });
+    const iterator = ticks[Symbol.asyncIterator]();
+
+    expect(await iterator.next()).toEqual({ value: 0, done: false });
+    await ticks[Symbol.asyncDispose]();
+
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { createSubject, createBehaviorSubject, createReplaySubject } from '../subject.js';
+import { ValidationError } from '../../errors.js';
+
+// Read n values from an iterator
+async function take(iterator, n) {
+  const values = [];
+  for (let i = 0; i < n; i++) {
+    values.push((await iterator.next()).value);
+  }
+  return values;
+}
+
+describe('createSubject', () => {
+  it('should give each subscription every value pushed after it subscribed', async () => {
+    const subject = createSubject();
+    const a = subject[Symbol.asyncIterator]();
+    subject.next(1);
+    const b = subject[Symbol.asyncIterator]();
+    subject.next(2);
+
+    expect(await take(a, 2)).toEqual([1, 2]);
+    expect(await take(b, 1)).toEqual([2]);
+  });
+
+  it('should complete current and future subscriptions', async () => {
+    const subject = createSubject();
+    const early = subject[Symbol.asyncIterator]();
+    subject.next(1);
+    subject.complete();
+
+    expect(subject.closed).toBe(true);
+    expect(await early.next()).toEqual({ value: 1, done: false });
+    expect((await early.next()).done).toBe(true);
+    expect((await subject[Symbol.asyncIterator]().next()).done).toBe(true);
+  });
+
+  it('should fail current and future subscriptions', async () => {
+    const subject = createSubject();
+    const early = subject[Symbol.asyncIterator]();
+    subject.error(new Error('boom'));
+
+    await expect(early.next()).rejects.toThrow('boom');
+    await expect(subject[Symbol.asyncIterator]().next()).rejects.toThrow('boom');
+  });
+
+  it('should ignore values after completion', async () => {
+    const subject = createSubject();
+    const iterator = subject[Symbol.asyncIterator]();
+    subject.complete();
+
+    expect(subject.next(1)).toBeUndefined();
+    expect((await iterator.next()).done).toBe(true);
+  });
+
+  it('should track observers', async () => {
+    const subject = createSubject();
+    const iterator = subject[Symbol.asyncIterator]();
+    expect(subject.observers).toBe(1);
+
+    await iterator.return();
+    expect(subject.observers).toBe(0);
+  });
+
+  it('should hold back next() until every subscription has room with the block policy', async () => {
+    const subject = createSubject({ queueLimit: 1, onOverflow: 'block' });
+    const iterator = subject[Symbol.asyncIterator]();
+
+    expect(subject.next(1)).toBeUndefined();
+    const accepted = subject.next(2);
+    expect(accepted).toBeInstanceOf(Promise);
+
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+    await accepted;
+    expect(await iterator.next()).toEqual({ value: 2, done: false });
+  });
+
+  it('should validate onOverflow', () => {
+    expect(() => createSubject({ onOverflow: 'wait' })).toThrow(ValidationError);
+  });
+});
+
+describe('createBehaviorSubject', () => {
+  it('should start new subscriptions with the latest value', async () => {
+    const subject = createBehaviorSubject('initial');
+    expect(await take(subject[Symbol.asyncIterator](), 1)).toEqual(['initial']);
+
+    subject.next('updated');
+    expect(subject.value).toBe('updated');
+    expect(await take(subject[Symbol.asyncIterator](), 1)).toEqual(['updated']);
+  });
+
+  it('should not replay the latest value after completion', async () => {
+    const subject = createBehaviorSubject('initial');
+    subject.complete();
+
+    expect((await subject[Symbol.asyncIterator]().next()).done).toBe(true);
+  });
+});
+
+describe('createReplaySubject', () => {
+  it('should replay the last bufferSize values, even after completion', async () => {
+    const subject = createReplaySubject(2);
+    subject.next(1);
+    subject.next(2);
+    subject.next(3);
+    subject.complete();
+
+    const iterator = subject[Symbol.asyncIterator]();
+    expect(await take(iterator, 2)).toEqual([2, 3]);
+    expect((await iterator.next()).done).toBe(true);
+  });
+
+  it('should validate bufferSize and windowMs', () => {
+    expect(() => createReplaySubject(0)).toThrow(ValidationError);
+    expect(() => createReplaySubject(1, { windowMs: 0 })).toThrow(ValidationError);
+  });
+});
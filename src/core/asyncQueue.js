@@ -1,31 +1,67 @@
 import { AbortError, QueueOverflowError, ValidationError } from '../errors.js';
 import { QUEUE_POLICIES } from '../constants.js';
+import { createPriorityComparator, insertByPriority, evictLowestPriority } from './priority.js';
 
 /**
  * Creates an async queue for buffering values between producers and consumers
  * @param {Object} [options={}] - Configuration options
  * @param {AbortSignal} [options.signal] - Optional AbortSignal to cancel the queue
  * @param {number} [options.queueLimit=0] - Maximum queue size (0 = unlimited)
- * @param {'drop-old'|'drop-new'|'throw'} [options.onOverflow='throw'] - Behavior on queue overflow
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Behavior on queue overflow.
+ *   With 'block', enqueue() returns a promise that resolves once the value fits in the queue.
+ * @param {number} [options.highWaterMark=0] - Buffered size at which onPause is called (0 = disabled)
+ * @param {number} [options.lowWaterMark=0] - Buffered size at or below which onResume is called after a pause
+ * @param {Function} [options.onPause] - Called when the buffer reaches highWaterMark
+ * @param {Function} [options.onResume] - Called when the buffer drains back to lowWaterMark
+ * @param {Function} [options.priority] - (value) => number; enables priority mode where higher numbers are
+ *   served first and 'drop-old'/'drop-new' evict the lowest-priority value instead of the oldest/newest
+ * @param {Function} [options.compare] - (a, b) => number comparator alternative to priority;
+ *   negative when a should be served before b
  * @returns {Object} Queue instance with async iterator interface
  * @throws {ValidationError} If queueLimit is not a non-negative number
- * @throws {ValidationError} If onOverflow is not one of 'drop-old', 'drop-new', or 'throw'
+ * @throws {ValidationError} If onOverflow is not one of 'drop-old', 'drop-new', 'throw' or 'block'
+ * @throws {ValidationError} If lowWaterMark is negative or greater than or equal to highWaterMark
+ * @throws {ValidationError} If priority or compare is not a function
  */
-export function createAsyncQueue({ signal, queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW } = {}) {
+export function createAsyncQueue({
+  signal,
+  queueLimit = 0,
+  onOverflow = QUEUE_POLICIES.THROW,
+  highWaterMark = 0,
+  lowWaterMark = 0,
+  onPause,
+  onResume,
+  priority,
+  compare
+} = {}) {
   if (queueLimit < 0) {
     throw new ValidationError('queueLimit must be a non-negative number');
   }
   
+  if (highWaterMark < 0) {
+    throw new ValidationError('highWaterMark must be a non-negative number');
+  }
+  
+  if (lowWaterMark < 0 || (highWaterMark > 0 && lowWaterMark >= highWaterMark)) {
+    throw new ValidationError('lowWaterMark must be a non-negative number below highWaterMark');
+  }
+  
   if (!Object.values(QUEUE_POLICIES).includes(onOverflow)) {
     throw new ValidationError(
       `onOverflow must be one of: ${Object.values(QUEUE_POLICIES).join(', ')}`
     );
   }
 
+  const compareItems = createPriorityComparator({ priority, compare });
   const queue = [];
   const waiting = [];
+  // Producers waiting for room under the 'block' policy
+  const blocked = [];
   let ended = false;
   let error = null;
+  // Error passed to end(), surfaced once the buffered values have been consumed
+  let endError = null;
+  let paused = false;
 
   // Handle abort signal if provided
   const onAbort = () => {
@@ -36,6 +72,7 @@ export function createAsyncQueue({ signal, queueLimit = 0, onOverflow = QUEUE_PO
       const { resolve, reject } = waiting.shift();
       reject(abortError);
     }
+    releaseBlocked(abortError);
   };
 
   if (signal) {
@@ -46,10 +83,67 @@ export function createAsyncQueue({ signal, queueLimit = 0, onOverflow = QUEUE_PO
     }
   }
 
+  /**
+   * Add a value to the buffer, in priority order when priority mode is enabled
+   * @param {any} value - The value to buffer
+   */
+  function push(value) {
+    if (compareItems) {
+      insertByPriority(queue, value, compareItems);
+    } else {
+      queue.push(value);
+    }
+  }
+
+  /**
+   * Call onPause/onResume when the buffered size crosses a watermark
+   */
+  function checkWaterMarks() {
+    if (highWaterMark === 0) return;
+    
+    const buffered = queue.length + blocked.length;
+    if (!paused && buffered >= highWaterMark) {
+      paused = true;
+      onPause?.();
+    } else if (paused && buffered <= lowWaterMark) {
+      paused = false;
+      onResume?.();
+    }
+  }
+
+  /**
+   * Move the oldest blocked producer's value into the queue once there is room
+   */
+  function admitBlocked() {
+    if (blocked.length > 0 && (queueLimit === 0 || queue.length < queueLimit)) {
+      const { value, resolve } = blocked.shift();
+      push(value);
+      resolve(true);
+    }
+  }
+
+  /**
+   * Settle every blocked producer, rejecting with an error or resolving as dropped
+   * @param {Error} [err] - Optional error to reject blocked producers with
+   */
+  function releaseBlocked(err) {
+    while (blocked.length > 0) {
+      const { resolve, reject } = blocked.shift();
+      if (err) {
+        reject(err);
+      } else {
+        resolve(false);
+      }
+    }
+  }
+
   /**
    * Add a value to the queue
    * @param {any} value - The value to enqueue
-   * @returns {boolean} True if the value was added, false if dropped due to queue limit
+   * @returns {boolean|Promise<boolean>} True if the value was added, false if dropped due to queue limit.
+   *   With the 'block' policy a full queue returns a promise that resolves once the value is accepted
+   *   (or false if the consumer stops first). Operators that fan one source out to several queues
+   *   (share, groupBy, tee) await it, so a full 'block' queue holds back the source for all of them.
    * @throws {QueueOverflowError} If the queue is full and onOverflow is 'throw'
    */
   function enqueue(value) {
@@ -64,7 +158,7 @@ export function createAsyncQueue({ signal, queueLimit = 0, onOverflow = QUEUE_PO
     // If there are waiting consumers, resolve the oldest one immediately
     if (waiting.length > 0) {
       const { resolve } = waiting.shift();
-      resolve(value);
+      resolve({ value, done: false });
       return true;
     }
 
@@ -72,32 +166,52 @@ export function createAsyncQueue({ signal, queueLimit = 0, onOverflow = QUEUE_PO
     if (queueLimit > 0 && queue.length >= queueLimit) {
       if (onOverflow === QUEUE_POLICIES.THROW) {
         throw new QueueOverflowError();
+      } else if (compareItems && onOverflow !== QUEUE_POLICIES.BLOCK) {
+        // Evict the lowest-priority value, which may be the new one
+        if (!evictLowestPriority(queue, value, compareItems, onOverflow)) {
+          return false;
+        }
       } else if (onOverflow === QUEUE_POLICIES.DROP_OLD) {
         queue.shift(); // Remove oldest item
       } else if (onOverflow === QUEUE_POLICIES.DROP_NEW) {
         return false; // Drop the new item
+      } else if (onOverflow === QUEUE_POLICIES.BLOCK) {
+        // Hold the value until a consumer makes room
+        const accepted = new Promise((resolve, reject) => {
+          blocked.push({ value, resolve, reject });
+        });
+        checkWaterMarks();
+        return accepted;
       }
     }
 
     // Add to the queue
-    queue.push(value);
+    push(value);
+    checkWaterMarks();
     return true;
   }
 
   /**
-   * Mark the queue as ended, optionally with an error
+   * Mark the queue as ended, optionally with an error. Values already buffered are still
+   * delivered; the error is thrown to the consumer once they have been consumed.
    * @param {Error} [err] - Optional error to end the queue with
    */
   function end(err) {
     if (ended) return;
     
     ended = true;
-    error = error || err || null;
+    if (err && !error) {
+      endError = err;
+    }
     
-    // Resolve all waiting promises with done: true
+    // Waiting consumers mean the buffer is empty, so settle them now
     while (waiting.length > 0) {
-      const { resolve } = waiting.shift();
-      resolve({ done: true });
+      const { resolve, reject } = waiting.shift();
+      if (endError) {
+        reject(endError);
+      } else {
+        resolve({ done: true });
+      }
     }
     
     // Clean up
@@ -118,11 +232,17 @@ export function createAsyncQueue({ signal, queueLimit = 0, onOverflow = QUEUE_PO
     
     // If there are items in the queue, return the next one
     if (queue.length > 0) {
-      return { value: queue.shift(), done: false };
+      const value = queue.shift();
+      admitBlocked();
+      checkWaterMarks();
+      return { value, done: false };
     }
     
-    // If the queue is ended, return done
+    // If the queue is ended, surface its error or return done
     if (ended) {
+      if (endError) {
+        throw endError;
+      }
       return { done: true };
     }
     
@@ -142,6 +262,12 @@ export function createAsyncQueue({ signal, queueLimit = 0, onOverflow = QUEUE_PO
     },
     return() {
       end();
+      releaseBlocked();
+      // Don't leave a shared producer paused after this consumer is gone
+      if (paused) {
+        paused = false;
+        onResume?.();
+      }
       return Promise.resolve({ done: true });
     },
     throw(err) {
@@ -0,0 +1,85 @@
+import { ValidationError } from '../errors.js';
+import { QUEUE_POLICIES } from '../constants.js';
+
+/**
+ * Creates a comparator that orders buffered values for priority queues
+ * @param {Object} [options={}] - Priority options
+ * @param {Function} [options.priority] - (value) => number, higher numbers are served first
+ * @param {Function} [options.compare] - (a, b) => number, negative when a should be served before b
+ * @returns {Function|null} The comparator, or null when priority mode is not enabled
+ * @throws {ValidationError} If priority or compare is not a function, or both are given
+ */
+export function createPriorityComparator({ priority, compare } = {}) {
+  if (priority !== undefined && typeof priority !== 'function') {
+    throw new ValidationError('priority must be a function');
+  }
+
+  if (compare !== undefined && typeof compare !== 'function') {
+    throw new ValidationError('compare must be a function');
+  }
+
+  if (priority && compare) {
+    throw new ValidationError('Only one of priority or compare can be provided');
+  }
+
+  if (compare) return compare;
+  if (priority) return (a, b) => priority(b) - priority(a);
+  return null;
+}
+
+/**
+ * Inserts a value into a sorted array after every item served before or alongside it,
+ * so values with equal priority keep their arrival order
+ * @param {Array} items - Values sorted from highest to lowest priority
+ * @param {any} value - The value to insert
+ * @param {Function} compare - Comparator from createPriorityComparator
+ */
+export function insertByPriority(items, value, compare) {
+  let low = 0;
+  let high = items.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (compare(value, items[mid]) < 0) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  items.splice(low, 0, value);
+}
+
+/**
+ * Makes room in a full priority buffer by evicting its lowest-priority value.
+ * The overflow policy only breaks ties: 'drop-old' evicts the oldest of the lowest
+ * values, 'drop-new' prefers dropping the incoming value.
+ * @param {Array} items - Values sorted from highest to lowest priority
+ * @param {any} value - The incoming value
+ * @param {Function} compare - Comparator from createPriorityComparator
+ * @param {'drop-old'|'drop-new'} onOverflow - The overflow policy
+ * @returns {boolean} True if a buffered value was evicted, false if the incoming value should be dropped
+ */
+export function evictLowestPriority(items, value, compare, onOverflow) {
+  if (items.length === 0) return true;
+
+  const lowest = items[items.length - 1];
+  const order = compare(value, lowest);
+
+  if (order > 0 || (order === 0 && onOverflow === QUEUE_POLICIES.DROP_NEW)) {
+    return false;
+  }
+
+  if (onOverflow === QUEUE_POLICIES.DROP_OLD) {
+    // Evict the oldest value among those tied for the lowest priority
+    let index = items.length - 1;
+    while (index > 0 && compare(items[index - 1], lowest) === 0) {
+      index--;
+    }
+    items.splice(index, 1);
+  } else {
+    items.pop();
+  }
+
+  return true;
+}
@@ -0,0 +1,196 @@
+import { AbortError, ValidationError } from '../errors.js';
+
+/**
+ * Scheduler backed by the platform clock and timers. A scheduler is any object with
+ * now(), setTimeout(callback, ms, ...args) and clearTimeout(handle).
+ */
+export const defaultScheduler = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (callback, ms, ...args) => setTimeout(callback, ms, ...args),
+  clearTimeout: (handle) => clearTimeout(handle)
+});
+
+/**
+ * Validates a scheduler option
+ * @param {Object} [scheduler=defaultScheduler] - The scheduler to check
+ * @returns {Object} The scheduler
+ * @throws {ValidationError} If the scheduler lacks now, setTimeout or clearTimeout
+ */
+export function resolveScheduler(scheduler = defaultScheduler) {
+  if (
+    !scheduler ||
+    typeof scheduler.now !== 'function' ||
+    typeof scheduler.setTimeout !== 'function' ||
+    typeof scheduler.clearTimeout !== 'function'
+  ) {
+    throw new ValidationError('scheduler must provide now, setTimeout and clearTimeout functions');
+  }
+
+  return scheduler;
+}
+
+/**
+ * Waits for the given time on a scheduler unless the signal aborts first
+ * @param {number} ms - Time to wait in milliseconds
+ * @param {Object} [options] - Wait options
+ * @param {Object} [options.scheduler=defaultScheduler] - Scheduler that provides the timer
+ * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+ * @returns {Promise<void>} Resolves after ms, rejects with AbortError if the signal aborts
+ */
+export function wait(ms, { scheduler = defaultScheduler, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      scheduler.clearTimeout(timeoutId);
+      reject(new AbortError());
+    };
+
+    const timeoutId = scheduler.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Lets pending promise callbacks run, so code woken by a virtual timer can schedule
+ * its next timer before the clock moves on
+ * @returns {Promise<void>}
+ */
+function flushPending() {
+  return new Promise((resolve) => {
+    if (typeof setImmediate === 'function') {
+      setImmediate(resolve);
+    } else {
+      setTimeout(resolve, 0);
+    }
+  });
+}
+
+/**
+ * Scheduler whose clock only moves when told to. Pass it as the `scheduler` option of
+ * time-based operators and sources to test them without real waiting.
+ */
+export class VirtualTimeScheduler {
+  /**
+   * Create a new VirtualTimeScheduler
+   * @param {number} [startTime=0] - Initial value of now()
+   */
+  constructor(startTime = 0) {
+    this._now = startTime;
+    this._timers = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Current virtual time in milliseconds
+   * @returns {number}
+   */
+  now() {
+    return this._now;
+  }
+
+  /**
+   * Schedule a callback at now() + ms
+   * @param {Function} callback - Function to call when the timer is due
+   * @param {number} [ms=0] - Delay in virtual milliseconds
+   * @param {...any} args - Arguments passed to the callback
+   * @returns {number} Timer handle for clearTimeout
+   */
+  setTimeout(callback, ms = 0, ...args) {
+    const timer = {
+      id: this._nextId++,
+      time: this._now + Math.max(0, Number(ms) || 0),
+      callback,
+      args
+    };
+
+    // Timers due at the same time fire in the order they were scheduled
+    let index = this._timers.length;
+    while (index > 0 && this._timers[index - 1].time > timer.time) {
+      index--;
+    }
+    this._timers.splice(index, 0, timer);
+
+    return timer.id;
+  }
+
+  /**
+   * Cancel a scheduled callback
+   * @param {number} handle - Handle returned by setTimeout
+   */
+  clearTimeout(handle) {
+    const index = this._timers.findIndex((timer) => timer.id === handle);
+    if (index !== -1) {
+      this._timers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Number of timers that have not fired yet
+   * @type {number}
+   */
+  get pending() {
+    return this._timers.length;
+  }
+
+  /**
+   * Move the clock forward, firing every timer that becomes due in order
+   * @param {number} ms - Virtual milliseconds to advance
+   * @returns {Promise<void>} Resolves once the due timers and the work they trigger have run
+   * @throws {ValidationError} If ms is not a non-negative number
+   */
+  async advanceBy(ms) {
+    if (typeof ms !== 'number' || ms < 0 || Number.isNaN(ms)) {
+      throw new ValidationError('ms must be a non-negative number');
+    }
+
+    await this._runUntil(this._now + ms);
+  }
+
+  /**
+   * Fire timers until none are left, moving the clock to each one
+   * @param {Object} [options] - Run options
+   * @param {number} [options.maxTimers=10000] - Guard against sources that schedule timers forever
+   * @returns {Promise<void>} Resolves once no timers are pending
+   * @throws {Error} If more than maxTimers timers fire
+   */
+  async runAll({ maxTimers = 10000 } = {}) {
+    await this._runUntil(Infinity, maxTimers);
+  }
+
+  /**
+   * Fire due timers up to the given time
+   * @param {number} time - Virtual time to stop at
+   * @param {number} [maxTimers=Infinity] - Maximum number of timers to fire
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runUntil(time, maxTimers = Infinity) {
+    let fired = 0;
+    await flushPending();
+
+    while (this._timers.length > 0 && this._timers[0].time <= time) {
+      if (fired++ >= maxTimers) {
+        throw new Error(`runAll fired more than ${maxTimers} timers; is a source scheduling timers forever?`);
+      }
+
+      const timer = this._timers.shift();
+      this._now = timer.time;
+      timer.callback(...timer.args);
+      await flushPending();
+    }
+
+    if (time !== Infinity && time > this._now) {
+      this._now = time;
+    }
+  }
+}
+
+export default VirtualTimeScheduler;
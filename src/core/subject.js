@@ -0,0 +1,251 @@
+import { createAsyncQueue } from './asyncQueue.js';
+import { QUEUE_POLICIES } from '../constants.js';
+import { ValidationError } from '../errors.js';
+import { resolveScheduler } from './scheduler.js';
+
+/**
+ * Shared implementation behind every subject flavour
+ * @param {Object} options - Subject options
+ * @param {number} options.queueLimit - Per-subscription queue size (0 = unlimited)
+ * @param {string} options.onOverflow - Per-subscription overflow policy
+ * @param {number} options.bufferSize - Number of values replayed to new subscriptions
+ * @param {number} options.windowMs - Maximum age of replayed values in milliseconds
+ * @param {boolean} options.replayAfterClose - Whether subscriptions made after completion still get replayed values
+ * @param {Object} [options.scheduler] - Scheduler providing the clock used for windowMs
+ * @returns {Object} Subject instance
+ * @throws {ValidationError} If queueLimit, onOverflow or the scheduler is invalid
+ */
+function createSubjectBase({
+  queueLimit = 0,
+  onOverflow = QUEUE_POLICIES.THROW,
+  bufferSize = 0,
+  windowMs = Infinity,
+  replayAfterClose = true,
+  scheduler
+}) {
+  if (typeof queueLimit !== 'number' || queueLimit < 0) {
+    throw new ValidationError('queueLimit must be a non-negative number');
+  }
+
+  if (!Object.values(QUEUE_POLICIES).includes(onOverflow)) {
+    throw new ValidationError(
+      `onOverflow must be one of: ${Object.values(QUEUE_POLICIES).join(', ')}`
+    );
+  }
+
+  const clock = resolveScheduler(scheduler);
+  const subscribers = new Set();
+  const replay = [];
+  let closed = false;
+  let finalError = null;
+
+  // Drop replayed values beyond bufferSize or older than windowMs
+  const trimReplay = () => {
+    const cutoff = clock.now() - windowMs;
+    while (replay.length > bufferSize || (replay.length > 0 && replay[0].time < cutoff)) {
+      replay.shift();
+    }
+  };
+
+  // Hand a value to one subscription; one that overflows is failed on its own
+  const deliver = (queue, value) => {
+    try {
+      return queue.enqueue(value);
+    } catch (error) {
+      subscribers.delete(queue);
+      queue.end(error);
+      return false;
+    }
+  };
+
+  // End every subscription with an optional error
+  const close = (error) => {
+    if (closed) return;
+    closed = true;
+    finalError = error || null;
+
+    for (const queue of subscribers) {
+      queue.end(error);
+    }
+    subscribers.clear();
+  };
+
+  return {
+    /**
+     * Push a value to every current subscription
+     * @param {any} value - The value to emit
+     * @returns {Promise<void>|undefined} With the 'block' policy, a promise that resolves once every
+     *   subscription has room for the value
+     */
+    next(value) {
+      if (closed) return undefined;
+
+      if (bufferSize > 0) {
+        replay.push({ value, time: clock.now() });
+        trimReplay();
+      }
+
+      const pending = [];
+      for (const queue of subscribers) {
+        const result = deliver(queue, value);
+        if (result && typeof result.then === 'function') {
+          pending.push(result);
+        }
+      }
+
+      return pending.length > 0 ? Promise.all(pending).then(() => {}) : undefined;
+    },
+
+    /**
+     * Fail every subscription, current and future
+     * @param {Error} error - The error to end the subject with
+     */
+    error(error) {
+      close(error instanceof Error ? error : new Error(String(error)));
+    },
+
+    /**
+     * Complete every subscription, current and future
+     */
+    complete() {
+      close();
+    },
+
+    /**
+     * Whether the subject has completed or errored
+     * @type {boolean}
+     */
+    get closed() {
+      return closed;
+    },
+
+    /**
+     * Number of active subscriptions
+     * @type {number}
+     */
+    get observers() {
+      return subscribers.size;
+    },
+
+    /**
+     * Create an independent subscription
+     * @returns {AsyncIterator} An iterator over values emitted from now on (plus any replayed values)
+     */
+    [Symbol.asyncIterator]() {
+      const queue = createAsyncQueue({ queueLimit, onOverflow });
+
+      if (bufferSize > 0 && (!closed || replayAfterClose)) {
+        trimReplay();
+        for (const { value } of replay) {
+          deliver(queue, value);
+        }
+      }
+
+      if (closed) {
+        queue.end(finalError);
+      } else {
+        subscribers.add(queue);
+      }
+
+      return {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        next: () => queue.next(),
+        return: () => {
+          subscribers.delete(queue);
+          return queue.return();
+        },
+        throw: (error) => {
+          subscribers.delete(queue);
+          return queue.throw(error);
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Creates a subject: a hot source that values are pushed into with next/error/complete.
+ * Every call to [Symbol.asyncIterator]() creates an independent subscription that
+ * receives the values emitted after it was created.
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.queueLimit=0] - Per-subscription queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-subscription overflow policy
+ * @returns {Object} Subject with next, error, complete and the async iterable interface
+ * @throws {ValidationError} If queueLimit or onOverflow is invalid
+ */
+export function createSubject({ queueLimit, onOverflow } = {}) {
+  return createSubjectBase({ queueLimit, onOverflow });
+}
+
+/**
+ * Creates a subject that remembers its latest value and emits it to every new subscription
+ * @param {any} initial - The value held until the first call to next()
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.queueLimit=0] - Per-subscription queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-subscription overflow policy
+ * @returns {Object} Subject with a `value` getter for the latest value
+ * @throws {ValidationError} If queueLimit or onOverflow is invalid
+ */
+export function createBehaviorSubject(initial, { queueLimit, onOverflow } = {}) {
+  const subject = createSubjectBase({ queueLimit, onOverflow, bufferSize: 1, replayAfterClose: false });
+  let current = initial;
+  subject.next(initial);
+
+  return {
+    next(value) {
+      if (!subject.closed) {
+        current = value;
+      }
+      return subject.next(value);
+    },
+    error: (error) => subject.error(error),
+    complete: () => subject.complete(),
+    get closed() {
+      return subject.closed;
+    },
+    get observers() {
+      return subject.observers;
+    },
+    /**
+     * The latest value passed to next(), or the initial value
+     * @type {any}
+     */
+    get value() {
+      return current;
+    },
+    [Symbol.asyncIterator]: () => subject[Symbol.asyncIterator]()
+  };
+}
+
+/**
+ * Creates a subject that replays its most recent values to every new subscription,
+ * including subscriptions made after it completed
+ * @param {number} [bufferSize=Infinity] - Maximum number of values to replay
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.windowMs=Infinity] - Only replay values emitted within this many milliseconds
+ * @param {number} [options.queueLimit=0] - Per-subscription queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-subscription overflow policy
+ * @param {Object} [options.scheduler] - Scheduler providing the clock used for windowMs
+ * @returns {Object} Subject with next, error, complete and the async iterable interface
+ * @throws {ValidationError} If bufferSize or windowMs is not a positive number
+ */
+export function createReplaySubject(bufferSize = Infinity, {
+  windowMs = Infinity,
+  queueLimit,
+  onOverflow,
+  scheduler
+} = {}) {
+  if (typeof bufferSize !== 'number' || bufferSize <= 0) {
+    throw new ValidationError('bufferSize must be a positive number');
+  }
+
+  if (typeof windowMs !== 'number' || windowMs <= 0) {
+    throw new ValidationError('windowMs must be a positive number');
+  }
+
+  return createSubjectBase({ queueLimit, onOverflow, bufferSize, windowMs, scheduler });
+}
+
+export default createSubject;
@@ -21,6 +21,16 @@ export class AbortError extends UniconnectError {
   }
 }
 
+/**
+ * Error thrown when an operation does not finish in time
+ * @extends UniconnectError
+ */
+export class TimeoutError extends UniconnectError {
+  constructor(message = 'Operation timed out') {
+    super(message, 'TIMEOUT_ERR');
+  }
+}
+
 /**
  * Error thrown when a queue overflows
  * @extends UniconnectError
@@ -11,51 +11,296 @@ export const QUEUE_POLICIES: {
   readonly DROP_OLD: 'drop-old';
   readonly DROP_NEW: 'drop-new';
   readonly THROW: 'throw';
+  readonly BLOCK: 'block';
+};
+
+/** Backoff strategies for retryIterable. */
+export const BACKOFF_STRATEGIES: {
+  readonly FIXED: 'fixed';
+  readonly EXPONENTIAL: 'exponential';
+  readonly DECORRELATED_JITTER: 'decorrelated-jitter';
+};
+
+/** Modes for the timeout operator. */
+export const TIMEOUT_MODES: {
+  readonly FIRST: 'first';
+  readonly EACH: 'each';
+  readonly TOTAL: 'total';
+};
+
+/** Error handling modes for merge and mergeAll. */
+export const MERGE_ERROR_MODES: {
+  readonly FAIL_FAST: 'failFast';
+  readonly COLLECT: 'collect';
+  readonly IGNORE: 'ignore';
 };
 
 /** A standard async iterable stream of values. */
 export type AsyncGen<T> = AsyncIterable<T>;
 
+/** Resources released by `using` and `await using` declarations. */
+export interface Disposer {
+  [Symbol.dispose](): void;
+  [Symbol.asyncDispose](): Promise<void>;
+}
+
+/** An async iterable that detaches its listeners, timers or source when disposed. */
+export type DisposableAsyncGen<T> = AsyncGen<T> & Disposer;
+
 /** Queue overflow policy for event buffering. */
-export type OverflowPolicy = 'drop-old' | 'drop-new' | 'throw';
+export type OverflowPolicy = 'drop-old' | 'drop-new' | 'throw' | 'block';
 
 /** Common operator signature: transforms an AsyncIterable<T> to AsyncIterable<R>. */
 export type Operator<T, R> = (iterable: AsyncIterable<T>) => AsyncGen<R>;
 
-export interface FromOptions {
+/**
+ * Priority mode for queues. Higher-priority values are served first and, when the queue is full,
+ * 'drop-old'/'drop-new' evict the lowest-priority value (the policy only breaks ties).
+ */
+export interface PriorityOptions<T = any> {
+  /** Returns a numeric priority for a value; higher numbers are served first. */
+  priority?: (value: T) => number;
+  /** Comparator alternative to `priority`; negative when `a` should be served before `b`. */
+  compare?: (a: T, b: T) => number;
+}
+
+export interface AsyncQueueOptions<T = any> extends WaterMarkOptions, PriorityOptions<T> {
+  signal?: AbortSignal;
+  /** Maximum queue size (0 = unlimited). */
+  queueLimit?: number;
+  onOverflow?: OverflowPolicy;
+}
+
+export interface AsyncQueue<T> extends AsyncIterableIterator<T> {
+  /** Adds a value. Under the 'block' policy a full queue returns a promise that settles once the value is accepted. */
+  enqueue(value: T): boolean | Promise<boolean>;
+  /** Ends the queue, optionally with an error. */
+  end(error?: Error): void;
+}
+
+/** Clock and timers used by time-based operators and sources. */
+export interface Scheduler {
+  now(): number;
+  setTimeout(callback: (...args: any[]) => void, ms?: number, ...args: any[]): unknown;
+  clearTimeout(handle: unknown): void;
+}
+
+/** Options accepted by every time-based operator and source. */
+export interface SchedulerOptions {
+  /** Defaults to the platform clock and timers. */
+  scheduler?: Scheduler;
+}
+
+/** Scheduler backed by Date.now, setTimeout and clearTimeout. */
+export const defaultScheduler: Scheduler;
+
+/** Scheduler whose clock only moves when advanced, for testing time-based code without waiting. */
+export class VirtualTimeScheduler implements Scheduler {
+  constructor(startTime?: number);
+  now(): number;
+  setTimeout(callback: (...args: any[]) => void, ms?: number, ...args: any[]): number;
+  clearTimeout(handle: number): void;
+  /** Number of timers that have not fired yet. */
+  readonly pending: number;
+  /** Moves the clock forward, firing due timers in order and letting the work they trigger run. */
+  advanceBy(ms: number): Promise<void>;
+  /** Fires timers until none are left. Throws after `maxTimers` (default 10000). */
+  runAll(options?: { maxTimers?: number }): Promise<void>;
+}
+
+/** Creates an async queue for buffering values between producers and consumers. */
+export function createAsyncQueue<T = unknown>(options?: AsyncQueueOptions<T>): AsyncQueue<T>;
+
+export interface SubjectOptions {
+  /** Per-subscription queue size (0 = unlimited). */
+  queueLimit?: number;
+  /** Per-subscription overflow policy. With 'block', next() returns a promise that resolves once every subscription has room. */
+  onOverflow?: OverflowPolicy;
+}
+
+/**
+ * A hot source that values are pushed into. Every call to `[Symbol.asyncIterator]()`
+ * creates an independent subscription.
+ */
+export interface Subject<T> extends AsyncIterable<T> {
+  next(value: T): Promise<void> | void;
+  error(error: unknown): void;
+  complete(): void;
+  /** Whether the subject has completed or errored. */
+  readonly closed: boolean;
+  /** Number of active subscriptions. */
+  readonly observers: number;
+}
+
+export interface BehaviorSubject<T> extends Subject<T> {
+  /** The latest value passed to next(), or the initial value. */
+  readonly value: T;
+}
+
+/** Creates a subject whose subscriptions receive values emitted after they subscribe. */
+export function createSubject<T = unknown>(options?: SubjectOptions): Subject<T>;
+/** Creates a subject that emits its latest value to every new subscription. */
+export function createBehaviorSubject<T>(initial: T, options?: SubjectOptions): BehaviorSubject<T>;
+/** Creates a subject that replays its most recent values to every new subscription. */
+export function createReplaySubject<T = unknown>(
+  bufferSize?: number,
+  options?: SubjectOptions & SchedulerOptions & { windowMs?: number }
+): Subject<T>;
+
+export interface FromOptions extends WaterMarkOptions {
   signal?: AbortSignal;
   /** Maximum number of queued items awaiting consumption. Use 0 for no buffering, omit for unlimited. */
   queueLimit?: number;
   /** Strategy when queueLimit is reached. Defaults to unlimited unless queueLimit is set. */
   onOverflow?: OverflowPolicy;
+  /**
+   * Called with `true` when the queue fills up under the 'block' policy and with `false` once it drains.
+   * Push sources can't be suspended, so use this to pause the underlying producer.
+   */
+  pressure?: (blocked: boolean) => void;
+}
+
+/** High/low watermark flow control shared by queues, sources and connectors. */
+export interface WaterMarkOptions {
+  /** Buffered size at which `onPause` is called. Defaults to 0 (disabled). */
+  highWaterMark?: number;
+  /** Buffered size at or below which `onResume` is called after a pause; must be below `highWaterMark`. Defaults to 0. */
+  lowWaterMark?: number;
+  /** Called when the buffer reaches `highWaterMark`. */
+  onPause?: () => void;
+  /** Called when the buffer drains back to `lowWaterMark`. */
+  onResume?: () => void;
+}
+
+export interface FromEventTargetOptions<R = Event> extends FromOptions {
+  /** Listen in the capture phase. */
+  capture?: boolean;
+  /** Register passive listeners. */
+  passive?: boolean;
+  /** Take at most one event per name; the iterable completes once every name has fired. */
+  once?: boolean;
+  /** Extracts a value synchronously in the listener, before the event object can be recycled. */
+  map?: (event: Event) => R;
+}
+
+/** A value from a multi-event fromEventTarget, tagged with the event name it was registered for. */
+export interface TaggedEvent<T = Event> {
+  type: string;
+  event: T;
 }
 
 /**
  * Connects an EventTarget to an AsyncIterable.
  * @param target Any object supporting addEventListener/removeEventListener.
- * @param eventName Non-empty event name to listen for.
- * @param options Abort signal and queue overflow controls.
+ * @param eventName Event name to listen for, or several names to get `{ type, event }` values.
+ * @param options Abort signal, listener options, a `map` hook and queue overflow controls.
+ *   Overflow and `map` errors are delivered to the consumer, never thrown into the dispatcher.
  */
-export function fromEventTarget<T = Event>(target: EventTarget, eventName: string, options?: FromOptions): AsyncGen<T>;
+export function fromEventTarget<R>(
+  target: EventTarget,
+  eventName: string,
+  options: FromEventTargetOptions<R> & { map: (event: Event) => R }
+): DisposableAsyncGen<R>;
+export function fromEventTarget<T = Event>(target: EventTarget, eventName: string, options?: FromEventTargetOptions): DisposableAsyncGen<T>;
+export function fromEventTarget<R>(
+  target: EventTarget,
+  eventNames: readonly string[],
+  options: FromEventTargetOptions<R> & { map: (event: Event) => R }
+): DisposableAsyncGen<TaggedEvent<R>>;
+export function fromEventTarget<T = Event>(
+  target: EventTarget,
+  eventNames: readonly string[],
+  options?: FromEventTargetOptions
+): DisposableAsyncGen<TaggedEvent<T>>;
+
+export interface FromEventEmitterOptions extends FromOptions {
+  /** Event whose first argument rejects the iterator. Defaults to 'error'; null disables it. */
+  errorEvent?: string | null;
+  /** Events that complete the iterator. Defaults to ['end', 'close']. */
+  endEvents?: string[];
+  /**
+   * How listener arguments become a value: the first argument, the argument array, or a mapper.
+   * By default single-argument events yield the argument and others an array.
+   */
+  args?: 'first' | 'array' | ((...args: any[]) => unknown);
+}
 
 /**
  * Connects a Node.js EventEmitter to an AsyncIterable.
  * @param emitter Node.js EventEmitter instance.
  * @param eventName Non-empty event name to listen for.
- * @param options Abort signal and queue overflow controls.
+ * @param options Abort signal, error/end events, argument mapping and queue overflow controls.
  */
-export function fromEventEmitter<T = unknown>(emitter: EventEmitter, eventName: string, options?: FromOptions): AsyncGen<T>;
+export function fromEventEmitter<T = unknown>(emitter: EventEmitter, eventName: string, options?: FromEventEmitterOptions): DisposableAsyncGen<T>;
+
+/** Emits 0, 1, 2, ... every `ms` milliseconds, up to `count` values. */
+export function fromInterval(ms: number, options?: SchedulerOptions & { signal?: AbortSignal; count?: number }): AsyncGenerator<number> & Disposer;
 
 /** Auto-detects source type and returns an AsyncIterable from events. */
 export function toAsyncIterable<T = unknown>(source: EventTarget | EventEmitter, eventName: string, options?: FromOptions): AsyncGen<T>;
 
 export function toEventEmitter<T = any>(asyncIterable: AsyncIterable<T>, emitter: EventEmitter, eventName: string): Promise<void>;
 
+// Streams
+/** Reads a Node Readable stream on demand, so a slow consumer holds back the stream. */
+export function fromReadable<T = Buffer | string>(
+  readable: NodeJS.ReadableStream,
+  options?: { signal?: AbortSignal; destroyOnReturn?: boolean }
+): AsyncGenerator<T> & Disposer;
+/** Reads a WHATWG ReadableStream on demand and cancels it when the consumer stops early. */
+export function fromReadableStream<T>(
+  stream: ReadableStream<T>,
+  options?: { signal?: AbortSignal; preventCancel?: boolean }
+): AsyncGenerator<T> & Disposer;
+/** Writes every value to a Node Writable stream, waiting for 'drain' when its buffer is full. */
+export function toWritable<T>(
+  asyncIterable: AsyncIterable<T> | Iterable<T>,
+  writable: NodeJS.WritableStream,
+  options?: { end?: boolean; signal?: AbortSignal }
+): Promise<void>;
+/** A WHATWG ReadableStream that pulls from the iterable only when its queue has room. */
+export function toReadableStream<T>(
+  asyncIterable: AsyncIterable<T> | Iterable<T>,
+  options?: QueuingStrategy<T>
+): ReadableStream<T>;
+/** Wraps an operator as a TransformStream for pipeThrough(). */
+export function toTransformStream<T, R>(
+  operator: (iterable: AsyncIterable<T>) => AsyncIterable<R>,
+  options?: { writableStrategy?: QueuingStrategy<T>; readableStrategy?: QueuingStrategy<R> }
+): TransformStream<T, R>;
+
+export interface ToEventTargetOptions<T> {
+  /** Dispatch CustomEvents (value in `detail`) or MessageEvents (value in `data`). Defaults to 'custom'. */
+  eventKind?: 'custom' | 'message';
+  /** Builds the event for a value; replaces `eventKind`. */
+  eventFactory?: (value: T, type: string) => Event;
+  /** Event dispatched on completion. Defaults to 'complete'; null disables it. */
+  completeEvent?: string | null;
+  /** CustomEvent dispatched with the error in `detail` on failure. Defaults to 'error'; null disables it. */
+  errorEvent?: string | null;
+  /** Stops reading the iterable without dispatching a completion or error event. */
+  signal?: AbortSignal;
+}
+
+/** Dispatches every value of the iterable into an EventTarget. */
+export function toEventTarget<T = any>(
+  asyncIterable: AsyncIterable<T> | Iterable<T>,
+  target: EventTarget,
+  type: string,
+  options?: ToEventTargetOptions<T>
+): Promise<void>;
+
 // Operators
 export function map<T, R>(fn: (value: T, index: number) => R): Operator<T, R>;
 export function filter<T>(fn: (value: T, index: number) => boolean): Operator<T, T>;
 export function take<T>(n: number): Operator<T, T>;
 export function buffer<T>(size: number): Operator<T, T[]>;
+/** Arrays of `size` values, starting a new one every `step` values (sliding when step < size). */
+export function bufferCount<T>(size: number, step?: number): Operator<T, T[]>;
+/** Arrays flushed every `ms` milliseconds or at `maxSize` values, whichever comes first. */
+export function bufferTime<T>(ms: number, options?: SchedulerOptions & { maxSize?: number }): Operator<T, T[]>;
+/** One async iterable per `ms`-millisecond window, closed early at `maxSize` values. */
+export function windowTime<T>(ms: number, options?: SchedulerOptions & { maxSize?: number }): Operator<T, AsyncIterable<T>>;
 
 // pipe overloads for better type inference
 export function pipe<A>(iterable: AsyncIterable<A>): AsyncGen<A>;
@@ -64,23 +309,203 @@ export function pipe<A, B, C>(iterable: AsyncIterable<A>, op1: Operator<A, B>, o
 export function pipe<A, B, C, D>(iterable: AsyncIterable<A>, op1: Operator<A, B>, op2: Operator<B, C>, op3: Operator<C, D>): AsyncGen<D>;
 export function pipe<A, B, C, D, E>(iterable: AsyncIterable<A>, op1: Operator<A, B>, op2: Operator<B, C>, op3: Operator<C, D>, op4: Operator<D, E>): AsyncGen<E>;
 export function pipe(iterable: AsyncIterable<unknown>, ...ops: Array<(it: any) => any>): AsyncGen<unknown>;
+export interface PipeOptions {
+  /** Cancels the whole chain: pending reads reject with an AbortError and every stage is returned. */
+  signal?: AbortSignal;
+}
+export function pipe<A, B>(iterable: AsyncIterable<A>, op1: Operator<A, B>, options: PipeOptions): AsyncGen<B>;
+export function pipe<A, B, C>(iterable: AsyncIterable<A>, op1: Operator<A, B>, op2: Operator<B, C>, options: PipeOptions): AsyncGen<C>;
+export function pipe(iterable: AsyncIterable<unknown>, ...args: Array<((it: any) => any) | PipeOptions>): any;
+
+/** Completes when the signal aborts, the promise resolves or the iterable emits, and stops the source. */
+export function takeUntil<T>(notifier: AbortSignal | PromiseLike<unknown> | AsyncIterable<unknown> | Iterable<unknown>): Operator<T, T>;
 
 // Reliability
-export interface RetryOptions { attempts?: number; delay?: number; }
-export function retryIterable<T>(factory: () => AsyncIterable<T>, options?: RetryOptions): AsyncGen<T>;
+/** Computes the wait in milliseconds before the next attempt. */
+export type BackoffFunction = (attempt: number, error: unknown, previousDelay: number) => number;
+export interface RetryOptions<T = unknown> extends SchedulerOptions {
+  attempts?: number;
+  /** Base delay in milliseconds. */
+  delay?: number;
+  backoff?: 'fixed' | 'exponential' | 'decorrelated-jitter' | BackoffFunction;
+  /** Multiplier per attempt for 'exponential'. Default 2. */
+  factor?: number;
+  maxDelay?: number;
+  shouldRetry?: (error: unknown, attempt: number) => boolean;
+  onRetry?: (error: unknown, attempt: number, delay: number) => void;
+  /** Used instead of the factory for retries once a value has been emitted. */
+  resumeFrom?: (lastValue: T) => AsyncIterable<T>;
+  signal?: AbortSignal;
+}
+export function retryIterable<T>(factory: () => AsyncIterable<T>, options?: RetryOptions<T>): AsyncGen<T>;
 
 // Additional operators
 export function scan<T, R>(reducer: (acc: R, value: T, index: number) => R, seed: R): Operator<T, R>;
 export function distinctUntilChanged<T>(equals?: (a: T, b: T) => boolean): Operator<T, T>;
-export function debounceTime<T>(ms: number): Operator<T, T>;
-export function throttleTime<T>(ms: number, opts?: { leading?: boolean; trailing?: boolean }): Operator<T, T>;
-export function timeout<T>(ms: number, opts?: { error?: Error }): Operator<T, T>;
+/** Emits a value once `ms` has passed without another; `leading` emits the first value of a burst instead. */
+export function debounceTime<T>(ms: number, opts?: SchedulerOptions & { leading?: boolean; trailing?: boolean }): Operator<T, T>;
+export function throttleTime<T>(ms: number, opts?: SchedulerOptions & { leading?: boolean; trailing?: boolean }): Operator<T, T>;
+/** Emits the latest value at the end of each `ms` window opened by a value. */
+export function auditTime<T>(ms: number, opts?: SchedulerOptions): Operator<T, T>;
+/** Emits the latest new value whenever the notifier emits, or every `ms` milliseconds. */
+export function sample<T>(notifier: AsyncIterable<unknown> | Iterable<unknown> | number, opts?: SchedulerOptions): Operator<T, T>;
+export interface TimeoutOptions<T> extends SchedulerOptions {
+  /** 'first': deadline for the first value; 'each' (default): idle gap per value; 'total': deadline for the whole stream. */
+  mode?: 'first' | 'each' | 'total';
+  /** Error or message for the TimeoutError thrown when time runs out. */
+  error?: Error | string;
+  /** Fallback to continue with instead of throwing. */
+  with?: AsyncIterable<T> | Iterable<T>;
+}
+export function timeout<T>(ms: number, opts?: TimeoutOptions<T>): Operator<T, T>;
 
 // Combinators
+export interface MergeOptions {
+  /** 'failFast' (default) rethrows the first error, 'collect' throws an AggregateError at the end, 'ignore' drops failed sources. */
+  errorMode?: 'failFast' | 'collect' | 'ignore';
+  /** Maximum number of sources read at once. Defaults to Infinity. */
+  maxConcurrent?: number;
+}
 export function merge<T>(...iterables: AsyncIterable<T>[]): AsyncGen<T>;
+export function merge<T>(...args: [...iterables: Array<AsyncIterable<T> | Iterable<T>>, options: MergeOptions]): AsyncGen<T>;
+/** Merges the sources emitted by an (async) iterable of sources. */
+export function mergeAll<T>(options?: MergeOptions): (sources: AsyncIterable<InnerSource<T>> | Iterable<InnerSource<T>>) => AsyncGen<T>;
 export function zip<A, B>(a: AsyncIterable<A>, b: AsyncIterable<B>): AsyncGen<[A, B]>;
 export function zip<A, B, C>(a: AsyncIterable<A>, b: AsyncIterable<B>, c: AsyncIterable<C>): AsyncGen<[A, B, C]>;
 export function zip<T extends any[]>(...iterables: { [K in keyof T]: AsyncIterable<T[K]> }): AsyncGen<T>;
+export interface ZipOptions {
+  /** Read each source ahead into a buffer of this size instead of pulling in lockstep. */
+  bufferLimit?: number;
+  /** What happens when a source fills its buffer; 'throw' (default) fails with QueueOverflowError. */
+  onOverflow?: OverflowPolicy;
+}
+export function zip<T extends any[]>(...args: [...iterables: { [K in keyof T]: AsyncIterable<T[K]> }, options: ZipOptions]): AsyncGen<T>;
+/** Like zip, but continues until every source is exhausted, using `fillValue` for finished sources. */
+export function zipLongest<T extends any[], F = undefined>(
+  ...args: [...iterables: { [K in keyof T]: AsyncIterable<T[K]> }, options: ZipOptions & { fillValue?: F }]
+): AsyncGen<{ [K in keyof T]: T[K] | F }>;
+export function zipLongest<T extends any[]>(...iterables: { [K in keyof T]: AsyncIterable<T[K]> }): AsyncGen<{ [K in keyof T]: T[K] | undefined }>;
+/** Settles like the first iterable to settle (its first value, completion or error), then cancels the others. */
+export function race<T>(...iterables: AsyncIterable<T>[]): AsyncGen<T>;
+/** The first source to emit wins and keeps streaming; the others are cancelled. */
+export function raceStreams<T>(...iterables: AsyncIterable<T>[]): AsyncGen<T>;
+export function raceStreams<T>(
+  ...args: [...iterables: AsyncIterable<T>[], options: { predicate?: (value: T, index: number) => boolean }]
+): AsyncGen<T>;
+/** Like raceStreams, but only a value accepted by `predicate` wins the race. */
+export function amb<T>(predicate: (value: T, index: number) => boolean, ...iterables: AsyncIterable<T>[]): AsyncGen<T>;
+/** Emits the latest value of every source (as a tuple or keyed object) on each change, once all have produced a value. */
+export function combineLatest<T extends any[]>(sources: [...{ [K in keyof T]: AsyncIterable<T[K]> }]): AsyncGen<T>;
+export function combineLatest<T extends Record<string, any>>(sources: { [K in keyof T]: AsyncIterable<T[K]> }): AsyncGen<T>;
+/** Pairs each source value with the latest values of the other iterables. */
+export function withLatestFrom<T, O extends any[]>(...others: { [K in keyof O]: AsyncIterable<O[K]> }): Operator<T, [T, ...O]>;
+
+// Higher-order flattening
+/** What a projection may return: inner values are flattened into the output. */
+export type InnerSource<R> = AsyncIterable<R> | Iterable<R> | PromiseLike<R>;
+/** Projection for flattening operators; `signal` aborts when the inner is cancelled or the output closes. */
+export type Project<T, R> = (value: T, index: number, signal: AbortSignal) => InnerSource<R>;
+
+export function mergeMap<T, R>(fn: Project<T, R>, options?: { concurrency?: number }): Operator<T, R>;
+export function concatMap<T, R>(fn: Project<T, R>): Operator<T, R>;
+export function switchMap<T, R>(fn: Project<T, R>): Operator<T, R>;
+export function exhaustMap<T, R>(fn: Project<T, R>): Operator<T, R>;
+
+// Grouping
+export interface GroupByOptions extends SchedulerOptions {
+  /** Close a group after this many milliseconds without values. Defaults to Infinity. */
+  durationMs?: number;
+  /** Maximum number of open groups; the least recently used group is closed to make room. */
+  maxGroups?: number;
+  /** Per-group queue size (0 = unlimited). */
+  queueLimit?: number;
+  /** Per-group overflow policy. 'throw' fails only the overflowing group. */
+  onOverflow?: OverflowPolicy;
+}
+export interface Group<K, T> {
+  key: K;
+  /** Values with this key, from the moment the group opened until it closes. */
+  values: AsyncIterableIterator<T>;
+}
+/** Splits the source into one async iterable per key. */
+export function groupBy<T, K>(keyFn: (value: T, index: number) => K, options?: GroupByOptions): Operator<T, Group<K, T>>;
+
+// Multicasting
+export interface ShareOptions {
+  /** Per-consumer queue size (0 = unlimited). */
+  queueLimit?: number;
+  /** Per-consumer overflow policy. 'block' holds back the shared source for every consumer. */
+  onOverflow?: OverflowPolicy;
+}
+
+export interface ShareReplayOptions extends ShareOptions, SchedulerOptions {
+  /** Maximum number of values replayed to late consumers. Defaults to Infinity. */
+  bufferSize?: number;
+  /** Only replay values emitted within this many milliseconds. Defaults to Infinity. */
+  windowMs?: number;
+}
+
+/** Shares one iteration of the source between independent consumers, stopping it when the last one returns. */
+export function share<T>(options?: ShareOptions): Operator<T, T>;
+/** Like share, but replays recent values to consumers that join late. */
+export function shareReplay<T>(options?: ShareReplayOptions): Operator<T, T>;
+
+/** Per-branch queue options for tee and partition. */
+export interface BranchOptions {
+  /** Per-branch queue size (0 = unlimited). */
+  queueLimit?: number;
+  /** Per-branch overflow policy. 'throw' fails only the overflowing branch; 'block' holds back the source. */
+  onOverflow?: OverflowPolicy;
+}
+/** Splits a source into n independent copies, each with its own queue. */
+export function tee<T>(source: AsyncIterable<T>, n?: number, options?: BranchOptions): AsyncIterable<T>[];
+/** Splits a source into the values that match a predicate and the rest. */
+export function partition<T>(
+  predicate: (value: T, index: number) => boolean,
+  options?: BranchOptions
+): (source: AsyncIterable<T>) => [AsyncIterable<T>, AsyncIterable<T>];
+
+// Terminal operators
+export interface TerminalOptions {
+  /** Cancels the operation; the promise rejects with an AbortError. */
+  signal?: AbortSignal;
+}
+export type Terminal<T, R> = (iterable: AsyncIterable<T> | Iterable<T>) => Promise<R>;
+
+/** Reduces the source to a single value. */
+export function reduce<T, R>(
+  reducer: (acc: R, value: T, index: number) => R | Promise<R>,
+  seed: R,
+  options?: TerminalOptions
+): Terminal<T, R>;
+/** Collects every value; rejects with a QueueOverflowError past `maxItems`. */
+export function toArray<T>(options?: TerminalOptions & { maxItems?: number }): Terminal<T, T[]>;
+export function count<T>(options?: TerminalOptions): Terminal<T, number>;
+/** Resolves with the first value, or `defaultValue` if the source is empty. */
+export function first<T, D = undefined>(options?: TerminalOptions & { defaultValue?: D }): Terminal<T, T | D>;
+/** Resolves with the last value, or `defaultValue` if the source is empty. */
+export function last<T, D = undefined>(options?: TerminalOptions & { defaultValue?: D }): Terminal<T, T | D>;
+export function find<T>(
+  predicate: (value: T, index: number) => boolean | Promise<boolean>,
+  options?: TerminalOptions
+): Terminal<T, T | undefined>;
+/** Stops reading at the first value that does not match. */
+export function every<T>(
+  predicate: (value: T, index: number) => boolean | Promise<boolean>,
+  options?: TerminalOptions
+): Terminal<T, boolean>;
+/** Stops reading at the first value that matches. */
+export function some<T>(
+  predicate: (value: T, index: number) => boolean | Promise<boolean>,
+  options?: TerminalOptions
+): Terminal<T, boolean>;
+/** Calls fn for every value, up to `concurrency` (default 1) at once; the first failure rejects. */
+export function forEach<T>(
+  fn: (value: T, index: number) => unknown,
+  options?: TerminalOptions & { concurrency?: number }
+): Terminal<T, void>;
+/** Resolves with the first value of the iterable, or undefined if there is none. */
+export function toPromise<T>(iterable: AsyncIterable<T>, options?: TerminalOptions): Promise<T | undefined>;
 
 /**
  * Applies backpressure policies to any async iterable with optimized memory usage
@@ -88,11 +513,11 @@ export function zip<T extends any[]>(...iterables: { [K in keyof T]: AsyncIterab
  * @param options Configuration options
  * @returns A function that wraps an async iterable with queue behavior
  */
-export function withQueue<T>(options?: {
+export function withQueue<T>(options?: WaterMarkOptions & PriorityOptions<T> & {
   queueLimit?: number;
-  onOverflow?: 'drop-old' | 'drop-new' | 'throw';
+  onOverflow?: OverflowPolicy;
   signal?: AbortSignal;
-}): <T>(iterable: AsyncIterable<T>) => AsyncIterable<T>;
+}): <T>(iterable: AsyncIterable<T>) => DisposableAsyncGen<T>;
 
 // WebSocket Connectors
 declare module './connectors/websocket' {
@@ -105,20 +530,58 @@ declare const _default: {
   fromEventEmitter: typeof fromEventEmitter,
   toAsyncIterable: typeof toAsyncIterable,
   toEventEmitter: typeof toEventEmitter,
+  toEventTarget: typeof toEventTarget;
+  fromReadable: typeof fromReadable;
+  fromReadableStream: typeof fromReadableStream;
+  toWritable: typeof toWritable;
+  toReadableStream: typeof toReadableStream;
+  toTransformStream: typeof toTransformStream;
   map: typeof map,
   filter: typeof filter,
   take: typeof take,
+  takeUntil: typeof takeUntil;
   buffer: typeof buffer,
+  bufferCount: typeof bufferCount;
+  bufferTime: typeof bufferTime;
+  windowTime: typeof windowTime;
   pipe: typeof pipe;
   retryIterable: typeof retryIterable;
   scan: typeof scan;
   distinctUntilChanged: typeof distinctUntilChanged;
   debounceTime: typeof debounceTime,
   throttleTime: typeof throttleTime;
+  auditTime: typeof auditTime;
+  sample: typeof sample;
   timeout: typeof timeout;
   merge: typeof merge;
+  mergeAll: typeof mergeAll;
   zip: typeof zip;
+  zipLongest: typeof zipLongest;
+  race: typeof race;
+  raceStreams: typeof raceStreams;
+  amb: typeof amb;
+  combineLatest: typeof combineLatest;
+  withLatestFrom: typeof withLatestFrom;
+  mergeMap: typeof mergeMap;
+  concatMap: typeof concatMap;
+  switchMap: typeof switchMap;
+  exhaustMap: typeof exhaustMap;
+  groupBy: typeof groupBy;
+  share: typeof share;
+  shareReplay: typeof shareReplay;
+  tee: typeof tee;
+  partition: typeof partition;
   withQueue: typeof withQueue;
+  reduce: typeof reduce;
+  toArray: typeof toArray;
+  count: typeof count;
+  first: typeof first;
+  last: typeof last;
+  find: typeof find;
+  every: typeof every;
+  some: typeof some;
+  forEach: typeof forEach;
+  toPromise: typeof toPromise;
   
   // WebSocket Connectors
   connectors: {
@@ -126,6 +589,11 @@ declare const _default: {
     createWebSocketServer: typeof import('./connectors/websocket').createWebSocketServer;
     createHybridServer: typeof import('./connectors/websocket').createHybridServer;
   };
+  VirtualTimeScheduler: typeof VirtualTimeScheduler;
+  defaultScheduler: typeof defaultScheduler;
   QUEUE_POLICIES: typeof QUEUE_POLICIES;
+  BACKOFF_STRATEGIES: typeof BACKOFF_STRATEGIES;
+  TIMEOUT_MODES: typeof TIMEOUT_MODES;
+  MERGE_ERROR_MODES: typeof MERGE_ERROR_MODES;
 };
 export default _default;
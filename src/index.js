@@ -3,7 +3,9 @@
 
 // Core utilities
 import { createAsyncQueue } from './core/asyncQueue.js';
-import { QUEUE_POLICIES, ERROR_MESSAGES } from './constants.js';
+import { createSubject, createBehaviorSubject, createReplaySubject } from './core/subject.js';
+import { VirtualTimeScheduler, defaultScheduler } from './core/scheduler.js';
+import { QUEUE_POLICIES, BACKOFF_STRATEGIES, TIMEOUT_MODES, MERGE_ERROR_MODES, ERROR_MESSAGES } from './constants.js';
 
 // Connectors
 import * as connectors from './connectors/index.js';
@@ -13,25 +15,44 @@ import fromEventTarget from './sources/fromEventTarget.js';
 import fromEventEmitter from './sources/fromEventEmitter.js';
 import fromPromise from './sources/fromPromise.js';
 import fromInterval from './sources/fromInterval.js';
+import fromReadable from './sources/fromReadable.js';
+import fromReadableStream from './sources/fromReadableStream.js';
 
 // Operators
 import map from './operators/map.js';
 import filter from './operators/filter.js';
 import take from './operators/take.js';
-import buffer from './operators/buffer.js';
+import takeUntil from './operators/takeUntil.js';
+import buffer, { bufferCount, bufferTime, windowTime } from './operators/buffer.js';
 import scan from './operators/scan.js';
 import distinctUntilChanged from './operators/distinctUntilChanged.js';
 import debounceTime from './operators/debounceTime.js';
 import throttleTime from './operators/throttleTime.js';
+import auditTime from './operators/auditTime.js';
+import sample from './operators/sample.js';
 import timeout from './operators/timeout.js';
-import merge from './operators/merge.js';
-import zip from './operators/zip.js';
+import { merge, mergeAll } from './operators/merge.js';
+import { zip, zipLongest } from './operators/zip.js';
+import combineLatest from './operators/combineLatest.js';
+import withLatestFrom from './operators/withLatestFrom.js';
 import concat from './operators/concat.js';
-import race from './operators/race.js';
+import race, { raceStreams, amb } from './operators/race.js';
 import { pipe, pipeOperators } from './operators/pipe.js';
+import { share, shareReplay } from './operators/share.js';
+import { tee, partition } from './operators/tee.js';
+import { mergeMap, concatMap } from './operators/mergeMap.js';
+import switchMap from './operators/switchMap.js';
+import exhaustMap from './operators/exhaustMap.js';
+import groupBy from './operators/groupBy.js';
+import { reduce, toArray, count, first, last, find, every, some, forEach } from './operators/terminal.js';
+import toPromise from './operators/toPromise.js';
 
 // Utils
 import toEventEmitter from './utils/toEventEmitter.js';
+import toEventTarget from './utils/toEventTarget.js';
+import toWritable from './utils/toWritable.js';
+import toReadableStream from './utils/toReadableStream.js';
+import toTransformStream from './utils/toTransformStream.js';
 import toAsyncIterable from './utils/toAsyncIterable.js';
 import { retryIterable } from './utils/retryIterable.js';
 
@@ -39,7 +60,7 @@ import { retryIterable } from './utils/retryIterable.js';
 import { withQueue } from './withQueue.js';
 
 // Export error classes
-export { UniconnectError, AbortError, QueueOverflowError, ValidationError, NotSupportedError } from './errors.js';
+export { UniconnectError, AbortError, TimeoutError, QueueOverflowError, ValidationError, NotSupportedError } from './errors.js';
 
 // Re-export createAsyncQueue from core
 // Note: createAsyncQueue is already imported and will be included in the exports below
@@ -50,19 +71,31 @@ export {
   fromEventTarget,
   fromEventEmitter,
   toEventEmitter,
+  toEventTarget,
+  fromReadable,
+  fromReadableStream,
+  toWritable,
+  toReadableStream,
+  toTransformStream,
   toAsyncIterable,
   
   // Utility functions
   fromPromise,
   concat,
   race,
+  raceStreams,
+  amb,
   fromInterval,
   
   // Operators
   map,
   filter,
   take,
+  takeUntil,
   buffer,
+  bufferCount,
+  bufferTime,
+  windowTime,
   pipe,
   pipeOperators,
   retryIterable,
@@ -70,16 +103,51 @@ export {
   distinctUntilChanged,
   debounceTime,
   throttleTime,
+  auditTime,
+  sample,
   timeout,
   merge,
+  mergeAll,
   zip,
+  zipLongest,
+  combineLatest,
+  withLatestFrom,
+  mergeMap,
+  concatMap,
+  switchMap,
+  exhaustMap,
+  groupBy,
+  share,
+  shareReplay,
+  tee,
+  partition,
   withQueue,
   
+  // Terminal operators
+  reduce,
+  toArray,
+  count,
+  first,
+  last,
+  find,
+  every,
+  some,
+  forEach,
+  toPromise,
+  
   // Core utilities
   createAsyncQueue,
+  createSubject,
+  createBehaviorSubject,
+  createReplaySubject,
+  VirtualTimeScheduler,
+  defaultScheduler,
   
   // Constants
   QUEUE_POLICIES,
+  BACKOFF_STRATEGIES,
+  TIMEOUT_MODES,
+  MERGE_ERROR_MODES,
   ERROR_MESSAGES,
 };
 
@@ -89,19 +157,31 @@ const mainExports = {
   fromEventTarget,
   fromEventEmitter,
   toEventEmitter,
+  toEventTarget,
+  fromReadable,
+  fromReadableStream,
+  toWritable,
+  toReadableStream,
+  toTransformStream,
   toAsyncIterable,
   
   // Utility functions
   fromPromise,
   concat,
   race,
+  raceStreams,
+  amb,
   fromInterval,
   
   // Operators
   map,
   filter,
   take,
+  takeUntil,
   buffer,
+  bufferCount,
+  bufferTime,
+  windowTime,
   pipe,
   pipeOperators,
   retryIterable,
@@ -109,16 +189,51 @@ const mainExports = {
   distinctUntilChanged,
   debounceTime,
   throttleTime,
+  auditTime,
+  sample,
   timeout,
   merge,
+  mergeAll,
   zip,
+  zipLongest,
+  combineLatest,
+  withLatestFrom,
+  mergeMap,
+  concatMap,
+  switchMap,
+  exhaustMap,
+  groupBy,
+  share,
+  shareReplay,
+  tee,
+  partition,
   withQueue,
   
+  // Terminal operators
+  reduce,
+  toArray,
+  count,
+  first,
+  last,
+  find,
+  every,
+  some,
+  forEach,
+  toPromise,
+  
   // Core utilities
   createAsyncQueue,
+  createSubject,
+  createBehaviorSubject,
+  createReplaySubject,
+  VirtualTimeScheduler,
+  defaultScheduler,
   
   // Constants
   QUEUE_POLICIES,
+  BACKOFF_STRATEGIES,
+  TIMEOUT_MODES,
+  MERGE_ERROR_MODES,
   ERROR_MESSAGES,
 };
 
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { auditTime } from '../auditTime.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('auditTime', () => {
+  it('should validate ms', () => {
+    expect(() => auditTime(-1)).toThrow(ValidationError);
+    expect(() => auditTime('3')).toThrow(ValidationError);
+  });
+
+  it('should emit the latest value at the end of each window', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      auditTime(3, { scheduler: tester.scheduler })(tester.cold('ab---c|')),
+      '---b--(c|)'
+    );
+  });
+
+  it('should only open a window when a value arrives', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      auditTime(2, { scheduler: tester.scheduler })(tester.cold('a------b---|')),
+      '--a------b-|'
+    );
+  });
+
+  it('should pass source errors through', async () => {
+    const tester = createMarbleTester();
+    const error = new Error('boom');
+
+    await tester.expect(
+      auditTime(3, { scheduler: tester.scheduler })(tester.cold('a#', {}, error)),
+      '-#',
+      {},
+      error
+    );
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { buffer, bufferCount, bufferTime, windowTime } from '../buffer.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { toArray } from '../terminal.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('buffer', () => {
+  it('should group values by count and flush the rest', async () => {
+    expect(await toArray()(buffer(2)(fromIterable([1, 2, 3, 4, 5])))).toEqual([[1, 2], [3, 4], [5]]);
+  });
+});
+
+describe('bufferCount', () => {
+  it('should validate size and step', () => {
+    expect(() => bufferCount(0)).toThrow(ValidationError);
+    expect(() => bufferCount(2, 1.5)).toThrow(ValidationError);
+  });
+
+  it('should yield overlapping windows when step is smaller than size', async () => {
+    const windows = await toArray()(bufferCount(3, 1)(fromIterable([1, 2, 3, 4])));
+
+    expect(windows).toEqual([[1, 2, 3], [2, 3, 4], [3, 4], [4]]);
+  });
+
+  it('should skip values when step is larger than size', async () => {
+    const windows = await toArray()(bufferCount(2, 3)(fromIterable([1, 2, 3, 4, 5, 6, 7])));
+
+    expect(windows).toEqual([[1, 2], [4, 5], [7]]);
+  });
+});
+
+describe('bufferTime', () => {
+  it('should validate ms and maxSize', () => {
+    expect(() => bufferTime(0)).toThrow(ValidationError);
+    expect(() => bufferTime(10, { maxSize: 0 })).toThrow(ValidationError);
+  });
+
+  it('should flush every window and skip empty ones', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      bufferTime(3, { scheduler: tester.scheduler })(tester.cold('ab-----c|')),
+      '---x----(z|)',
+      { x: ['a', 'b'], z: ['c'] }
+    );
+  });
+
+  it('should flush early once maxSize values are collected', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      bufferTime(10, { maxSize: 2, scheduler: tester.scheduler })(tester.cold('abc|')),
+      '-x-(y|)',
+      { x: ['a', 'b'], y: ['c'] }
+    );
+  });
+
+  it('should fail with the source error', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(bufferTime(10, { scheduler: tester.scheduler })(tester.cold('a#')), '-#');
+  });
+});
+
+describe('windowTime', () => {
+  it('should drop values for a window whose consumer broke out of it', async () => {
+    const tester = createMarbleTester();
+    const windows = windowTime(4, { scheduler: tester.scheduler })(tester.cold('abcdefgh|'));
+
+    const firsts = (async () => {
+      const values = [];
+      for await (const window of windows) {
+        for await (const value of window) {
+          values.push(value);
+          break;
+        }
+      }
+      return values;
+    })();
+
+    await tester.scheduler.runAll();
+    expect(await firsts).toEqual(['a', 'e']);
+  });
+  it('should split values into windows of ms', async () => {
+    const tester = createMarbleTester();
+    const windows = windowTime(3, { scheduler: tester.scheduler })(tester.cold('ab-cd-e|'));
+
+    const contents = (async () => {
+      const result = [];
+      for await (const window of windows) {
+        result.push(toArray()(window));
+      }
+      return Promise.all(result);
+    })();
+
+    await tester.scheduler.runAll();
+    expect(await contents).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  it('should close a window early once it has maxSize values', async () => {
+    const tester = createMarbleTester();
+    const windows = windowTime(100, { maxSize: 2, scheduler: tester.scheduler })(tester.cold('abc|'));
+
+    const contents = (async () => {
+      const result = [];
+      for await (const window of windows) {
+        result.push(toArray()(window));
+      }
+      return Promise.all(result);
+    })();
+
+    await tester.scheduler.runAll();
+    expect(await contents).toEqual([['a', 'b'], ['c']]);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { combineLatest } from '../combineLatest.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('combineLatest', () => {
+  it('should validate sources', () => {
+    expect(() => combineLatest(null)).toThrow(ValidationError);
+    expect(() => combineLatest([42])).toThrow(ValidationError);
+    expect(() => combineLatest({ a: 42 })).toThrow(ValidationError);
+  });
+
+  it('should emit arrays once every source has a value', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      combineLatest([tester.cold('a---b|'), tester.cold('--1-|')]),
+      '--x-y|',
+      { x: ['a', '1'], y: ['b', '1'] }
+    );
+  });
+
+  it('should emit keyed objects for a record of sources', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      combineLatest({ price: tester.cold('a-b|'), user: tester.cold('-u|') }),
+      '-xy|',
+      { x: { price: 'a', user: 'u' }, y: { price: 'b', user: 'u' } }
+    );
+  });
+
+  it('should complete at once when a source completes without a value', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(combineLatest([tester.cold('a----b|'), tester.cold('--|')]), '--|');
+  });
+
+  it('should rethrow the first error', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(combineLatest([tester.cold('a--b|'), tester.cold('1-#')]), 'x-#', { x: ['a', '1'] });
+  });
+
+  it('should stop every source on return()', async () => {
+    const returned = [];
+    const source = (name) => ({
+      [Symbol.asyncIterator]: () => ({
+        next: async () => ({ value: name, done: false }),
+        return: async () => {
+          returned.push(name);
+          return { done: true };
+        }
+      })
+    });
+
+    const iterator = combineLatest([source('a'), source('b')])[Symbol.asyncIterator]();
+    await iterator.next();
+    await iterator.return();
+
+    expect(returned.sort()).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { debounceTime } from '../debounceTime.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('debounceTime', () => {
+  it('should validate ms and the edges', () => {
+    expect(() => debounceTime(-1)).toThrow(ValidationError);
+    expect(() => debounceTime(10, { leading: false, trailing: false })).toThrow(ValidationError);
+  });
+
+  it('should emit the last value of a burst once it has gone quiet', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      debounceTime(3, { scheduler: tester.scheduler })(tester.cold('a-b-----c|')),
+      '-----b---(c|)'
+    );
+  });
+
+  it('should emit the first value of a burst with leading', async () => {
+    const tester = createMarbleTester();
+    const options = { leading: true, trailing: false, scheduler: tester.scheduler };
+
+    await tester.expect(debounceTime(3, options)(tester.cold('a-b-----c|')), 'a-------c|');
+  });
+
+  it('should emit both edges of a burst with more than one value', async () => {
+    const tester = createMarbleTester();
+    const options = { leading: true, scheduler: tester.scheduler };
+
+    await tester.expect(debounceTime(3, options)(tester.cold('a-b-----c|')), 'a----b--c|');
+  });
+
+  it('should pass source errors through and drop the waiting value', async () => {
+    const tester = createMarbleTester();
+    const error = new Error('boom');
+
+    await tester.expect(
+      debounceTime(3, { scheduler: tester.scheduler })(tester.cold('a-#', {}, error)),
+      '--#',
+      {},
+      error
+    );
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import { mergeMap, concatMap } from '../mergeMap.js';
+import { switchMap } from '../switchMap.js';
+import { exhaustMap } from '../exhaustMap.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { createAsyncQueue } from '../../core/asyncQueue.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+import { collect, flush } from '../../__tests__/utils.js';
+
+describe('mergeMap', () => {
+  it('should validate concurrency', () => {
+    expect(() => mergeMap((x) => x, { concurrency: 0 })).toThrow(ValidationError);
+  });
+
+  it('should flatten iterables, promises and plain values', async () => {
+    const result = await collect(mergeMap((x) => {
+      if (x === 1) return [1, 1];
+      if (x === 2) return Promise.resolve(2);
+      return x;
+    })(fromIterable([1, 2, 3])));
+
+    expect(result.sort()).toEqual([1, 1, 2, 3]);
+  });
+
+  it('should interleave inner values as they arrive', async () => {
+    const tester = createMarbleTester();
+    const inners = {
+      a: tester.cold('-a--a|'),
+      b: tester.cold('-b--b|')
+    };
+
+    await tester.expect(
+      mergeMap((key) => inners[key])(tester.cold('a-b|')),
+      '-a-ba-b|'
+    );
+  });
+
+  it('should not pull the source while the concurrency limit is reached', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      mergeMap((key) => tester.cold(`--${key}|`), { concurrency: 1 })(tester.cold('(ab)|')),
+      '--a--b|'
+    );
+  });
+
+  it('should fail when an inner fails', async () => {
+    const source = mergeMap(async () => {
+      throw new Error('inner failed');
+    })(fromIterable([1]));
+
+    await expect(collect(source)).rejects.toThrow('inner failed');
+  });
+
+  it('should fail when the source cannot be iterated', async () => {
+    const error = new Error('no iterator');
+    const source = mergeMap((x) => x)({
+      [Symbol.asyncIterator]() {
+        throw error;
+      }
+    });
+
+    await expect(collect(source)).rejects.toBe(error);
+  });
+
+  it('should cancel active inners when the consumer returns', async () => {
+    const aborted = [];
+    const source = mergeMap((x, index, signal) => {
+      signal.addEventListener('abort', () => aborted.push(x));
+      return (async function* () {
+        yield x;
+        await new Promise(() => {});
+      })();
+    })(fromIterable([1, 2]));
+
+    const iterator = source[Symbol.asyncIterator]();
+    await iterator.next();
+    await iterator.return();
+
+    expect(aborted.sort()).toEqual([1, 2]);
+  });
+});
+
+describe('concatMap', () => {
+  it('should run one inner at a time in source order', async () => {
+    const tester = createMarbleTester();
+    const inners = {
+      a: tester.cold('-1-2|'),
+      b: tester.cold('3|')
+    };
+
+    await tester.expect(concatMap((key) => inners[key])(tester.cold('ab|')), '-1-23|');
+  });
+});
+
+describe('switchMap', () => {
+  it('should cancel the previous inner when a new value arrives', async () => {
+    const tester = createMarbleTester();
+    const inners = {
+      a: tester.cold('-1--2|'),
+      b: tester.cold('-3|')
+    };
+
+    await tester.expect(switchMap((key) => inners[key])(tester.cold('a--b|')), '-1--3|');
+  });
+
+  it('should abort the signal of the cancelled inner', async () => {
+    const tester = createMarbleTester();
+    const signals = [];
+
+    await tester.record(switchMap((key, index, signal) => {
+      signals.push(signal);
+      return tester.cold('--x|');
+    })(tester.cold('ab|')));
+
+    expect(signals.map((signal) => signal.aborted)).toEqual([true, false]);
+  });
+
+  it('should drop values the cancelled inner queued while the consumer was slow', async () => {
+    const source = createAsyncQueue();
+    const iterator = switchMap((key) => [`${key}1`, `${key}2`, `${key}3`])(source)[Symbol.asyncIterator]();
+
+    source.enqueue('a');
+    expect(await iterator.next()).toEqual({ value: 'a1', done: false });
+
+    // a2 sits in the output buffer and a3 waits for room when the switch happens
+    await flush();
+    source.enqueue('b');
+    source.end();
+    await flush();
+
+    expect(await collect(iterator)).toEqual(['b1', 'b2', 'b3']);
+  });
+});
+
+describe('exhaustMap', () => {
+  it('should ignore source values while an inner is active', async () => {
+    const tester = createMarbleTester();
+    const inners = {
+      a: tester.cold('-1-2|'),
+      b: tester.cold('-3|'),
+      c: tester.cold('-4|')
+    };
+
+    await tester.expect(exhaustMap((key) => inners[key])(tester.cold('ab---c|')), '-1-2--4|');
+  });
+});
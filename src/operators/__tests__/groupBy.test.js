@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { groupBy } from '../groupBy.js';
+import { toArray } from '../terminal.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { QueueOverflowError, ValidationError } from '../../errors.js';
+import { flush } from '../../__tests__/utils.js';
+
+// Reads every group concurrently into { key: values[] }
+async function collectGroups(grouped) {
+  const pending = [];
+  for await (const { key, values } of grouped) {
+    pending.push(toArray()(values).then((items) => [key, items], (error) => [key, error]));
+  }
+  return Promise.all(pending);
+}
+
+describe('groupBy', () => {
+  it('should validate keyFn and options', () => {
+    expect(() => groupBy('type')).toThrow(ValidationError);
+    expect(() => groupBy((x) => x, { durationMs: 0 })).toThrow(ValidationError);
+    expect(() => groupBy((x) => x, { maxGroups: 0 })).toThrow(ValidationError);
+    expect(() => groupBy((x) => x, { onOverflow: 'wait' })).toThrow(ValidationError);
+  });
+
+  it('should split values into one group per key', async () => {
+    const grouped = groupBy((n) => (n % 2 ? 'odd' : 'even'))(fromIterable([1, 2, 3, 4, 5]));
+
+    expect(await collectGroups(grouped)).toEqual([['odd', [1, 3, 5]], ['even', [2, 4]]]);
+  });
+
+  it('should pass the index to keyFn', async () => {
+    const grouped = groupBy((value, index) => index < 2)(fromIterable(['a', 'b', 'c']));
+
+    expect(await collectGroups(grouped)).toEqual([[true, ['a', 'b']], [false, ['c']]]);
+  });
+
+  it('should close idle groups and reopen them for later values', async () => {
+    const tester = createMarbleTester();
+    const grouped = groupBy((value) => value, { durationMs: 3, scheduler: tester.scheduler })(tester.cold('aa----a|'));
+    const result = collectGroups(grouped);
+
+    await tester.scheduler.runAll();
+
+    expect(await result).toEqual([['a', ['a', 'a']], ['a', ['a']]]);
+  });
+
+  it('should evict the least recently used group beyond maxGroups', async () => {
+    const grouped = groupBy((value) => value[0], { maxGroups: 2 })(fromIterable(['a1', 'b1', 'a2', 'c1', 'b2']));
+
+    expect(await collectGroups(grouped)).toEqual([
+      ['a', ['a1', 'a2']],
+      ['b', ['b1']],
+      ['c', ['c1']],
+      ['b', ['b2']]
+    ]);
+  });
+
+  it('should fail only the group that overflows', async () => {
+    const grouped = groupBy((value) => value[0], { queueLimit: 1 })(fromIterable(['a1', 'a2', 'b1']));
+    const [[, a], [, b]] = await collectGroups(grouped);
+
+    expect(a).toBeInstanceOf(QueueOverflowError);
+    expect(b).toEqual(['b1']);
+  });
+
+  it('should fail the outer iterable and every group with a source error', async () => {
+    const source = (async function* () {
+      yield 'a1';
+      throw new Error('boom');
+    })();
+
+    const iterator = groupBy((value) => value[0])(source)[Symbol.asyncIterator]();
+    const { value: group } = await iterator.next();
+
+    await expect(iterator.next()).rejects.toThrow('boom');
+    await expect(toArray()(group.values)).rejects.toThrow('boom');
+  });
+
+  it('should keep other groups open when one group returns', async () => {
+    const grouped = groupBy((value) => value[0])(fromIterable(['a1', 'b1', 'a2', 'b2']));
+    const result = [];
+
+    for await (const { key, values } of grouped) {
+      if (key === 'a') {
+        await values.return();
+      } else {
+        result.push(toArray()(values));
+      }
+    }
+
+    expect(await Promise.all(result)).toEqual([['b1', 'b2']]);
+  });
+
+  describe("with the 'block' policy", () => {
+    it('should keep reading the source after a blocked group expires', async () => {
+      const tester = createMarbleTester();
+      const grouped = groupBy((value) => value[0], {
+        queueLimit: 1,
+        onOverflow: 'block',
+        maxGroups: 1,
+        durationMs: 5,
+        scheduler: tester.scheduler
+      })(tester.cold('xyz|', { x: 'a1', y: 'a2', z: 'b1' }));
+
+      // Nobody reads the groups, so 'a' fills up and holds back 'a2' until it expires
+      const keys = (async () => {
+        const result = [];
+        for await (const { key } of grouped) {
+          result.push(key);
+        }
+        return result;
+      })();
+
+      await tester.scheduler.runAll();
+      expect(await keys).toEqual(['a', 'b']);
+    });
+
+    it('should drop the held-back value and stop the source when the outer iterable returns', async () => {
+      let stopped = false;
+      const source = (async function* () {
+        try {
+          yield 'a1';
+          yield 'a2';
+          yield 'a3';
+        } finally {
+          stopped = true;
+        }
+      })();
+
+      const iterator = groupBy((value) => value[0], { queueLimit: 1, onOverflow: 'block', maxGroups: 1 })(source)[Symbol.asyncIterator]();
+      const { value: group } = await iterator.next();
+      await flush();
+
+      await iterator.return();
+      await flush();
+
+      expect(stopped).toBe(true);
+      expect(await toArray()(group.values)).toEqual(['a1']);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { merge, mergeAll } from '../merge.js';
+import { toArray } from '../terminal.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('merge', () => {
+  it('should validate sources and options', () => {
+    expect(() => merge([1], 42)).toThrow(ValidationError);
+    expect(() => merge([1], { errorMode: 'retry' })).toThrow(ValidationError);
+    expect(() => merge([1], { maxConcurrent: 0 })).toThrow(ValidationError);
+  });
+
+  it('should yield values in arrival order', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(merge(tester.cold('a--c|'), tester.cold('-b---d|')), 'ab-c-d|');
+  });
+
+  it('should not lose or reorder values from fast sync sources', async () => {
+    const values = await toArray()(merge([1, 2, 3], [4, 5, 6]));
+
+    expect(values.filter((x) => x <= 3)).toEqual([1, 2, 3]);
+    expect(values.filter((x) => x > 3)).toEqual([4, 5, 6]);
+  });
+
+  it('should keep one pending next() per source', async () => {
+    let calls = 0;
+    let release;
+    const slow = {
+      [Symbol.asyncIterator]: () => ({
+        next: () => {
+          calls++;
+          return new Promise((resolve) => {
+            release = resolve;
+          });
+        }
+      })
+    };
+
+    const iterator = merge(slow, [1, 2, 3])[Symbol.asyncIterator]();
+    for (let i = 0; i < 3; i++) {
+      await iterator.next();
+    }
+    expect(calls).toBe(1);
+
+    release({ value: 'slow', done: false });
+    expect(await iterator.next()).toEqual({ value: 'slow', done: false });
+    await iterator.return();
+  });
+
+  it("should rethrow the first error and cancel the others in 'failFast' mode", async () => {
+    const tester = createMarbleTester();
+    let returned = false;
+    const other = tester.cold('----x|');
+    const tracked = {
+      [Symbol.asyncIterator]() {
+        const iterator = other[Symbol.asyncIterator]();
+        return {
+          next: () => iterator.next(),
+          return: () => {
+            returned = true;
+            return iterator.return();
+          }
+        };
+      }
+    };
+
+    await tester.expect(merge(tester.cold('a#'), tracked), 'a#');
+    expect(returned).toBe(true);
+  });
+
+  it("should throw an AggregateError after the other sources in 'collect' mode", async () => {
+    const tester = createMarbleTester();
+    const notifications = await tester.record(
+      merge(tester.cold('#', {}, new Error('one')), tester.cold('-a|'), tester.cold('--#', {}, new Error('two')), {
+        errorMode: 'collect'
+      })
+    );
+
+    expect(notifications.map(({ kind, value }) => value ?? kind)).toEqual(['a', 'error']);
+    const { error } = notifications[1];
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors.map((e) => e.message)).toEqual(['one', 'two']);
+  });
+
+  it("should drop failed sources in 'ignore' mode", async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(merge(tester.cold('#'), tester.cold('-a|'), { errorMode: 'ignore' }), '-a|');
+  });
+
+  it('should read at most maxConcurrent sources at once', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      merge(tester.cold('-a|'), tester.cold('-----b|'), tester.cold('-c|'), { maxConcurrent: 2 }),
+      '-a-c-b|'
+    );
+  });
+});
+
+describe('mergeAll', () => {
+  it('should merge sources from an async iterable as they arrive', async () => {
+    const tester = createMarbleTester();
+    const sources = tester.cold('x-y|', { x: tester.cold('a--a|'), y: tester.cold('b|') });
+
+    await tester.expect(mergeAll()(sources), 'a-ba|');
+  });
+});
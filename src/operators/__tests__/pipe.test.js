@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { pipe, pipeOperators } from '../pipe.js';
+import { map } from '../map.js';
+import { filter } from '../filter.js';
+import { createAsyncQueue } from '../../core/asyncQueue.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { AbortError } from '../../errors.js';
+import { collect } from '../../__tests__/utils.js';
+
+// An operator stage that records whether it was stopped through return()
+function trackedStage(log, name) {
+  return (source) => ({
+    [Symbol.asyncIterator]() {
+      const iterator = source[Symbol.asyncIterator]();
+      return {
+        next: () => iterator.next(),
+        return: () => {
+          log.push(name);
+          return iterator.return?.() ?? Promise.resolve({ done: true, value: undefined });
+        }
+      };
+    }
+  });
+}
+
+describe('pipe', () => {
+  it('should apply the functions in order', async () => {
+    const output = pipe(
+      fromIterable([1, 2, 3, 4]),
+      filter((value) => value % 2 === 0),
+      map((value) => value * 10)
+    );
+
+    expect(await collect(output)).toEqual([20, 40]);
+    expect(pipe(2, (value) => value + 1, (value) => value * 3)).toBe(9);
+  });
+
+  it('should treat a trailing plain object as options', async () => {
+    const output = pipe(fromIterable([1, 2]), map((value) => value + 1), {});
+
+    expect(await collect(output)).toEqual([2, 3]);
+  });
+
+  it('should reject a pending read with an AbortError and stop every stage on abort', async () => {
+    const log = [];
+    const source = createAsyncQueue();
+    const controller = new AbortController();
+    const output = pipe(
+      source,
+      trackedStage(log, 'first'),
+      trackedStage(log, 'second'),
+      { signal: controller.signal }
+    );
+    const iterator = output[Symbol.asyncIterator]();
+
+    source.enqueue(1);
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+
+    const pending = iterator.next();
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(AbortError);
+    expect(log).toEqual(expect.arrayContaining(['first', 'second']));
+    expect(await source.next()).toEqual({ value: undefined, done: true });
+  });
+
+  it('should reject the first read for an already aborted signal', async () => {
+    const output = pipe(fromIterable([1]), map((value) => value), { signal: AbortSignal.abort() });
+
+    await expect(output[Symbol.asyncIterator]().next()).rejects.toThrow(AbortError);
+  });
+});
+
+describe('pipeOperators', () => {
+  it('should build a reusable pipeline that forwards options', async () => {
+    const double = pipeOperators(map((value) => value * 2));
+    const controller = new AbortController();
+    const guarded = pipeOperators(map((value) => value), { signal: controller.signal });
+
+    expect(await collect(double(fromIterable([1, 2])))).toEqual([2, 4]);
+
+    controller.abort();
+    await expect(collect(guarded(fromIterable([1])))).rejects.toThrow(AbortError);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import race, { raceStreams, amb } from '../race.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('race', () => {
+  it('should reject when the first source to settle fails', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(race(tester.cold('-#', {}, new Error('early')), tester.cold('--a|')), '-#', {}, new Error('early'));
+  });
+
+  it('should complete empty when the first source to settle completes', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(race(tester.cold('-|'), tester.cold('--a|')), '-|');
+  });
+
+  it('should yield the first value and cancel every source', async () => {
+    const tester = createMarbleTester();
+    const returned = [];
+    const tracked = (name, marbles) => {
+      const source = tester.cold(marbles);
+      return {
+        [Symbol.asyncIterator]() {
+          const iterator = source[Symbol.asyncIterator]();
+          return {
+            next: () => iterator.next(),
+            return: () => {
+              returned.push(name);
+              return iterator.return();
+            }
+          };
+        }
+      };
+    };
+
+    await tester.expect(race(tracked('winner', '-a-b|'), tracked('loser', '--c|')), '-(a|)');
+    expect(returned.sort()).toEqual(['loser', 'winner']);
+  });
+});
+
+describe('raceStreams', () => {
+  it('should validate sources and the predicate', () => {
+    expect(() => raceStreams([1], 42)).toThrow(ValidationError);
+    expect(() => raceStreams([1], { predicate: 'yes' })).toThrow(ValidationError);
+  });
+
+  it('should keep streaming from the first source to emit', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(raceStreams(tester.cold('--x-y|'), tester.cold('-a--b-c|')), '-a--b-c|');
+  });
+
+  it('should cancel the losers as soon as a winner emits', async () => {
+    const tester = createMarbleTester();
+    const cancelledAt = [];
+    const loser = tester.cold('----x|');
+    const tracked = {
+      [Symbol.asyncIterator]() {
+        const iterator = loser[Symbol.asyncIterator]();
+        return {
+          next: () => iterator.next(),
+          return: () => {
+            cancelledAt.push(tester.scheduler.now());
+            return iterator.return();
+          }
+        };
+      }
+    };
+
+    await tester.record(raceStreams(tester.cold('-a---b|'), tracked));
+
+    expect(cancelledAt).toEqual([1]);
+  });
+
+  it('should let sources that fail or complete before a winner drop out', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(raceStreams(tester.cold('#'), tester.cold('|'), tester.cold('--a|')), '--a|');
+  });
+
+  it('should complete empty when every source completes without a value', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(raceStreams(tester.cold('-|'), tester.cold('--|')), '--|');
+  });
+
+  it("should rethrow the winner's errors", async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(raceStreams(tester.cold('a-#'), tester.cold('--b|')), 'a-#');
+  });
+
+  it('should throw an AggregateError when no source wins and one failed', async () => {
+    const tester = createMarbleTester();
+    const notifications = await tester.record(raceStreams(tester.cold('#'), tester.cold('-|')));
+
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].error).toBeInstanceOf(AggregateError);
+  });
+});
+
+describe('amb', () => {
+  it('should only let an accepted value win and drop rejected ones', async () => {
+    const tester = createMarbleTester();
+    const values = { h: { type: 'heartbeat' }, d: { type: 'data' } };
+
+    await tester.expect(
+      amb((value) => value.type === 'data', tester.cold('h--d-h|', values), tester.cold('-hd-d|', values)),
+      '--d-d|',
+      values
+    );
+  });
+});
+
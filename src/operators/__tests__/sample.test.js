@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { sample } from '../sample.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('sample', () => {
+  it('should validate the notifier', () => {
+    expect(() => sample(0)).toThrow(ValidationError);
+    expect(() => sample(NaN)).toThrow(ValidationError);
+    expect(() => sample(Infinity)).toThrow(ValidationError);
+    expect(() => sample({})).toThrow(ValidationError);
+  });
+
+  it('should emit the latest value whenever the notifier emits', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(sample(tester.cold('-x-x---x--'))(tester.cold('a-b-c---|')), '-a-b---c|');
+  });
+
+  it('should skip a tick when no new value arrived since the last sample', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(sample(tester.cold('-xx-x-'))(tester.cold('a-----|')), '-a----|');
+  });
+
+  it('should sample every ms milliseconds when given a number', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      sample(3, { scheduler: tester.scheduler })(tester.cold('abc-d---|')),
+      '---c--d-|'
+    );
+  });
+
+  it('should complete when the notifier completes', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(sample(tester.cold('-x-|'))(tester.cold('a-----b|')), '-a-|');
+  });
+
+  it('should fail when the source fails', async () => {
+    const tester = createMarbleTester();
+    const error = new Error('boom');
+
+    await tester.expect(sample(tester.cold(''))(tester.cold('a-#', {}, error)), '--#', {}, error);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { share, shareReplay } from '../share.js';
+import { createAsyncQueue } from '../../core/asyncQueue.js';
+import { VirtualTimeScheduler } from '../../core/scheduler.js';
+import { QueueOverflowError, ValidationError } from '../../errors.js';
+import { flush } from '../../__tests__/utils.js';
+
+// A push source that records whether it was cancelled
+function pushSource() {
+  const queue = createAsyncQueue();
+  const state = { queue, returned: false, started: 0 };
+  state.iterable = {
+    [Symbol.asyncIterator]() {
+      state.started++;
+      return {
+        next: () => queue.next(),
+        return: () => {
+          state.returned = true;
+          return queue.return();
+        }
+      };
+    }
+  };
+  return state;
+}
+
+describe('share', () => {
+  it('should validate options up front', () => {
+    expect(() => share({ onOverflow: 'wait' })).toThrow(ValidationError);
+  });
+
+  it('should give every consumer every value from one source iteration', async () => {
+    const source = pushSource();
+    const shared = share()(source.iterable);
+    const a = shared[Symbol.asyncIterator]();
+    const b = shared[Symbol.asyncIterator]();
+
+    source.queue.enqueue(1);
+    source.queue.enqueue(2);
+    source.queue.end();
+
+    expect(await a.next()).toEqual({ value: 1, done: false });
+    expect(await a.next()).toEqual({ value: 2, done: false });
+    expect(await b.next()).toEqual({ value: 1, done: false });
+    expect(await b.next()).toEqual({ value: 2, done: false });
+    expect((await a.next()).done).toBe(true);
+    expect((await b.next()).done).toBe(true);
+    expect(source.started).toBe(1);
+  });
+
+  it('should stop the source once the last consumer returns', async () => {
+    const source = pushSource();
+    const shared = share()(source.iterable);
+    const a = shared[Symbol.asyncIterator]();
+    const b = shared[Symbol.asyncIterator]();
+
+    await a.return();
+    expect(source.returned).toBe(false);
+
+    await b.return();
+    expect(source.returned).toBe(true);
+  });
+
+  it('should complete consumers that join after the source was stopped', async () => {
+    const source = pushSource();
+    const shared = share()(source.iterable);
+    await shared[Symbol.asyncIterator]().return();
+
+    expect((await shared[Symbol.asyncIterator]().next()).done).toBe(true);
+  });
+
+  it('should fail only the consumer that overflows', async () => {
+    const source = pushSource();
+    const shared = share({ queueLimit: 1 })(source.iterable);
+    const slow = shared[Symbol.asyncIterator]();
+    const fast = shared[Symbol.asyncIterator]();
+
+    source.queue.enqueue(1);
+    expect(await fast.next()).toEqual({ value: 1, done: false });
+    source.queue.enqueue(2);
+    expect(await fast.next()).toEqual({ value: 2, done: false });
+
+    expect(await slow.next()).toEqual({ value: 1, done: false });
+    await expect(slow.next()).rejects.toBeInstanceOf(QueueOverflowError);
+
+    await fast.return();
+  });
+
+  it('should forward a source error to every consumer', async () => {
+    const source = pushSource();
+    const shared = share()(source.iterable);
+    const a = shared[Symbol.asyncIterator]();
+    const b = shared[Symbol.asyncIterator]();
+
+    source.queue.end(new Error('boom'));
+
+    await expect(a.next()).rejects.toThrow('boom');
+    await expect(b.next()).rejects.toThrow('boom');
+  });
+
+  it('should fail every consumer when the source cannot be iterated', async () => {
+    const error = new Error('no iterator');
+    const shared = share()({
+      [Symbol.asyncIterator]() {
+        throw error;
+      }
+    });
+    const a = shared[Symbol.asyncIterator]();
+    const b = shared[Symbol.asyncIterator]();
+
+    await expect(a.next()).rejects.toBe(error);
+    await expect(b.next()).rejects.toBe(error);
+  });
+});
+
+describe('shareReplay', () => {
+  it('should validate bufferSize', () => {
+    expect(() => shareReplay({ bufferSize: 0 })).toThrow(ValidationError);
+  });
+
+  it('should replay the most recent values to late consumers', async () => {
+    const source = pushSource();
+    const shared = shareReplay({ bufferSize: 2 })(source.iterable);
+    const early = shared[Symbol.asyncIterator]();
+
+    source.queue.enqueue(1);
+    source.queue.enqueue(2);
+    source.queue.enqueue(3);
+    await flush();
+
+    const late = shared[Symbol.asyncIterator]();
+    expect(await late.next()).toEqual({ value: 2, done: false });
+    expect(await late.next()).toEqual({ value: 3, done: false });
+
+    await early.return();
+    await late.return();
+  });
+
+  it('should only replay values within windowMs', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const source = pushSource();
+    const shared = shareReplay({ windowMs: 100, scheduler })(source.iterable);
+    const early = shared[Symbol.asyncIterator]();
+
+    source.queue.enqueue('old');
+    await flush();
+    await scheduler.advanceBy(150);
+    source.queue.enqueue('fresh');
+    await flush();
+
+    const late = shared[Symbol.asyncIterator]();
+    expect(await late.next()).toEqual({ value: 'fresh', done: false });
+
+    await early.return();
+    await late.return();
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { takeUntil } from '../takeUntil.js';
+import { createAsyncQueue } from '../../core/asyncQueue.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+import { flush } from '../../__tests__/utils.js';
+
+// A push source that records whether it was stopped
+function stoppableSource() {
+  const queue = createAsyncQueue();
+  const state = { queue, returned: false };
+  state.iterable = {
+    [Symbol.asyncIterator]() {
+      return {
+        next: () => queue.next(),
+        return: () => {
+          state.returned = true;
+          return queue.return();
+        }
+      };
+    }
+  };
+  return state;
+}
+
+describe('takeUntil', () => {
+  it('should complete when the notifier fires after several values', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(takeUntil(tester.cold('-----x'))(tester.cold('a-b-c-----d|')), 'a-b-c|');
+  });
+
+  it('should fail when a promise notifier rejects after several values', async () => {
+    const tester = createMarbleTester();
+    const error = new Error('stop');
+    let reject;
+    const notifier = new Promise((resolve, fail) => {
+      reject = fail;
+    });
+    tester.scheduler.setTimeout(() => reject(error), 5);
+
+    await tester.expect(takeUntil(notifier)(tester.cold('a-b-c-----d|')), 'a-b-c#', {}, error);
+  });
+
+  it('should validate the notifier', () => {
+    expect(() => takeUntil(42)).toThrow(ValidationError);
+    expect(() => takeUntil(null)).toThrow(ValidationError);
+  });
+
+  it('should complete at once for an already aborted signal', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(takeUntil(AbortSignal.abort())(tester.cold('a-b|')), '|');
+  });
+
+  it('should complete and stop the source when a signal aborts', async () => {
+    const source = stoppableSource();
+    const controller = new AbortController();
+    const iterator = takeUntil(controller.signal)(source.iterable)[Symbol.asyncIterator]();
+
+    source.queue.enqueue(1);
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+
+    const pending = iterator.next();
+    controller.abort();
+
+    expect(await pending).toEqual({ value: undefined, done: true });
+    expect(source.returned).toBe(true);
+  });
+
+  it('should complete when a promise notifier resolves', async () => {
+    const tester = createMarbleTester();
+    const notifier = new Promise((resolve) => tester.scheduler.setTimeout(resolve, 3));
+
+    await tester.expect(takeUntil(notifier)(tester.cold('a-b-c|')), 'a-b|');
+  });
+
+  it('should never fire for an iterable notifier that completes without a value', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(takeUntil(tester.cold('--|'))(tester.cold('a-b-c|')), 'a-b-c|');
+    await tester.expect(takeUntil([])(tester.cold('a-b|')), 'a-b|');
+  });
+
+  it('should fail when an iterable notifier fails', async () => {
+    const tester = createMarbleTester();
+    const error = new Error('notifier failed');
+
+    await tester.expect(takeUntil(tester.cold('---#', {}, error))(tester.cold('a-b-c|')), 'a-b#', {}, error);
+  });
+
+  it('should stop a notifier that has not fired when the source completes', async () => {
+    const notifier = stoppableSource();
+    const source = createAsyncQueue();
+    const output = takeUntil(notifier.iterable)(source);
+
+    source.enqueue(1);
+    source.end();
+    const values = [];
+    for await (const value of output) {
+      values.push(value);
+    }
+    await flush();
+
+    expect(values).toEqual([1]);
+    expect(notifier.returned).toBe(true);
+  });
+
+  it('should stop the source when the consumer breaks out', async () => {
+    const source = stoppableSource();
+    source.queue.enqueue(1);
+    source.queue.enqueue(2);
+
+    for await (const value of takeUntil(new Promise(() => {}))(source.iterable)) {
+      if (value === 1) break;
+    }
+
+    expect(source.returned).toBe(true);
+  });
+});
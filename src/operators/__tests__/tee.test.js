@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import { tee, partition } from '../tee.js';
+import { createAsyncQueue } from '../../core/asyncQueue.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { QueueOverflowError, ValidationError } from '../../errors.js';
+import { collect, flush } from '../../__tests__/utils.js';
+
+// A push source whose return() only settles once the test allows it
+function slowStoppingSource() {
+  const queue = createAsyncQueue();
+  const state = { queue, stopped: false };
+  let finish;
+  state.finishReturn = () => finish();
+  state.iterable = {
+    [Symbol.asyncIterator]() {
+      return {
+        next: () => queue.next(),
+        return: () => new Promise((resolve) => {
+          finish = () => {
+            state.stopped = true;
+            resolve(queue.return());
+          };
+        })
+      };
+    }
+  };
+  return state;
+}
+
+describe('tee', () => {
+  it('should resolve the last branch return() only once the source has stopped', async () => {
+    const source = slowStoppingSource();
+    const [a, b] = tee(source.iterable);
+    const first = a[Symbol.asyncIterator]();
+    const second = b[Symbol.asyncIterator]();
+
+    source.queue.enqueue(1);
+    await flush();
+    await first.return();
+
+    let settled = false;
+    const returned = second.return().then(() => {
+      settled = true;
+    });
+    await flush();
+    expect(settled).toBe(false);
+
+    source.finishReturn();
+    await returned;
+    expect(source.stopped).toBe(true);
+  });
+
+  it('should reject throw() with the error and release the branch', async () => {
+    const source = slowStoppingSource();
+    const [a, b] = tee(source.iterable);
+    const first = a[Symbol.asyncIterator]();
+    const second = b[Symbol.asyncIterator]();
+    const error = new Error('stop');
+
+    source.queue.enqueue(1);
+    await flush();
+    await expect(first.throw(error)).rejects.toBe(error);
+
+    const thrown = second.throw(error);
+    await flush();
+    source.finishReturn();
+    await expect(thrown).rejects.toBe(error);
+    expect(source.stopped).toBe(true);
+  });
+
+  it('should validate arguments up front', () => {
+    expect(() => tee(fromIterable([]), 0)).toThrow(ValidationError);
+    expect(() => tee(fromIterable([]), 2, { queueLimit: -1 })).toThrow(ValidationError);
+    expect(() => tee(fromIterable([]), 2, { onOverflow: 'wait' })).toThrow(ValidationError);
+  });
+
+  it('should give every copy every value from one source iteration', async () => {
+    let started = 0;
+    const source = {
+      async *[Symbol.asyncIterator]() {
+        started++;
+        yield* [1, 2, 3];
+      }
+    };
+
+    const copies = tee(source, 3);
+
+    expect(await Promise.all(copies.map(collect))).toEqual([[1, 2, 3], [1, 2, 3], [1, 2, 3]]);
+    expect(started).toBe(1);
+  });
+
+  it('should fail only the copy that overflows under \'throw\'', async () => {
+    const source = createAsyncQueue();
+    const [fast, slow] = tee(source, 2, { queueLimit: 1 });
+    const fastValues = collect(fast);
+    const slowIterator = slow[Symbol.asyncIterator]();
+
+    source.enqueue(1);
+    source.enqueue(2);
+    source.end();
+
+    expect(await fastValues).toEqual([1, 2]);
+    expect(await slowIterator.next()).toEqual({ value: 1, done: false });
+    await expect(slowIterator.next()).rejects.toThrow(QueueOverflowError);
+  });
+
+  it('should hold back the source for every copy under \'block\'', async () => {
+    let pulled = 0;
+    const source = {
+      async *[Symbol.asyncIterator]() {
+        for (const value of [1, 2, 3, 4]) {
+          pulled++;
+          yield value;
+        }
+      }
+    };
+    const [a, b] = tee(source, 2, { queueLimit: 1, onOverflow: 'block' });
+    const first = a[Symbol.asyncIterator]();
+    const second = b[Symbol.asyncIterator]();
+
+    await flush();
+    expect(pulled).toBe(2);
+
+    expect(await first.next()).toEqual({ value: 1, done: false });
+    expect(await first.next()).toEqual({ value: 2, done: false });
+    await flush();
+    expect(pulled).toBe(2);
+
+    expect(await Promise.all([collect(first), collect(second)])).toEqual([[3, 4], [1, 2, 3, 4]]);
+  });
+
+  it('should pass a source error to every open copy', async () => {
+    const error = new Error('boom');
+    const source = {
+      async *[Symbol.asyncIterator]() {
+        yield 1;
+        throw error;
+      }
+    };
+    const [a, b] = tee(source);
+
+    await expect(collect(a)).rejects.toBe(error);
+    await expect(collect(b)).rejects.toBe(error);
+  });
+
+  it('should keep reading for the copies that are still open', async () => {
+    const source = createAsyncQueue();
+    const [a, b] = tee(source);
+    const first = a[Symbol.asyncIterator]();
+    const values = collect(b);
+
+    source.enqueue(1);
+    await flush();
+    await first.return();
+    source.enqueue(2);
+    source.end();
+
+    expect(await values).toEqual([1, 2]);
+  });
+});
+
+describe('partition', () => {
+  it('should validate the predicate up front', () => {
+    expect(() => partition('odd')).toThrow(ValidationError);
+  });
+
+  it('should split values by the predicate and pass the index', async () => {
+    const indexes = [];
+    const [even, odd] = partition((value, index) => {
+      indexes.push(index);
+      return value % 2 === 0;
+    })(fromIterable([1, 2, 3, 4, 5]));
+
+    expect(await Promise.all([collect(even), collect(odd)])).toEqual([[2, 4], [1, 3, 5]]);
+    expect(indexes).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('should apply the overflow policy to each branch on its own', async () => {
+    const source = createAsyncQueue();
+    const [matching, rest] = partition((value) => value > 0, { queueLimit: 1, onOverflow: 'drop-old' })(source);
+    const restIterator = rest[Symbol.asyncIterator]();
+    const matchingValues = collect(matching);
+
+    source.enqueue(-1);
+    source.enqueue(1);
+    source.enqueue(-2);
+    source.enqueue(2);
+    source.end();
+
+    expect(await matchingValues).toEqual([1, 2]);
+    expect(await collect(restIterator)).toEqual([-2]);
+  });
+});
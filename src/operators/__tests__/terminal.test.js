@@ -0,0 +1,268 @@
+import { describe, it, expect } from 'vitest';
+import { reduce, toArray, count, first, last, find, every, some, forEach } from '../terminal.js';
+import toPromise from '../toPromise.js';
+import { createAsyncQueue } from '../../core/asyncQueue.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { AbortError, QueueOverflowError, ValidationError } from '../../errors.js';
+import { flush, trackedSource } from '../../__tests__/utils.js';
+
+describe('terminal operators', () => {
+  it('should read plain iterables like a for await loop', async () => {
+    const seen = [];
+
+    expect(await reduce((acc, value) => acc + value, 0)([1, 2, 3])).toBe(6);
+    expect(await toArray()(new Set([1, 2]))).toEqual([1, 2]);
+    expect(await count()([1, 2, 3])).toBe(3);
+    expect(await first()([1, 2])).toBe(1);
+    expect(await last()([1, 2])).toBe(2);
+    expect(await find((value) => value > 1)([1, 2, 3])).toBe(2);
+    expect(await every((value) => value > 0)([1, 2])).toBe(true);
+    expect(await some((value) => value > 1)([1, 2])).toBe(true);
+    await forEach((value) => seen.push(value))([1, 2]);
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it('should stop a plain iterator it leaves early', async () => {
+    let returned = false;
+    const iterable = {
+      [Symbol.iterator]() {
+        return {
+          next: () => ({ value: 1, done: false }),
+          return: () => {
+            returned = true;
+            return { done: true };
+          }
+        };
+      }
+    };
+
+    expect(await first()(iterable)).toBe(1);
+    expect(returned).toBe(true);
+  });
+
+  it('should reject values that are not iterable', async () => {
+    await expect(toArray()(42)).rejects.toThrow('Source must be an iterable or async iterable');
+  });
+
+  it('should validate arguments up front', () => {
+    expect(() => reduce('sum', 0)).toThrow(ValidationError);
+    expect(() => find(null)).toThrow(ValidationError);
+    expect(() => every(undefined)).toThrow(ValidationError);
+    expect(() => some(1)).toThrow(ValidationError);
+    expect(() => forEach(() => {}, { concurrency: 0 })).toThrow(ValidationError);
+    expect(() => toArray({ maxItems: -1 })).toThrow(ValidationError);
+    expect(() => toArray({ maxItems: 1.5 })).toThrow(ValidationError);
+  });
+
+  describe('reduce', () => {
+    it('should fold values with their index, awaiting async reducers', async () => {
+      const reducer = async (acc, value, index) => [...acc, `${index}:${value}`];
+
+      expect(await reduce(reducer, [])(fromIterable(['a', 'b']))).toEqual(['0:a', '1:b']);
+    });
+
+    it('should resolve with the seed for an empty source', async () => {
+      expect(await reduce((acc, value) => acc + value, 10)(fromIterable([]))).toBe(10);
+    });
+
+    it('should reject and stop the source when the reducer throws', async () => {
+      const source = trackedSource([1, 2, 3]);
+      const error = new Error('bad value');
+
+      await expect(reduce(() => {
+        throw error;
+      }, 0)(source.iterable)).rejects.toBe(error);
+      expect(source.pulled).toBe(1);
+      expect(source.returned).toBe(true);
+    });
+  });
+
+  describe('toArray', () => {
+    it('should collect up to maxItems values', async () => {
+      expect(await toArray({ maxItems: 3 })(fromIterable([1, 2, 3]))).toEqual([1, 2, 3]);
+    });
+
+    it('should fail with a QueueOverflowError and stop the source past maxItems', async () => {
+      const source = trackedSource([1, 2, 3, 4]);
+
+      await expect(toArray({ maxItems: 2 })(source.iterable)).rejects.toThrow(QueueOverflowError);
+      expect(source.pulled).toBe(3);
+      expect(source.returned).toBe(true);
+    });
+  });
+
+  describe('count', () => {
+    it('should count the values of the source', async () => {
+      expect(await count()(fromIterable([]))).toBe(0);
+      expect(await count()(fromIterable(['a', 'b', 'c']))).toBe(3);
+    });
+  });
+
+  describe('first and last', () => {
+    it('should resolve with the first value and stop the source', async () => {
+      const source = trackedSource([1, 2, 3]);
+
+      expect(await first()(source.iterable)).toBe(1);
+      expect(source.pulled).toBe(1);
+      expect(source.returned).toBe(true);
+    });
+
+    it('should resolve with the last value without stopping a finished source', async () => {
+      const source = trackedSource([1, 2, 3]);
+
+      expect(await last()(source.iterable)).toBe(3);
+      expect(source.returned).toBe(false);
+    });
+
+    it('should use the default value for an empty source', async () => {
+      expect(await first({ defaultValue: 'none' })(fromIterable([]))).toBe('none');
+      expect(await last({ defaultValue: 'none' })(fromIterable([]))).toBe('none');
+      expect(await first()(fromIterable([]))).toBeUndefined();
+    });
+  });
+
+  describe('find', () => {
+    it('should resolve with the first match and stop the source', async () => {
+      const source = trackedSource([1, 2, 3, 4]);
+
+      expect(await find(async (value) => value % 2 === 0)(source.iterable)).toBe(2);
+      expect(source.pulled).toBe(2);
+      expect(source.returned).toBe(true);
+    });
+
+    it('should resolve with undefined when nothing matches', async () => {
+      expect(await find((value, index) => index > 5)(fromIterable([1, 2]))).toBeUndefined();
+    });
+  });
+
+  describe('every and some', () => {
+    it('should short-circuit every at the first failing value', async () => {
+      const source = trackedSource([2, 4, 5, 6]);
+
+      expect(await every((value) => value % 2 === 0)(source.iterable)).toBe(false);
+      expect(source.pulled).toBe(3);
+      expect(source.returned).toBe(true);
+    });
+
+    it('should short-circuit some at the first matching value', async () => {
+      const source = trackedSource([1, 3, 4, 5]);
+
+      expect(await some(async (value) => value % 2 === 0)(source.iterable)).toBe(true);
+      expect(source.pulled).toBe(3);
+      expect(source.returned).toBe(true);
+    });
+
+    it('should treat an empty source as every-true and some-false', async () => {
+      expect(await every(() => false)(fromIterable([]))).toBe(true);
+      expect(await some(() => true)(fromIterable([]))).toBe(false);
+    });
+  });
+
+  describe('forEach', () => {
+    it('should run one call at a time by default', async () => {
+      let active = 0;
+      let peak = 0;
+      const seen = [];
+
+      await forEach(async (value, index) => {
+        active++;
+        peak = Math.max(peak, active);
+        await flush();
+        seen.push([value, index]);
+        active--;
+      })(fromIterable(['a', 'b', 'c']));
+
+      expect(peak).toBe(1);
+      expect(seen).toEqual([['a', 0], ['b', 1], ['c', 2]]);
+    });
+
+    it('should run up to concurrency calls at once and only read while a slot is free', async () => {
+      const source = trackedSource([1, 2, 3, 4, 5]);
+      const releases = [];
+      const call = () => new Promise((resolve) => releases.push(resolve));
+      const done = forEach(call, { concurrency: 2 })(source.iterable);
+
+      await flush();
+      expect(releases).toHaveLength(2);
+      expect(source.pulled).toBe(2);
+
+      releases[0]();
+      await flush();
+      expect(releases).toHaveLength(3);
+
+      for (let i = 1; i < 5; i++) {
+        releases[i]?.();
+        await flush();
+      }
+      await done;
+      expect(releases).toHaveLength(5);
+    });
+
+    it('should reject with the first failure and stop the source', async () => {
+      const source = trackedSource([1, 2, 3, 4]);
+      const error = new Error('call failed');
+
+      await expect(forEach(async (value) => {
+        if (value === 2) throw error;
+      }, { concurrency: 2 })(source.iterable)).rejects.toBe(error);
+      expect(source.returned).toBe(true);
+    });
+  });
+
+  describe('signal', () => {
+    it('should reject with an AbortError and stop a source waiting for values', async () => {
+      const queue = createAsyncQueue();
+      const controller = new AbortController();
+      const pending = toArray({ signal: controller.signal })(queue);
+
+      queue.enqueue(1);
+      await flush();
+      controller.abort();
+
+      await expect(pending).rejects.toThrow(AbortError);
+      expect(await queue.next()).toEqual({ done: true, value: undefined });
+    });
+
+    it('should reject at once for an already aborted signal', async () => {
+      const source = trackedSource([1]);
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(count({ signal: controller.signal })(source.iterable)).rejects.toThrow(AbortError);
+      expect(source.pulled).toBe(0);
+      expect(source.returned).toBe(true);
+    });
+
+    it('should abort forEach while calls are still running', async () => {
+      const controller = new AbortController();
+      const pending = forEach(() => new Promise(() => {}), { signal: controller.signal })(fromIterable([1, 2]));
+
+      await flush();
+      controller.abort();
+
+      await expect(pending).rejects.toThrow(AbortError);
+    });
+  });
+});
+
+describe('toPromise', () => {
+  it('should resolve with the first value and stop the source', async () => {
+    const source = trackedSource(['a', 'b']);
+
+    expect(await toPromise(source.iterable)).toBe('a');
+    expect(source.returned).toBe(true);
+  });
+
+  it('should resolve with undefined for an empty source', async () => {
+    expect(await toPromise(fromIterable([]))).toBeUndefined();
+  });
+
+  it('should reject with an AbortError when the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = toPromise(createAsyncQueue(), { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(AbortError);
+  });
+});
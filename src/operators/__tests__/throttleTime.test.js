@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { throttleTime } from '../throttleTime.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('throttleTime', () => {
+  it('should validate ms and the edges', () => {
+    expect(() => throttleTime(-1)).toThrow(ValidationError);
+    expect(() => throttleTime(10, { leading: false, trailing: false })).toThrow(ValidationError);
+  });
+
+  it('should emit the first and the latest value of each window', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      throttleTime(3, { scheduler: tester.scheduler })(tester.cold('abc-----e|')),
+      'a--c----e|'
+    );
+  });
+
+  it('should only emit the value opening a window without trailing', async () => {
+    const tester = createMarbleTester();
+    const options = { trailing: false, scheduler: tester.scheduler };
+
+    await tester.expect(throttleTime(3, options)(tester.cold('abc-----e|')), 'a-------e|');
+  });
+
+  it('should emit the latest value when the window closes without leading', async () => {
+    const tester = createMarbleTester();
+    const options = { leading: false, scheduler: tester.scheduler };
+
+    await tester.expect(throttleTime(3, options)(tester.cold('abc-----e|')), '---c-----(e|)');
+  });
+
+  it('should keep throttling while trailing values reopen the window', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      throttleTime(2, { scheduler: tester.scheduler })(tester.cold('ab-c-d---|')),
+      'a-b-c-d--|'
+    );
+  });
+});
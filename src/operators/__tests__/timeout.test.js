@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { timeout } from '../timeout.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { TimeoutError, ValidationError } from '../../errors.js';
+
+describe('timeout', () => {
+  it('should validate ms, mode and the fallback', () => {
+    expect(() => timeout(-1)).toThrow(ValidationError);
+    expect(() => timeout(10, { mode: 'never' })).toThrow(ValidationError);
+    expect(() => timeout(10, { with: 42 })).toThrow(ValidationError);
+  });
+
+  it("should fail a source that stalls between values in 'each' mode", async () => {
+    const tester = createMarbleTester();
+    const error = new TimeoutError('Operation timed out after 3ms');
+
+    await tester.expect(
+      timeout(3, { scheduler: tester.scheduler })(tester.cold('a-b-----c|')),
+      'a-b--#',
+      {},
+      error
+    );
+  });
+
+  it('should fail a source that never emits, even if it never resolves next()', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      timeout(2, { scheduler: tester.scheduler })(tester.cold('')),
+      '--#',
+      {},
+      new TimeoutError('Operation timed out after 2ms')
+    );
+  });
+
+  it("should only limit the first value in 'first' mode", async () => {
+    const tester = createMarbleTester();
+    const options = { mode: 'first', scheduler: tester.scheduler };
+
+    await tester.expect(timeout(2, options)(tester.cold('-a------b|')), '-a------b|');
+    await tester.expect(
+      timeout(2, options)(tester.cold('---a|')),
+      '--#',
+      {},
+      new TimeoutError('Operation timed out after 2ms')
+    );
+  });
+
+  it("should limit the whole stream in 'total' mode", async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      timeout(5, { mode: 'total', scheduler: tester.scheduler })(tester.cold('a-b-c-d|')),
+      'a-b-c#',
+      {},
+      new TimeoutError('Operation timed out after 5ms')
+    );
+  });
+
+  it('should throw a custom error, or a TimeoutError with a custom message', async () => {
+    const tester = createMarbleTester();
+    const custom = new RangeError('too slow');
+
+    await tester.expect(timeout(1, { error: custom, scheduler: tester.scheduler })(tester.cold('--a|')), '-#', {}, custom);
+    await tester.expect(
+      timeout(1, { error: 'too slow', scheduler: tester.scheduler })(tester.cold('--a|')),
+      '-#',
+      {},
+      new TimeoutError('too slow')
+    );
+  });
+
+  it('should switch to the fallback when time runs out', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      timeout(2, { with: tester.cold('-x|'), scheduler: tester.scheduler })(tester.cold('a----b|')),
+      'a--x|'
+    );
+  });
+
+  it('should cancel the pending source next() on timeout', async () => {
+    const tester = createMarbleTester();
+    let returned = false;
+    const source = {
+      [Symbol.asyncIterator]: () => ({
+        next: () => new Promise(() => {}),
+        return: async () => {
+          returned = true;
+          return { done: true };
+        }
+      })
+    };
+
+    await tester.record(timeout(1, { scheduler: tester.scheduler })(source));
+
+    expect(returned).toBe(true);
+  });
+});
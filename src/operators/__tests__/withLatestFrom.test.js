@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { withLatestFrom } from '../withLatestFrom.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { ValidationError } from '../../errors.js';
+
+describe('withLatestFrom', () => {
+  it('should validate the other sources', () => {
+    expect(() => withLatestFrom(42)).toThrow(ValidationError);
+  });
+
+  it('should pair source values with the latest values of the others', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      withLatestFrom(tester.cold('-x--y|'), tester.cold('1|'))(tester.cold('a-b--c-|')),
+      '--p--q-|',
+      { p: ['b', 'x', '1'], q: ['c', 'y', '1'] }
+    );
+  });
+
+  it('should rethrow source errors', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(withLatestFrom(tester.cold('x|'))(tester.cold('-a#')), '-p#', { p: ['a', 'x'] });
+  });
+
+  it('should stop the source and the others on return()', async () => {
+    const returned = [];
+    const endless = (name) => ({
+      [Symbol.asyncIterator]: () => ({
+        next: async () => ({ value: name, done: false }),
+        return: async () => {
+          returned.push(name);
+          return { done: true };
+        }
+      })
+    });
+
+    const iterator = withLatestFrom(endless('other'))(endless('source'))[Symbol.asyncIterator]();
+    let result;
+    do {
+      result = await iterator.next();
+    } while (result.value === undefined);
+    await iterator.return();
+    await Promise.resolve();
+
+    expect(returned.sort()).toEqual(['other', 'source']);
+  });
+
+  it('should fail when another source fails while the source is idle', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      withLatestFrom(tester.cold('x--#'))(tester.cold('-a------b|')),
+      '-y-#',
+      { y: ['a', 'x'] }
+    );
+  });
+});
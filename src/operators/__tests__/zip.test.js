@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { zip, zipLongest } from '../zip.js';
+import { toArray } from '../terminal.js';
+import { createMarbleTester } from '../../testing/marbles.js';
+import { QueueOverflowError, ValidationError } from '../../errors.js';
+
+describe('zip', () => {
+  it('should validate sources and options', () => {
+    expect(() => zip([1], 42)).toThrow(ValidationError);
+    expect(() => zip([1], { bufferLimit: 0 })).toThrow(ValidationError);
+    expect(() => zip([1], { onOverflow: 'wait' })).toThrow(ValidationError);
+  });
+
+  it('should pair values in lockstep and stop with the shortest source', async () => {
+    expect(await toArray()(zip([1, 2, 3], ['a', 'b']))).toEqual([[1, 'a'], [2, 'b']]);
+  });
+
+  it('should read buffered sources ahead of the slowest one', async () => {
+    const tester = createMarbleTester();
+    let pulled = 0;
+    const fast = tester.cold('abc|');
+    const counted = {
+      async *[Symbol.asyncIterator]() {
+        for await (const value of fast) {
+          pulled++;
+          yield value;
+        }
+      }
+    };
+
+    await tester.expect(
+      zip(counted, tester.cold('----1-2|'), { bufferLimit: 3 }),
+      '----x-y|',
+      { x: ['a', '1'], y: ['b', '2'] }
+    );
+    expect(pulled).toBe(3);
+  });
+
+  it('should apply the overflow policy to a full buffer', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      zip(tester.cold('abc|'), tester.cold('---12|'), { bufferLimit: 1, onOverflow: 'drop-old' }),
+      '---xy|',
+      { x: ['a', '1'], y: ['c', '2'] }
+    );
+  });
+
+  it('should fail when a buffered source overflows while the others stall', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      zip(tester.cold('abc|'), tester.cold('------1|'), { bufferLimit: 1 }),
+      '--#',
+      {},
+      new QueueOverflowError()
+    );
+  });
+});
+
+describe('zipLongest', () => {
+  it('should keep going until every source is exhausted', async () => {
+    const values = await toArray()(zipLongest([1, 2, 3], ['a'], { fillValue: null }));
+
+    expect(values).toEqual([[1, 'a'], [2, null], [3, null]]);
+  });
+
+  it('should also buffer sources with bufferLimit', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(
+      zipLongest(tester.cold('ab|'), tester.cold('---1|'), { bufferLimit: 2, fillValue: '-' }),
+      '---x(y|)',
+      { x: ['a', '1'], y: ['b', '-'] }
+    );
+  });
+});
+
@@ -0,0 +1,58 @@
+import { ValidationError } from '../errors.js';
+import { resolveScheduler } from '../core/scheduler.js';
+import { createTimedReader, ELAPSED } from '../utils/timedReader.js';
+
+/**
+ * Emits the latest source value at the end of each window. A value arriving while no
+ * window is open starts one that lasts `ms` milliseconds; values arriving during the
+ * window replace each other, and the last of them is emitted when it ends. A value still
+ * waiting when the source completes is emitted before completing.
+ * @param {number} ms - The window length in milliseconds
+ * @param {Object} [options] - Configuration options
+ * @param {Object} [options.scheduler] - Scheduler providing the clock and timers (see VirtualTimeScheduler)
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ * @throws {ValidationError} If ms is negative or the scheduler is invalid
+ */
+export function auditTime(ms, { scheduler } = {}) {
+  if (typeof ms !== 'number' || ms < 0) {
+    throw new ValidationError('Audit time must be non-negative');
+  }
+
+  const timers = resolveScheduler(scheduler);
+
+  return async function* (source) {
+    const reader = createTimedReader(source, timers);
+    let deadline = null;
+    let latest;
+
+    try {
+      while (true) {
+        const result = await reader.read(deadline);
+
+        if (result === ELAPSED) {
+          const value = latest;
+          deadline = null;
+          latest = undefined;
+          yield value;
+          continue;
+        }
+
+        if (result.done) {
+          if (deadline !== null) {
+            yield latest;
+          }
+          return;
+        }
+
+        latest = result.value;
+        if (deadline === null) {
+          deadline = timers.now() + ms;
+        }
+      }
+    } finally {
+      reader.cancel();
+    }
+  };
+}
+
+export default auditTime;
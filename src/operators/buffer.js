@@ -1,4 +1,26 @@
 import { ValidationError } from '../errors.js';
+import { createAsyncQueue } from '../core/asyncQueue.js';
+import { resolveScheduler } from '../core/scheduler.js';
+import { stopIterator } from '../utils/abortable.js';
+
+// Marker for a window timer winning the race against the source
+const WINDOW_ELAPSED = Symbol('windowElapsed');
+
+/**
+ * Validates the options shared by the time-based operators
+ * @param {number} ms - Window length in milliseconds
+ * @param {number} maxSize - Maximum number of values per window
+ * @throws {ValidationError} If ms is not a positive number or maxSize is not a positive integer or Infinity
+ */
+function validateTimeWindow(ms, maxSize) {
+  if (typeof ms !== 'number' || ms <= 0) {
+    throw new ValidationError('ms must be a positive number');
+  }
+
+  if (maxSize !== Infinity && (!Number.isInteger(maxSize) || maxSize <= 0)) {
+    throw new ValidationError('maxSize must be a positive integer or Infinity');
+  }
+}
 
 /**
  * Buffers a number of values from the source and yields them as arrays
@@ -30,4 +52,233 @@ export function buffer(size) {
   };
 }
 
+/**
+ * Collects values into arrays of `size`, starting a new array every `step` values.
+ * A step smaller than size gives overlapping (sliding) windows; a larger step skips values.
+ * Arrays still open when the source completes are yielded as they are.
+ * @param {number} size - The number of values per array
+ * @param {number} [step=size] - The number of values between the starts of consecutive arrays
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ * @throws {ValidationError} If size or step is not a positive integer
+ */
+export function bufferCount(size, step = size) {
+  if (typeof size !== 'number' || size <= 0 || !Number.isInteger(size)) {
+    throw new ValidationError('size must be a positive integer');
+  }
+
+  if (typeof step !== 'number' || step <= 0 || !Number.isInteger(step)) {
+    throw new ValidationError('step must be a positive integer');
+  }
+
+  return async function* (source) {
+    const buffers = [];
+    let index = 0;
+
+    for await (const value of source) {
+      if (index++ % step === 0) {
+        buffers.push([]);
+      }
+
+      for (const buffer of buffers) {
+        buffer.push(value);
+      }
+
+      if (buffers.length > 0 && buffers[0].length >= size) {
+        yield buffers.shift();
+      }
+    }
+
+    // Yield the arrays that were still filling up
+    for (const buffer of buffers) {
+      yield buffer;
+    }
+  };
+}
+
+/**
+ * Collects values into arrays and yields them every `ms` milliseconds, or as soon as
+ * `maxSize` values have been collected, whichever comes first. Each flush starts a new
+ * window. Windows without values are skipped.
+ * @param {number} ms - The window length in milliseconds
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.maxSize=Infinity] - Maximum number of values per array
+ * @param {Object} [options.scheduler] - Scheduler providing the clock and timers (see VirtualTimeScheduler)
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ * @throws {ValidationError} If ms is not a positive number, maxSize is not a positive integer or the scheduler is invalid
+ */
+export function bufferTime(ms, { maxSize = Infinity, scheduler } = {}) {
+  validateTimeWindow(ms, maxSize);
+  const timers = resolveScheduler(scheduler);
+
+  return async function* (source) {
+    const iterator = source[Symbol.asyncIterator]();
+    let buffer = [];
+    let pending = null;
+    let timeoutId = null;
+    let sourceDone = false;
+    let deadline = timers.now() + ms;
+
+    try {
+      while (true) {
+        const remaining = deadline - timers.now();
+        let result = WINDOW_ELAPSED;
+
+        if (remaining > 0) {
+          // Keep an unfinished pull across windows so no value is lost
+          pending = pending || iterator.next();
+          result = await Promise.race([
+            pending,
+            new Promise((resolve) => {
+              timeoutId = timers.setTimeout(resolve, remaining, WINDOW_ELAPSED);
+            })
+          ]);
+          timers.clearTimeout(timeoutId);
+          timeoutId = null;
+        }
+
+        if (result === WINDOW_ELAPSED) {
+          if (buffer.length > 0) {
+            const values = buffer;
+            buffer = [];
+            yield values;
+          }
+          deadline = timers.now() + ms;
+          continue;
+        }
+
+        pending = null;
+        if (result.done) {
+          sourceDone = true;
+          break;
+        }
+
+        buffer.push(result.value);
+        if (buffer.length >= maxSize) {
+          const values = buffer;
+          buffer = [];
+          yield values;
+          deadline = timers.now() + ms;
+        }
+      }
+
+      // Yield any remaining values in the buffer
+      if (buffer.length > 0) {
+        yield buffer;
+      }
+    } catch (error) {
+      sourceDone = true;
+      throw error;
+    } finally {
+      timers.clearTimeout(timeoutId);
+      if (!sourceDone) stopIterator(iterator);
+    }
+  };
+}
+
+/**
+ * Splits the source into consecutive windows of `ms` milliseconds, yielding each window
+ * as its own async iterable when it opens. A window also closes early once it has
+ * received `maxSize` values. The source is read eagerly and values are buffered in
+ * their window until consumed; once a window's iterator is returned, the rest of its
+ * values are dropped.
+ * @param {number} ms - The window length in milliseconds
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.maxSize=Infinity] - Maximum number of values per window
+ * @param {Object} [options.scheduler] - Scheduler providing the timers (see VirtualTimeScheduler)
+ * @returns {Function} A function that takes an async iterable and returns an async iterable of async iterables
+ * @throws {ValidationError} If ms is not a positive number, maxSize is not a positive integer or the scheduler is invalid
+ */
+export function windowTime(ms, { maxSize = Infinity, scheduler } = {}) {
+  validateTimeWindow(ms, maxSize);
+  const timers = resolveScheduler(scheduler);
+
+  return function (source) {
+    return {
+      async *[Symbol.asyncIterator]() {
+        const windows = createAsyncQueue();
+        const iterator = source[Symbol.asyncIterator]();
+        let current = null;
+        let count = 0;
+        let timeoutId = null;
+        let stopped = false;
+        let sourceDone = false;
+
+        // Close the current window and open the next one
+        const openWindow = () => {
+          if (current) current.queue.end();
+
+          // A window stays open until the timer or maxSize closes it, even if its consumer left
+          const window = { queue: createAsyncQueue(), closed: false };
+          current = window;
+          count = 0;
+
+          timers.clearTimeout(timeoutId);
+          timeoutId = timers.setTimeout(openWindow, ms);
+
+          // Consumers only get the iterable side of the window
+          windows.enqueue({
+            [Symbol.asyncIterator]() {
+              return {
+                [Symbol.asyncIterator]() {
+                  return this;
+                },
+                next: () => window.queue.next(),
+                return: () => {
+                  window.closed = true;
+                  return window.queue.return();
+                }
+              };
+            }
+          });
+        };
+
+        const finish = (error) => {
+          sourceDone = true;
+          timers.clearTimeout(timeoutId);
+          current.queue.end(error);
+          windows.end(error);
+        };
+
+        const pump = async () => {
+          try {
+            while (!stopped) {
+              const { value, done } = await iterator.next();
+              if (done || stopped) break;
+
+              // Values for a window whose consumer stopped reading are dropped
+              if (!current.closed) {
+                current.queue.enqueue(value);
+              }
+              if (++count >= maxSize) {
+                openWindow();
+              }
+            }
+            if (!stopped) finish();
+          } catch (error) {
+            if (!stopped) finish(error);
+          }
+        };
+
+        openWindow();
+        pump();
+
+        try {
+          while (true) {
+            const { value, done } = await windows.next();
+            if (done) return;
+            yield value;
+          }
+        } finally {
+          stopped = true;
+          timers.clearTimeout(timeoutId);
+          current.queue.end();
+          windows.return();
+
+          if (!sourceDone) stopIterator(iterator);
+        }
+      }
+    };
+  };
+}
+
 export default buffer;
@@ -0,0 +1,84 @@
+import { ValidationError } from '../errors.js';
+import { toInnerIterable, isIterable } from '../utils/flatten.js';
+import { stopIterator } from '../utils/abortable.js';
+
+/**
+ * Combines the latest value of every source. Once each source has produced a value, every
+ * new value from any source yields a snapshot of the latest values: an array for an array
+ * of sources, an object with the same keys for a record of sources. Each source has one
+ * pending next() at a time. Completes when every source has completed, or immediately if a
+ * source completes without producing a value; the first error is rethrown.
+ * @param {Array<AsyncIterable>|Object<string, AsyncIterable>} sources - Array or record of async iterables
+ * @returns {AsyncIterable} A new async iterable of arrays or objects of latest values
+ * @throws {ValidationError} If sources is not an array or record of iterables
+ */
+export function combineLatest(sources) {
+  if (sources === null || typeof sources !== 'object' || (isIterable(sources) && !Array.isArray(sources))) {
+    throw new ValidationError('sources must be an array or record of async iterables');
+  }
+
+  const isArray = Array.isArray(sources);
+  const keys = isArray ? sources.map((_, index) => index) : Object.keys(sources);
+  const iterables = keys.map((key) => sources[key]);
+
+  if (!iterables.every(isIterable)) {
+    throw new ValidationError('sources must be an array or record of async iterables');
+  }
+
+  return {
+    async *[Symbol.asyncIterator]() {
+      const iterators = iterables.map((iterable) => toInnerIterable(iterable)[Symbol.asyncIterator]());
+      const latest = isArray ? new Array(keys.length) : {};
+      const hasValue = new Array(keys.length).fill(false);
+      const finished = new Set();
+      const pending = new Map();
+      let ready = 0;
+
+      const pull = (index) => {
+        pending.set(index, Promise.resolve()
+          .then(() => iterators[index].next())
+          .then((result) => ({ index, result }), (error) => ({ index, error, failed: true })));
+      };
+
+      try {
+        iterators.forEach((_, index) => pull(index));
+
+        while (pending.size > 0) {
+          const { index, result, error, failed } = await Promise.race(pending.values());
+          pending.delete(index);
+
+          if (failed) {
+            finished.add(index);
+            throw error;
+          }
+
+          if (result.done) {
+            finished.add(index);
+            // A source that never produced a value means no combination is possible
+            if (!hasValue[index]) return;
+            continue;
+          }
+
+          if (!hasValue[index]) {
+            hasValue[index] = true;
+            ready++;
+          }
+          latest[keys[index]] = result.value;
+
+          if (ready === keys.length) {
+            yield isArray ? [...latest] : { ...latest };
+          }
+
+          pull(index);
+        }
+      } finally {
+        // Stop every source that has not finished
+        iterators.forEach((iterator, index) => {
+          if (!finished.has(index)) stopIterator(iterator);
+        });
+      }
+    }
+  };
+}
+
+export default combineLatest;
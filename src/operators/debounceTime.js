@@ -1,85 +1,76 @@
-import { ValidationError, AbortError } from '../errors.js';
+import { ValidationError } from '../errors.js';
+import { resolveScheduler } from '../core/scheduler.js';
+import { createTimedReader, ELAPSED } from '../utils/timedReader.js';
 
 /**
  * Creates an async iterable that only emits a value from the source iterable
  * after a specified time span has passed without another source emission.
  * 
+ * With `leading`, the first value of a burst is emitted right away instead; with both
+ * options, the last value is emitted as well if the burst had more than one value.
+ * A trailing value still waiting when the source completes is emitted before completing.
+ * 
  * @param {number} ms - The debounce time in milliseconds
+ * @param {Object} [options] - Configuration options
+ * @param {boolean} [options.leading=false] - Emit the first value of a burst immediately
+ * @param {boolean} [options.trailing=true] - Emit the last value of a burst once it has gone quiet
+ * @param {Object} [options.scheduler] - Scheduler providing the timers (see VirtualTimeScheduler)
  * @returns {Function} A function that takes an async iterable and returns a new async iterable
- * @throws {ValidationError} If ms is negative
+ * @throws {ValidationError} If ms is negative, both edges are disabled or the scheduler is invalid
  */
-export function debounceTime(ms) {
+export function debounceTime(ms, { leading = false, trailing = true, scheduler } = {}) {
   if (ms < 0) {
     throw new ValidationError('Debounce time must be non-negative');
   }
+
+  if (!leading && !trailing) {
+    throw new ValidationError('At least one of leading or trailing must be enabled');
+  }
+
+  const timers = resolveScheduler(scheduler);
   
-  return function (source) {
-    return async function* () {
-      let timeoutId;
-      let pendingValue;
-      let hasPendingValue = false;
-      let resolvePending;
-      let rejectPending;
-      
-      // Cleanup function to clear any pending timeouts
-      const cleanup = () => {
-        if (timeoutId) {
-          clearTimeout(timeoutId);
-          timeoutId = null;
-        }
-        
-        if (resolvePending) {
-          resolvePending();
-          resolvePending = null;
-          rejectPending = null;
-        }
-      };
-      
-      try {
-        for await (const value of source) {
-          // If there's a pending value, resolve it immediately
-          if (hasPendingValue && resolvePending) {
-            resolvePending();
-            resolvePending = null;
-            rejectPending = null;
+  return async function* (source) {
+    const reader = createTimedReader(source, timers);
+    // Time at which the current burst goes quiet; null between bursts
+    let deadline = null;
+    let pendingValue;
+    let hasPendingValue = false;
+
+    try {
+      while (true) {
+        const result = await reader.read(deadline);
+
+        if (result === ELAPSED) {
+          deadline = null;
+          if (hasPendingValue) {
+            const value = pendingValue;
+            hasPendingValue = false;
+            pendingValue = undefined;
+            yield value;
           }
-          
-          // Store the new value and set up the debounce
-          pendingValue = value;
-          hasPendingValue = true;
-          
-          // Wait for either the debounce time to elapse or for the next value
-          await new Promise((resolve, reject) => {
-            resolvePending = resolve;
-            rejectPending = reject;
-            
-            timeoutId = setTimeout(() => {
-              timeoutId = null;
-              resolve();
-            }, ms);
-          });
-          
-          // If we get here and still have a pending value, yield it
+          continue;
+        }
+
+        if (result.done) {
           if (hasPendingValue) {
             yield pendingValue;
-            hasPendingValue = false;
-            pendingValue = null;
           }
+          return;
         }
-        
-        // Handle any final pending value
-        if (hasPendingValue) {
-          yield pendingValue;
+
+        if (deadline === null && leading) {
+          yield result.value;
+        } else if (trailing) {
+          pendingValue = result.value;
+          hasPendingValue = true;
         }
-        
-      } catch (error) {
-        // If the source throws, clean up and rethrow
-        cleanup();
-        throw error;
-      } finally {
-        cleanup();
+
+        // Every value restarts the quiet period
+        deadline = timers.now() + ms;
       }
-    }();
+    } finally {
+      reader.cancel();
+    }
   };
 }
 
@@ -0,0 +1,15 @@
+import { flatten, FLATTEN_STRATEGIES } from '../utils/flatten.js';
+
+/**
+ * Maps each source value to an inner async iterable, iterable or promise, ignoring source
+ * values that arrive while the current inner is still running
+ * @param {Function} fn - (value, index, signal) => AsyncIterable|Iterable|Promise
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ */
+export function exhaustMap(fn) {
+  return function (source) {
+    return flatten(source, fn, { strategy: FLATTEN_STRATEGIES.EXHAUST });
+  };
+}
+
+export default exhaustMap;
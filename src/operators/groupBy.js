@@ -0,0 +1,171 @@
+import { ValidationError } from '../errors.js';
+import { QUEUE_POLICIES } from '../constants.js';
+import { createAsyncQueue } from '../core/asyncQueue.js';
+import { resolveScheduler } from '../core/scheduler.js';
+import { stopIterator } from '../utils/abortable.js';
+
+/**
+ * Splits the source into one async iterable per key. Each new key yields a
+ * `{ key, values }` pair, where `values` receives every value with that key. The source
+ * is read eagerly, and each group buffers its values until they are consumed.
+ *
+ * A group closes when it has been idle for `durationMs`, when opening a new group would
+ * exceed `maxGroups` (the least recently used group is closed), or when its consumer calls
+ * return(). A later value with the same key opens a new group. Returning from the outer
+ * iterable stops the source and completes every group.
+ * @param {Function} keyFn - (value, index) => key
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.durationMs=Infinity] - Close a group after this many milliseconds without values
+ * @param {number} [options.maxGroups=Infinity] - Maximum number of open groups
+ * @param {number} [options.queueLimit=0] - Per-group queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-group overflow policy.
+ *   'throw' fails only the overflowing group; 'block' holds back the source for every group,
+ *   and a value still held back when its group closes is dropped.
+ * @param {Object} [options.scheduler] - Scheduler providing the idle timers (see VirtualTimeScheduler)
+ * @returns {Function} A function that takes an async iterable and returns an async iterable of groups
+ * @throws {ValidationError} If keyFn is not a function or an option is invalid
+ */
+export function groupBy(keyFn, {
+  durationMs = Infinity,
+  maxGroups = Infinity,
+  queueLimit = 0,
+  onOverflow = QUEUE_POLICIES.THROW,
+  scheduler
+} = {}) {
+  if (typeof keyFn !== 'function') {
+    throw new ValidationError('keyFn must be a function');
+  }
+
+  if (typeof durationMs !== 'number' || durationMs <= 0) {
+    throw new ValidationError('durationMs must be a positive number');
+  }
+
+  if (maxGroups !== Infinity && (!Number.isInteger(maxGroups) || maxGroups <= 0)) {
+    throw new ValidationError('maxGroups must be a positive integer or Infinity');
+  }
+
+  if (typeof queueLimit !== 'number' || queueLimit < 0) {
+    throw new ValidationError('queueLimit must be a non-negative number');
+  }
+
+  if (!Object.values(QUEUE_POLICIES).includes(onOverflow)) {
+    throw new ValidationError(
+      `onOverflow must be one of: ${Object.values(QUEUE_POLICIES).join(', ')}`
+    );
+  }
+
+  const timers = resolveScheduler(scheduler);
+
+  return function (source) {
+    return {
+      async *[Symbol.asyncIterator]() {
+        const output = createAsyncQueue();
+        const iterator = source[Symbol.asyncIterator]();
+        // Map order doubles as recency order: the first entry is the least recently used
+        const groups = new Map();
+        let stopped = false;
+        let sourceDone = false;
+
+        const closeGroup = (group, error) => {
+          if (groups.get(group.key) === group) {
+            groups.delete(group.key);
+          }
+          timers.clearTimeout(group.timeoutId);
+          group.queue.end(error);
+          // Buffered values stay readable, but a value held back under 'block' is dropped
+          // so the pump is not left waiting on a group that no longer takes values
+          group.queue.return();
+        };
+
+        const touch = (group) => {
+          groups.delete(group.key);
+          groups.set(group.key, group);
+
+          if (durationMs !== Infinity) {
+            timers.clearTimeout(group.timeoutId);
+            group.timeoutId = timers.setTimeout(() => closeGroup(group), durationMs);
+          }
+        };
+
+        const openGroup = (key) => {
+          if (groups.size >= maxGroups) {
+            closeGroup(groups.values().next().value);
+          }
+
+          const queue = createAsyncQueue({ queueLimit, onOverflow });
+          const group = { key, queue, timeoutId: null };
+          const values = {
+            [Symbol.asyncIterator]() {
+              return this;
+            },
+            next: () => queue.next(),
+            return: () => {
+              if (groups.get(key) === group) {
+                groups.delete(key);
+              }
+              timers.clearTimeout(group.timeoutId);
+              return queue.return();
+            }
+          };
+
+          output.enqueue({ key, values });
+          return group;
+        };
+
+        const finish = (error) => {
+          sourceDone = true;
+          for (const group of [...groups.values()]) {
+            closeGroup(group, error);
+          }
+          output.end(error);
+        };
+
+        const pump = async () => {
+          let index = 0;
+
+          try {
+            while (!stopped) {
+              const { value, done } = await iterator.next();
+              if (done || stopped) break;
+
+              const key = keyFn(value, index++);
+              const group = groups.get(key) || openGroup(key);
+              touch(group);
+
+              try {
+                await group.queue.enqueue(value);
+              } catch (error) {
+                // Only the overflowing group fails
+                closeGroup(group, error);
+              }
+            }
+
+            if (!stopped) finish();
+          } catch (error) {
+            if (!stopped) finish(error);
+          }
+        };
+
+        pump();
+
+        try {
+          while (true) {
+            const { value, done } = await output.next();
+            if (done) return;
+            yield value;
+          }
+        } finally {
+          stopped = true;
+          for (const group of [...groups.values()]) {
+            closeGroup(group);
+          }
+          output.return();
+
+          if (!sourceDone) stopIterator(iterator);
+        }
+      }
+    };
+  };
+}
+
+export default groupBy;
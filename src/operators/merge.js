@@ -1,64 +1,159 @@
+import { ValidationError } from '../errors.js';
+import { MERGE_ERROR_MODES } from '../constants.js';
+import { toInnerIterable, isIterable, splitTrailingOptions } from '../utils/flatten.js';
+import { stopIterator } from '../utils/abortable.js';
+
+// Key for the pending pull from the iterable of sources
+const OUTER = Symbol('outer');
+
 /**
- * Merge operator - combines multiple async iterables into one
- * @param {...AsyncIterable} sources - The async iterables to merge
- * @returns {AsyncIterable} A new async iterable that yields values from all sources
+ * Validates merge options
+ * @param {Object} options - Merge options
+ * @param {string} options.errorMode - How source errors are handled
+ * @param {number} options.maxConcurrent - Maximum number of sources read at once
+ * @throws {ValidationError} If an option is invalid
+ */
+function validateMergeOptions({ errorMode, maxConcurrent }) {
+  if (!Object.values(MERGE_ERROR_MODES).includes(errorMode)) {
+    throw new ValidationError(`errorMode must be one of: ${Object.values(MERGE_ERROR_MODES).join(', ')}`);
+  }
+
+  if (maxConcurrent !== Infinity && (!Number.isInteger(maxConcurrent) || maxConcurrent <= 0)) {
+    throw new ValidationError('maxConcurrent must be a positive integer or Infinity');
+  }
+}
+
+/**
+ * Merges the sources produced by an iterable of sources. Each active source has exactly
+ * one pending next() at a time, and is only pulled again once its value was consumed.
+ * @param {Iterable|AsyncIterable} sources - Iterable of async iterables, iterables or promises
+ * @param {Object} options - Merge options
+ * @param {string} options.errorMode - How source errors are handled
+ * @param {number} options.maxConcurrent - Maximum number of sources read at once
+ * @returns {AsyncIterable} A new async iterable over the values of every source
  */
-function merge(...sources) {
+function mergeSources(sources, { errorMode, maxConcurrent }) {
   return {
     async *[Symbol.asyncIterator]() {
-      // Convert each source to an async iterator
-      const iterators = sources.map(source => {
-        const iterator = source[Symbol.asyncIterator]();
-        return {
-          next: () => iterator.next(),
-          return: () => iterator.return ? iterator.return() : Promise.resolve({ done: true })
-        };
-      });
-
-      // Array to track active iterators
-      const activeIterators = [...iterators];
-      
+      const outer = typeof sources[Symbol.asyncIterator] === 'function'
+        ? sources[Symbol.asyncIterator]()
+        : sources[Symbol.iterator]();
+      const pending = new Map();
+      const active = new Set();
+      const errors = [];
+      let outerDone = false;
+
+      const track = (key, pull) => {
+        pending.set(key, Promise.resolve()
+          .then(pull)
+          .then((result) => ({ key, result }), (error) => ({ key, error, failed: true })));
+      };
+
+      // Start reading another source while there is a free slot
+      const fillSlots = () => {
+        if (!outerDone && !pending.has(OUTER) && active.size < maxConcurrent) {
+          track(OUTER, () => outer.next());
+        }
+      };
+
       try {
-        // Continue until all iterators are done
-        while (activeIterators.length > 0) {
-          // Wait for any iterator to yield a value
-          const results = await Promise.race(
-            activeIterators.map(async (iterator, index) => {
-              try {
-                const result = await iterator.next();
-                return { result, index };
-              } catch (error) {
-                return { error, index };
-              }
-            })
-          );
-
-          // Handle the result
-          if (results.error) {
-            // Remove the failed iterator
-            activeIterators.splice(activeIterators.indexOf(iterators[results.index]), 1);
+        fillSlots();
+
+        while (pending.size > 0) {
+          const { key, result, error, failed } = await Promise.race(pending.values());
+          pending.delete(key);
+
+          if (failed) {
+            if (key === OUTER) {
+              outerDone = true;
+            } else {
+              active.delete(key);
+            }
+
+            if (errorMode === MERGE_ERROR_MODES.FAIL_FAST) throw error;
+            if (errorMode === MERGE_ERROR_MODES.COLLECT) errors.push(error);
+            fillSlots();
+            continue;
+          }
+
+          if (key === OUTER) {
+            if (result.done) {
+              outerDone = true;
+              continue;
+            }
+
+            const iterator = toInnerIterable(result.value)[Symbol.asyncIterator]();
+            active.add(iterator);
+            track(iterator, () => iterator.next());
+            fillSlots();
             continue;
           }
 
-          const { value, done } = results.result;
-          
-          if (done) {
-            // Remove the completed iterator
-            activeIterators.splice(activeIterators.indexOf(iterators[results.index]), 1);
-          } else {
-            // Yield the value
-            yield value;
+          if (result.done) {
+            active.delete(key);
+            fillSlots();
+            continue;
           }
+
+          yield result.value;
+          track(key, () => key.next());
+        }
+
+        if (errors.length > 0) {
+          throw new AggregateError(errors, `${errors.length} merged source(s) failed`);
         }
       } finally {
-        // Clean up all iterators
-        await Promise.all(
-          iterators.map(iterator => iterator.return ? iterator.return() : Promise.resolve())
-        );
+        // Stop every source that is still running
+        for (const iterator of active) {
+          stopIterator(iterator);
+        }
+
+        if (!outerDone) stopIterator(outer);
       }
     }
   };
 }
 
-export { merge };
+/**
+ * Merge operator - combines multiple async iterables into one, yielding values in the
+ * order they arrive. An options object may be passed as the last argument.
+ * @param {...(AsyncIterable|Iterable|Object)} sources - The async iterables to merge, optionally followed by options
+ * @param {Object} [options] - Merge options (last argument)
+ * @param {'failFast'|'collect'|'ignore'} [options.errorMode='failFast'] - 'failFast' stops every source and
+ *   rethrows the first error, 'collect' keeps going and throws an AggregateError at the end,
+ *   'ignore' drops failed sources silently
+ * @param {number} [options.maxConcurrent=Infinity] - Maximum number of sources read at once
+ * @returns {AsyncIterable} A new async iterable that yields values from all sources
+ * @throws {ValidationError} If a source is not iterable or an option is invalid
+ */
+function merge(...args) {
+  const { sources, options } = splitTrailingOptions(args);
+  const { errorMode = MERGE_ERROR_MODES.FAIL_FAST, maxConcurrent = Infinity } = options;
+  validateMergeOptions({ errorMode, maxConcurrent });
+
+  if (!sources.every(isIterable)) {
+    throw new ValidationError('merge sources must be async iterables or iterables');
+  }
+
+  return mergeSources(sources, { errorMode, maxConcurrent });
+}
+
+/**
+ * Flattens an async iterable of sources by merging them as they arrive
+ * @param {Object} [options] - Merge options
+ * @param {'failFast'|'collect'|'ignore'} [options.errorMode='failFast'] - How source errors are handled, see merge
+ * @param {number} [options.maxConcurrent=Infinity] - Maximum number of sources read at once; further
+ *   sources are not pulled until one completes
+ * @returns {Function} A function that takes an iterable of sources and returns a new async iterable
+ * @throws {ValidationError} If an option is invalid
+ */
+function mergeAll({ errorMode = MERGE_ERROR_MODES.FAIL_FAST, maxConcurrent = Infinity } = {}) {
+  validateMergeOptions({ errorMode, maxConcurrent });
+
+  return function (sources) {
+    return mergeSources(sources, { errorMode, maxConcurrent });
+  };
+}
+
+export { merge, mergeAll };
 export default merge;
@@ -0,0 +1,32 @@
+import { flatten, validateConcurrency, FLATTEN_STRATEGIES } from '../utils/flatten.js';
+
+/**
+ * Maps each source value to an inner async iterable, iterable or promise and merges
+ * the inner values as they arrive
+ * @param {Function} fn - (value, index, signal) => AsyncIterable|Iterable|Promise; the signal aborts when
+ *   the output iterable is closed
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.concurrency=Infinity] - Maximum number of inner iterables consumed at once;
+ *   the source is not pulled while the limit is reached
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ * @throws {ValidationError} If concurrency is not a positive integer or Infinity
+ */
+export function mergeMap(fn, { concurrency = Infinity } = {}) {
+  validateConcurrency(concurrency);
+
+  return function (source) {
+    return flatten(source, fn, { strategy: FLATTEN_STRATEGIES.MERGE, concurrency });
+  };
+}
+
+/**
+ * Maps each source value to an inner async iterable, iterable or promise and emits the
+ * inner values in order, one inner at a time
+ * @param {Function} fn - (value, index, signal) => AsyncIterable|Iterable|Promise
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ */
+export function concatMap(fn) {
+  return mergeMap(fn, { concurrency: 1 });
+}
+
+export default mergeMap;
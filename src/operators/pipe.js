@@ -1,16 +1,34 @@
+import { abortableIterable } from '../utils/abortable.js';
+import { splitTrailingOptions } from '../utils/flatten.js';
+
 /**
- * Pipes a value through a series of functions
+ * Pipes a value through a series of functions. An options object may be passed as the
+ * last argument; with a signal, the source and the output of every stage are guarded so
+ * that aborting rejects pending reads with an AbortError and calls return() on every stage.
  * @param {any} value - The initial value
- * @param {...Function} fns - The functions to apply
+ * @param {...(Function|Object)} fns - The functions to apply, optionally followed by options
+ * @param {Object} [options] - Pipe options (last argument)
+ * @param {AbortSignal} [options.signal] - Signal that cancels the whole chain
  * @returns {any} The result of applying all functions
  */
-function pipe(value, ...fns) {
-  return fns.reduce((acc, fn) => fn(acc), value);
+function pipe(value, ...args) {
+  const { sources: fns, options } = splitTrailingOptions(args);
+  const { signal } = options;
+
+  if (!signal) {
+    return fns.reduce((acc, fn) => fn(acc), value);
+  }
+
+  const guard = (stage) => (
+    typeof stage?.[Symbol.asyncIterator] === 'function' ? abortableIterable(stage, signal) : stage
+  );
+
+  return fns.reduce((acc, fn) => guard(fn(acc)), guard(value));
 }
 
 /**
  * Creates a pipeline of operators that can be applied to an async iterable
- * @param {...Function} operators - The operators to apply in sequence
+ * @param {...(Function|Object)} operators - The operators to apply in sequence, optionally followed by pipe options
  * @returns {Function} A function that takes an async iterable and returns a new async iterable
  */
 function pipeOperators(...operators) {
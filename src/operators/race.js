@@ -1,22 +1,168 @@
-import { AbortError } from '../errors.js';
+import { ValidationError } from '../errors.js';
+import { toInnerIterable, isIterable, splitTrailingOptions } from '../utils/flatten.js';
+import { stopIterator } from '../utils/abortable.js';
 
 /**
- * Returns the first value from multiple AsyncIterables
+ * Races sources against each other and keeps streaming from the winner
+ * @param {Array} sources - The sources to race
+ * @param {Function} predicate - (value, index) => boolean, decides whether a value wins the race
+ * @returns {AsyncIterable} A new async iterable over the winner's values
+ */
+function raceSources(sources, predicate) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      const iterators = sources.map((source) => toInnerIterable(source)[Symbol.asyncIterator]());
+      const finished = new Set();
+      const pending = new Map();
+      const errors = [];
+      let winner = -1;
+
+      const pull = (index) => {
+        pending.set(index, Promise.resolve()
+          .then(() => iterators[index].next())
+          .then((result) => ({ index, result }), (error) => ({ index, error, failed: true })));
+      };
+
+      // Cancel every unfinished source except the given one
+      const cancelAll = (except = -1) => {
+        iterators.forEach((iterator, index) => {
+          if (index !== except && !finished.has(index)) {
+            finished.add(index);
+            stopIterator(iterator);
+          }
+        });
+      };
+
+      try {
+        iterators.forEach((_, index) => pull(index));
+
+        // Until a winner is decided, each source has one pending next()
+        while (winner === -1 && pending.size > 0) {
+          const { index, result, error, failed } = await Promise.race(pending.values());
+          pending.delete(index);
+
+          // A source that fails or completes before winning drops out of the race
+          if (failed) {
+            finished.add(index);
+            errors.push(error);
+            continue;
+          }
+
+          if (result.done) {
+            finished.add(index);
+            continue;
+          }
+
+          if (!predicate(result.value, index)) {
+            pull(index);
+            continue;
+          }
+
+          winner = index;
+          cancelAll(winner);
+          yield result.value;
+        }
+
+        if (winner === -1) {
+          if (errors.length > 0) {
+            throw new AggregateError(errors, `${errors.length} raced source(s) failed without a winner`);
+          }
+          return;
+        }
+
+        const iterator = iterators[winner];
+        while (true) {
+          let result;
+          try {
+            result = await iterator.next();
+          } catch (error) {
+            finished.add(winner);
+            throw error;
+          }
+
+          if (result.done) {
+            finished.add(winner);
+            return;
+          }
+          yield result.value;
+        }
+      } finally {
+        cancelAll();
+      }
+    }
+  };
+}
+
+/**
+ * Races several async iterables: the first source to emit a value wins, every other
+ * source is cancelled through return(), and all of the winner's values are forwarded.
+ * Sources that fail or complete before a winner is decided drop out. If no source wins
+ * and at least one failed, an AggregateError of their errors is thrown; if they all
+ * completed empty, so does the output. An options object may be passed as the last argument.
+ * @param {...(AsyncIterable|Object)} sources - The async iterables to race, optionally followed by options
+ * @param {Object} [options] - Race options (last argument)
+ * @param {Function} [options.predicate] - (value, index) => boolean; only a value it accepts wins the race.
+ *   Values it rejects are dropped.
+ * @returns {AsyncIterable} A new async iterable over the winner's values
+ * @throws {ValidationError} If a source is not iterable or predicate is not a function
+ */
+function raceStreams(...args) {
+  const { sources, options } = splitTrailingOptions(args);
+  const { predicate = () => true } = options;
+
+  if (!sources.every(isIterable)) {
+    throw new ValidationError('race sources must be async iterables or iterables');
+  }
+
+  if (typeof predicate !== 'function') {
+    throw new ValidationError('predicate must be a function');
+  }
+
+  return raceSources(sources, predicate);
+}
+
+/**
+ * amb-style race where the caller decides what winning means
+ * @param {Function} predicate - (value, index) => boolean; the first source to emit an accepted value wins
+ * @param {...AsyncIterable} sources - The async iterables to race
+ * @returns {AsyncIterable} A new async iterable over the winner's values
+ * @throws {ValidationError} If a source is not iterable or predicate is not a function
+ */
+function amb(predicate, ...sources) {
+  return raceStreams(...sources, { predicate });
+}
+
+/**
+ * Returns the first value from multiple AsyncIterables. The first source to settle decides
+ * the outcome: its first value is yielded, its completion ends the output empty and its
+ * error is rethrown. Every other source is cancelled through return().
  * @param {...AsyncIterable} iterables - The iterables to race
  * @returns {AsyncIterable} A new async iterable that yields the first value from any source
  */
 async function* race(...iterables) {
-  const promises = iterables.map(async (iterable, index) => {
-    for await (const value of iterable) {
-      return { index, value };
-    }
-    return { index: -1 };
-  });
-  
-  const { index, value } = await Promise.race(promises);
-  if (index !== -1) {
-    yield value;
+  const iterators = iterables.map((iterable) => toInnerIterable(iterable)[Symbol.asyncIterator]());
+  let settled = -1;
+
+  try {
+    if (iterators.length === 0) return;
+
+    const { index, result, error, failed } = await Promise.race(iterators.map((iterator, i) => (
+      Promise.resolve()
+        .then(() => iterator.next())
+        .then((value) => ({ index: i, result: value }), (reason) => ({ index: i, error: reason, failed: true }))
+    )));
+
+    // The deciding source is finished unless it produced the value
+    if (failed || result.done) settled = index;
+    if (failed) throw error;
+    if (!result.done) yield result.value;
+  } finally {
+    // Stop every source except the one that decided the race
+    iterators.forEach((iterator, index) => {
+      if (index !== settled) stopIterator(iterator);
+    });
   }
 }
 
+export { raceStreams, amb };
 export default race;
@@ -0,0 +1,93 @@
+import { ValidationError } from '../errors.js';
+import { resolveScheduler, wait } from '../core/scheduler.js';
+import { toInnerIterable, isIterable } from '../utils/flatten.js';
+import { stopIterator } from '../utils/abortable.js';
+
+/**
+ * Creates a notifier that ticks every `ms` milliseconds, starting `ms` after it is iterated
+ * @param {number} ms - The tick interval in milliseconds
+ * @param {Object} timers - Resolved scheduler providing the timers
+ * @returns {AsyncIterable} The ticks
+ */
+async function* ticks(ms, timers) {
+  while (true) {
+    await wait(ms, { scheduler: timers });
+    yield undefined;
+  }
+}
+
+/**
+ * Emits the most recent source value whenever the notifier emits, if the source has
+ * produced a new value since the previous sample. Passing a number samples every that
+ * many milliseconds instead. Both are read concurrently; the output completes when
+ * either of them completes, and fails when either fails.
+ * @param {AsyncIterable|Iterable|number} notifier - The notifier, or a sampling period in milliseconds
+ * @param {Object} [options] - Configuration options
+ * @param {Object} [options.scheduler] - Scheduler providing the timers for a sampling period (see VirtualTimeScheduler)
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ * @throws {ValidationError} If notifier is neither iterable nor a positive finite number, or the scheduler is invalid
+ */
+export function sample(notifier, { scheduler } = {}) {
+  const isPeriod = typeof notifier === 'number';
+
+  if (isPeriod ? !(Number.isFinite(notifier) && notifier > 0) : !isIterable(notifier)) {
+    throw new ValidationError('notifier must be an async iterable or a positive, finite number of milliseconds');
+  }
+
+  const timers = resolveScheduler(scheduler);
+
+  return async function* (source) {
+    const iterators = [
+      source[Symbol.asyncIterator](),
+      (isPeriod ? ticks(notifier, timers) : toInnerIterable(notifier))[Symbol.asyncIterator]()
+    ];
+    const finished = new Set();
+    const pending = new Map();
+    let latest;
+    let hasValue = false;
+
+    // One pending next() per side: 0 is the source, 1 the notifier
+    const pull = (index) => {
+      pending.set(index, Promise.resolve()
+        .then(() => iterators[index].next())
+        .then((result) => ({ index, result }), (error) => ({ index, error, failed: true })));
+    };
+
+    try {
+      pull(0);
+      pull(1);
+
+      while (true) {
+        const { index, result, error, failed } = await Promise.race(pending.values());
+        pending.delete(index);
+
+        if (failed || result.done) {
+          finished.add(index);
+          if (failed) throw error;
+          return;
+        }
+
+        if (index === 0) {
+          latest = result.value;
+          hasValue = true;
+        } else if (hasValue) {
+          const value = latest;
+          hasValue = false;
+          latest = undefined;
+          pull(index);
+          yield value;
+          continue;
+        }
+
+        pull(index);
+      }
+    } finally {
+      // Stop both sides
+      iterators.forEach((iterator, index) => {
+        if (!finished.has(index)) stopIterator(iterator);
+      });
+    }
+  };
+}
+
+export default sample;
@@ -0,0 +1,117 @@
+import { createSubject, createReplaySubject } from '../core/subject.js';
+import { QUEUE_POLICIES } from '../constants.js';
+import { stopIterator } from '../utils/abortable.js';
+
+/**
+ * Creates an async iterable that multicasts a single source iteration to every consumer
+ * @param {AsyncIterable} source - The source async iterable
+ * @param {Object} subject - Subject that fans values out to the consumers
+ * @returns {AsyncIterable} The shared async iterable
+ */
+function createShared(source, subject) {
+  let iterator = null;
+
+  // Pull from the source and push each value into the subject
+  const connect = async () => {
+    try {
+      iterator = source[Symbol.asyncIterator]();
+
+      while (!subject.closed) {
+        const { value, done } = await iterator.next();
+        if (done || subject.closed) break;
+
+        await subject.next(value);
+
+        // Every consumer may have failed on overflow without calling return()
+        if (subject.observers === 0) {
+          release();
+          break;
+        }
+      }
+      subject.complete();
+    } catch (error) {
+      subject.error(error);
+    }
+  };
+
+  // Stop the source once the last consumer has left
+  const release = () => {
+    if (subject.observers > 0 || subject.closed) return;
+
+    subject.complete();
+    stopIterator(iterator);
+  };
+
+  return {
+    [Symbol.asyncIterator]() {
+      const subscription = subject[Symbol.asyncIterator]();
+
+      if (!iterator && !subject.closed) {
+        connect();
+      }
+
+      return {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        next: () => subscription.next(),
+        return: () => {
+          const result = subscription.return();
+          release();
+          return result;
+        },
+        throw: (error) => {
+          const result = subscription.throw(error);
+          release();
+          return result;
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Shares one iteration of the source between any number of consumers. Every call to
+ * [Symbol.asyncIterator]() gets its own buffer, and the source is started by the first
+ * consumer and stopped once the last consumer calls return(). A stopped or completed
+ * shared iterable stays finished; later consumers complete immediately.
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.queueLimit=0] - Per-consumer queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-consumer overflow policy.
+ *   'throw' fails only the overflowing consumer; 'block' holds back the source for everyone.
+ * @returns {Function} A function that takes an async iterable and returns a shared async iterable
+ * @throws {ValidationError} If queueLimit or onOverflow is invalid
+ */
+export function share({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW } = {}) {
+  // Validate the options up front rather than on first use
+  createSubject({ queueLimit, onOverflow });
+
+  return (source) => createShared(source, createSubject({ queueLimit, onOverflow }));
+}
+
+/**
+ * Like share, but replays the most recent values to consumers that join late
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.bufferSize=Infinity] - Maximum number of values to replay
+ * @param {number} [options.windowMs=Infinity] - Only replay values emitted within this many milliseconds
+ * @param {number} [options.queueLimit=0] - Per-consumer queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-consumer overflow policy
+ * @param {Object} [options.scheduler] - Scheduler providing the clock used for windowMs
+ * @returns {Function} A function that takes an async iterable and returns a shared async iterable
+ * @throws {ValidationError} If bufferSize or windowMs is not a positive number
+ */
+export function shareReplay({
+  bufferSize = Infinity,
+  windowMs = Infinity,
+  queueLimit = 0,
+  onOverflow = QUEUE_POLICIES.THROW,
+  scheduler
+} = {}) {
+  const options = { windowMs, queueLimit, onOverflow, scheduler };
+  // Validate the options up front rather than on first use
+  createReplaySubject(bufferSize, options);
+
+  return (source) => createShared(source, createReplaySubject(bufferSize, options));
+}
+
+export default share;
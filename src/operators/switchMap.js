@@ -0,0 +1,17 @@
+import { flatten, FLATTEN_STRATEGIES } from '../utils/flatten.js';
+
+/**
+ * Maps each source value to an inner async iterable, iterable or promise, cancelling the
+ * previous inner whenever a new source value arrives. The previous inner is closed with
+ * return(), the signal passed to fn is aborted and values it produced that the consumer
+ * has not read yet are dropped.
+ * @param {Function} fn - (value, index, signal) => AsyncIterable|Iterable|Promise
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ */
+export function switchMap(fn) {
+  return function (source) {
+    return flatten(source, fn, { strategy: FLATTEN_STRATEGIES.SWITCH });
+  };
+}
+
+export default switchMap;
@@ -0,0 +1,82 @@
+import { ValidationError } from '../errors.js';
+import { toInnerIterable, isIterable } from '../utils/flatten.js';
+import { createLatch } from '../utils/latch.js';
+import { stopIterator } from '../utils/abortable.js';
+
+// Marker for the notifier firing
+const NOTIFIED = Symbol('notified');
+
+/**
+ * Forwards source values until the notifier fires, then completes and stops the source
+ * through return(). The notifier can be an AbortSignal (fires on abort), a promise (fires
+ * when it resolves) or an iterable (fires on its first value; completing without a value
+ * never fires). A rejecting promise or a failing iterable fails the output.
+ * @param {AbortSignal|Promise|AsyncIterable|Iterable} notifier - What ends the output
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ * @throws {ValidationError} If notifier is not a signal, promise or iterable
+ */
+export function takeUntil(notifier) {
+  const isSignal = typeof notifier?.aborted === 'boolean' && typeof notifier.addEventListener === 'function';
+  const isPromise = typeof notifier?.then === 'function';
+
+  if (!isSignal && !isPromise && !isIterable(notifier)) {
+    throw new ValidationError('notifier must be an AbortSignal, a promise or an async iterable');
+  }
+
+  return async function* (source) {
+    if (isSignal && notifier.aborted) return;
+
+    const iterator = source[Symbol.asyncIterator]();
+    let notifierIterator = null;
+    let sourceDone = false;
+    let cleanup = () => {};
+
+    const notified = createLatch();
+    if (isSignal) {
+      const onAbort = () => notified.resolve(NOTIFIED);
+      notifier.addEventListener('abort', onAbort, { once: true });
+      cleanup = () => notifier.removeEventListener('abort', onAbort);
+    } else if (isPromise) {
+      Promise.resolve(notifier).then(() => notified.resolve(NOTIFIED), notified.reject);
+    } else {
+      notifierIterator = toInnerIterable(notifier)[Symbol.asyncIterator]();
+      Promise.resolve()
+        .then(() => notifierIterator.next())
+        .then((result) => {
+          if (result.done) {
+            notifierIterator = null;
+          } else {
+            notified.resolve(NOTIFIED);
+          }
+        }, (error) => {
+          notifierIterator = null;
+          notified.reject(error);
+        });
+    }
+
+    try {
+      while (true) {
+        const next = iterator.next().then(null, (error) => {
+          sourceDone = true;
+          throw error;
+        });
+        const result = await Promise.race([next, notified.wait()]);
+        if (result === NOTIFIED) return;
+
+        if (result.done) {
+          sourceDone = true;
+          return;
+        }
+        yield result.value;
+      }
+    } finally {
+      cleanup();
+
+      // Stop the source and the notifier
+      if (!sourceDone) stopIterator(iterator);
+      stopIterator(notifierIterator);
+    }
+  };
+}
+
+export default takeUntil;
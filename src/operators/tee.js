@@ -0,0 +1,173 @@
+import { ValidationError } from '../errors.js';
+import { QUEUE_POLICIES } from '../constants.js';
+import { createAsyncQueue } from '../core/asyncQueue.js';
+import { stopIterator } from '../utils/abortable.js';
+
+/**
+ * Splits one source iteration into several branch iterables, each with its own queue
+ * @param {AsyncIterable} source - The source async iterable
+ * @param {number} count - Number of branches
+ * @param {Function} route - (value, index, deliver) => void|Promise, calls deliver(branchIndex, value)
+ * @param {Object} options - Branch queue options
+ * @param {number} options.queueLimit - Per-branch queue size (0 = unlimited)
+ * @param {string} options.onOverflow - Per-branch overflow policy
+ * @returns {AsyncIterable[]} The branches
+ */
+function createBranches(source, count, route, { queueLimit, onOverflow }) {
+  const queues = Array.from({ length: count }, () => createAsyncQueue({ queueLimit, onOverflow }));
+  const open = new Set(queues);
+  let iterator = null;
+  let sourceDone = false;
+  let stopping = null;
+
+  // Hand a value to one branch; a branch that overflows is failed on its own
+  const deliver = (branch, value) => {
+    const queue = queues[branch];
+    if (!open.has(queue)) return undefined;
+
+    try {
+      return queue.enqueue(value);
+    } catch (error) {
+      open.delete(queue);
+      queue.end(error);
+      return undefined;
+    }
+  };
+
+  const pump = async () => {
+    iterator = source[Symbol.asyncIterator]();
+    let index = 0;
+
+    try {
+      while (open.size > 0) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+
+        await route(value, index++, deliver);
+      }
+
+      sourceDone = true;
+      for (const queue of open) {
+        queue.end();
+      }
+    } catch (error) {
+      sourceDone = true;
+      for (const queue of open) {
+        queue.end(error);
+      }
+    }
+  };
+
+  // Stop the source once every branch has left, resolving when it has stopped
+  const release = (queue) => {
+    open.delete(queue);
+    if (open.size === 0 && iterator && !sourceDone) {
+      sourceDone = true;
+      stopping = stopIterator(iterator);
+    }
+    return stopping;
+  };
+
+  return queues.map((queue) => ({
+    [Symbol.asyncIterator]() {
+      // The first branch to be iterated starts reading the source
+      if (!iterator) {
+        pump();
+      }
+
+      return {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        next: () => queue.next(),
+        return: async () => {
+          const result = await queue.return();
+          await release(queue);
+          return result;
+        },
+        throw: async (error) => {
+          await queue.return();
+          await release(queue);
+          throw error;
+        }
+      };
+    }
+  }));
+}
+
+/**
+ * Validates branch queue options
+ * @param {number} queueLimit - Per-branch queue size
+ * @param {string} onOverflow - Per-branch overflow policy
+ * @throws {ValidationError} If an option is invalid
+ */
+function validateBranchOptions(queueLimit, onOverflow) {
+  if (typeof queueLimit !== 'number' || queueLimit < 0) {
+    throw new ValidationError('queueLimit must be a non-negative number');
+  }
+
+  if (!Object.values(QUEUE_POLICIES).includes(onOverflow)) {
+    throw new ValidationError(
+      `onOverflow must be one of: ${Object.values(QUEUE_POLICIES).join(', ')}`
+    );
+  }
+}
+
+/**
+ * Splits a source into n independent copies. The source is read once, starting when the
+ * first copy is iterated, and every value is queued for each copy. A slow copy applies
+ * its own overflow policy: 'throw' fails only that copy, 'block' holds back the source
+ * for all of them. The source is stopped once every copy has called return() or throw(),
+ * and that last call resolves only after the source's return() has.
+ * @param {AsyncIterable} source - The source async iterable
+ * @param {number} [n=2] - Number of copies
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.queueLimit=0] - Per-copy queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-copy overflow policy
+ * @returns {AsyncIterable[]} The copies
+ * @throws {ValidationError} If n is not a positive integer or an option is invalid
+ */
+export function tee(source, n = 2, { queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW } = {}) {
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new ValidationError('n must be a positive integer');
+  }
+
+  validateBranchOptions(queueLimit, onOverflow);
+
+  return createBranches(source, n, (value, index, deliver) => {
+    const pending = [];
+    for (let branch = 0; branch < n; branch++) {
+      const result = deliver(branch, value);
+      if (result && typeof result.then === 'function') {
+        pending.push(result);
+      }
+    }
+    return pending.length > 0 ? Promise.all(pending) : undefined;
+  }, { queueLimit, onOverflow });
+}
+
+/**
+ * Splits a source into values that match a predicate and values that do not, each branch
+ * with its own queue (see tee)
+ * @param {Function} predicate - (value, index) => boolean
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.queueLimit=0] - Per-branch queue size (0 = unlimited)
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-branch overflow policy
+ * @returns {Function} A function that takes an async iterable and returns [matching, rest]
+ * @throws {ValidationError} If predicate is not a function or an option is invalid
+ */
+export function partition(predicate, { queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW } = {}) {
+  if (typeof predicate !== 'function') {
+    throw new ValidationError('predicate must be a function');
+  }
+
+  validateBranchOptions(queueLimit, onOverflow);
+
+  return function (source) {
+    return createBranches(source, 2, (value, index, deliver) => {
+      return deliver(predicate(value, index) ? 0 : 1, value);
+    }, { queueLimit, onOverflow });
+  };
+}
+
+export default tee;
@@ -0,0 +1,292 @@
+import { QueueOverflowError, ValidationError } from '../errors.js';
+import { nextOrAbort, raceAbort, stopIterator } from '../utils/abortable.js';
+import { fromIterable } from '../sources/fromIterable.js';
+
+// Returned by a consume step to stop reading the source early
+const STOP = Symbol('stop');
+
+/**
+ * Reads a source to the end, or until the step returns STOP. The source is cancelled
+ * through return() on every early exit: STOP, a throwing step or an aborted signal.
+ * @param {AsyncIterable|Iterable} source - The source iterable
+ * @param {AbortSignal} [signal] - Signal that cancels the read with an AbortError
+ * @param {Function} step - (value, index) => any|STOP, may return a promise
+ * @returns {Promise<void>}
+ */
+async function consume(source, signal, step) {
+  // Plain iterables are read like in a for await loop
+  const iterator = fromIterable(source)[Symbol.asyncIterator]();
+  let done = false;
+  let index = 0;
+
+  try {
+    while (true) {
+      let result;
+      try {
+        result = await nextOrAbort(iterator, signal);
+      } catch (error) {
+        // A source that threw is already finished; an abort leaves it to be cancelled
+        done = !signal?.aborted;
+        throw error;
+      }
+
+      if (result.done) {
+        done = true;
+        return;
+      }
+
+      if ((await step(result.value, index++)) === STOP) return;
+    }
+  } finally {
+    if (!done) stopIterator(iterator);
+  }
+}
+
+/**
+ * Validates that an argument is a function
+ * @param {any} fn - The value to check
+ * @param {string} name - Argument name for the error message
+ * @throws {ValidationError} If fn is not a function
+ */
+function assertFunction(fn, name) {
+  if (typeof fn !== 'function') {
+    throw new ValidationError(`${name} must be a function`);
+  }
+}
+
+/**
+ * Reduces the source to a single value
+ * @param {Function} reducer - (acc, value, index) => newAcc, may return a promise
+ * @param {*} seed - The initial accumulator value
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the reduction
+ * @returns {Function} A function that takes an async iterable and returns a promise of the accumulator
+ * @throws {ValidationError} If reducer is not a function
+ */
+export function reduce(reducer, seed, { signal } = {}) {
+  assertFunction(reducer, 'reducer');
+
+  return async function (source) {
+    let acc = seed;
+    await consume(source, signal, async (value, index) => {
+      acc = await reducer(acc, value, index);
+    });
+    return acc;
+  };
+}
+
+/**
+ * Collects every value of the source into an array
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.maxItems=Infinity] - Fail with a QueueOverflowError, and cancel the source,
+ *   if it produces more values than this
+ * @param {AbortSignal} [options.signal] - Signal that cancels the collection
+ * @returns {Function} A function that takes an async iterable and returns a promise of the array
+ * @throws {ValidationError} If maxItems is not a non-negative integer or Infinity
+ */
+export function toArray({ maxItems = Infinity, signal } = {}) {
+  if (maxItems !== Infinity && (!Number.isInteger(maxItems) || maxItems < 0)) {
+    throw new ValidationError('maxItems must be a non-negative integer or Infinity');
+  }
+
+  return async function (source) {
+    const values = [];
+    await consume(source, signal, (value) => {
+      if (values.length >= maxItems) {
+        throw new QueueOverflowError(`toArray received more than ${maxItems} items`);
+      }
+      values.push(value);
+    });
+    return values;
+  };
+}
+
+/**
+ * Counts the values of the source
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the count
+ * @returns {Function} A function that takes an async iterable and returns a promise of the count
+ */
+export function count({ signal } = {}) {
+  return async function (source) {
+    let total = 0;
+    await consume(source, signal, () => {
+      total++;
+    });
+    return total;
+  };
+}
+
+/**
+ * Resolves with the first value of the source and cancels the rest
+ * @param {Object} [options] - Configuration options
+ * @param {*} [options.defaultValue=undefined] - Value used if the source completes without values
+ * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+ * @returns {Function} A function that takes an async iterable and returns a promise of the value
+ */
+export function first({ defaultValue, signal } = {}) {
+  return async function (source) {
+    let result = defaultValue;
+    await consume(source, signal, (value) => {
+      result = value;
+      return STOP;
+    });
+    return result;
+  };
+}
+
+/**
+ * Resolves with the last value of the source
+ * @param {Object} [options] - Configuration options
+ * @param {*} [options.defaultValue=undefined] - Value used if the source completes without values
+ * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+ * @returns {Function} A function that takes an async iterable and returns a promise of the value
+ */
+export function last({ defaultValue, signal } = {}) {
+  return async function (source) {
+    let result = defaultValue;
+    await consume(source, signal, (value) => {
+      result = value;
+    });
+    return result;
+  };
+}
+
+/**
+ * Resolves with the first value that matches a predicate and cancels the rest
+ * @param {Function} predicate - (value, index) => boolean, may return a promise
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the search
+ * @returns {Function} A function that takes an async iterable and returns a promise of the value,
+ *   or undefined if no value matches
+ * @throws {ValidationError} If predicate is not a function
+ */
+export function find(predicate, { signal } = {}) {
+  assertFunction(predicate, 'predicate');
+
+  return async function (source) {
+    let found;
+    await consume(source, signal, async (value, index) => {
+      if (await predicate(value, index)) {
+        found = value;
+        return STOP;
+      }
+      return undefined;
+    });
+    return found;
+  };
+}
+
+/**
+ * Resolves with whether every value matches a predicate. The source is cancelled at
+ * the first value that does not.
+ * @param {Function} predicate - (value, index) => boolean, may return a promise
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the check
+ * @returns {Function} A function that takes an async iterable and returns a promise of a boolean
+ * @throws {ValidationError} If predicate is not a function
+ */
+export function every(predicate, { signal } = {}) {
+  assertFunction(predicate, 'predicate');
+
+  return async function (source) {
+    let result = true;
+    await consume(source, signal, async (value, index) => {
+      if (!(await predicate(value, index))) {
+        result = false;
+        return STOP;
+      }
+      return undefined;
+    });
+    return result;
+  };
+}
+
+/**
+ * Resolves with whether any value matches a predicate. The source is cancelled at
+ * the first value that does.
+ * @param {Function} predicate - (value, index) => boolean, may return a promise
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the check
+ * @returns {Function} A function that takes an async iterable and returns a promise of a boolean
+ * @throws {ValidationError} If predicate is not a function
+ */
+export function some(predicate, { signal } = {}) {
+  assertFunction(predicate, 'predicate');
+
+  return async function (source) {
+    let result = false;
+    await consume(source, signal, async (value, index) => {
+      if (await predicate(value, index)) {
+        result = true;
+        return STOP;
+      }
+      return undefined;
+    });
+    return result;
+  };
+}
+
+/**
+ * Calls fn for every value of the source, running up to `concurrency` calls at once.
+ * The source is only read while a slot is free. The first failing call rejects the
+ * returned promise and cancels the source; calls already running are not awaited.
+ * @param {Function} fn - (value, index) => any, may return a promise
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.concurrency=1] - Maximum number of calls running at once
+ * @param {AbortSignal} [options.signal] - Signal that cancels the iteration
+ * @returns {Function} A function that takes an async iterable and returns a promise that
+ *   resolves once every call has finished
+ * @throws {ValidationError} If fn is not a function or concurrency is invalid
+ */
+export function forEach(fn, { concurrency = 1, signal } = {}) {
+  assertFunction(fn, 'fn');
+
+  if (concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency <= 0)) {
+    throw new ValidationError('concurrency must be a positive integer or Infinity');
+  }
+
+  return async function (source) {
+    // A failing call aborts the internal controller, which stops both the read and the waits
+    const controller = new AbortController();
+    const running = new Set();
+    let failure = null;
+
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const run = (value, index) => {
+      const task = Promise.resolve()
+        .then(() => fn(value, index))
+        .then(() => {
+          running.delete(task);
+        }, (error) => {
+          running.delete(task);
+          if (!failure) {
+            failure = { error };
+            controller.abort();
+          }
+        });
+      running.add(task);
+    };
+
+    try {
+      await consume(source, controller.signal, async (value, index) => {
+        run(value, index);
+        while (running.size >= concurrency) {
+          await raceAbort(Promise.race(running), controller.signal);
+        }
+      });
+      await raceAbort(Promise.all(running), controller.signal);
+    } catch (error) {
+      if (failure) throw failure.error;
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
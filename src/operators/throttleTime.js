@@ -1,94 +1,82 @@
 import { ValidationError } from '../errors.js';
+import { resolveScheduler } from '../core/scheduler.js';
+import { createTimedReader, ELAPSED } from '../utils/timedReader.js';
 
 /**
  * Creates an async iterable that emits values from the source iterable at most once
  * per specified time interval, with options for leading/trailing emissions.
  * 
+ * A value arriving outside a throttle window opens one and is emitted when `leading` is
+ * set. The latest value seen during a window is emitted when it closes if `trailing` is
+ * set, which opens the next window. A trailing value still waiting when the source
+ * completes is emitted before completing.
+ * 
  * @param {number} ms - The throttle duration in milliseconds
  * @param {Object} [options] - Configuration options
  * @param {boolean} [options.leading=true] - Whether to emit the first value in the interval
  * @param {boolean} [options.trailing=true] - Whether to emit the last value in the interval
+ * @param {Object} [options.scheduler] - Scheduler providing the clock and timers (see VirtualTimeScheduler)
  * @returns {Function} A function that takes an async iterable and returns a new async iterable
- * @throws {ValidationError} If ms is negative
+ * @throws {ValidationError} If ms is negative, both edges are disabled or the scheduler is invalid
  */
-export function throttleTime(ms, { leading = true, trailing = true } = {}) {
+export function throttleTime(ms, { leading = true, trailing = true, scheduler } = {}) {
   if (ms < 0) {
     throw new ValidationError('Throttle time must be non-negative');
   }
+
+  if (!leading && !trailing) {
+    throw new ValidationError('At least one of leading or trailing must be enabled');
+  }
+
+  const timers = resolveScheduler(scheduler);
   
-  return function (source) {
-    return async function* () {
-      let lastEmittedTime = 0;
-      let pendingValue;
-      let hasPendingValue = false;
-      let timeoutId;
-      let resolvePending;
-      
-      // Cleanup function to clear any pending timeouts
-      const cleanup = () => {
-        if (timeoutId) {
-          clearTimeout(timeoutId);
-          timeoutId = null;
+  return async function* (source) {
+    const reader = createTimedReader(source, timers);
+    // End of the current throttle window; null while not throttling
+    let deadline = null;
+    let pendingValue;
+    let hasPendingValue = false;
+
+    try {
+      while (true) {
+        const result = await reader.read(deadline);
+
+        if (result === ELAPSED) {
+          if (hasPendingValue) {
+            const value = pendingValue;
+            hasPendingValue = false;
+            pendingValue = undefined;
+            deadline = timers.now() + ms;
+            yield value;
+          } else {
+            deadline = null;
+          }
+          continue;
         }
-        
-        if (resolvePending) {
-          resolvePending();
-          resolvePending = null;
+
+        if (result.done) {
+          if (hasPendingValue) {
+            yield pendingValue;
+          }
+          return;
         }
-      };
-      
-      try {
-        for await (const value of source) {
-          const currentTime = Date.now();
-          const timeSinceLastEmission = currentTime - lastEmittedTime;
-          
-          // If we haven't emitted in the last interval, emit immediately
-          if (timeSinceLastEmission >= ms) {
-            lastEmittedTime = currentTime;
-            yield value;
+
+        if (deadline === null) {
+          deadline = timers.now() + ms;
+          if (leading) {
+            yield result.value;
             continue;
           }
-          
-          // Otherwise, schedule for later if trailing is enabled
-          if (trailing) {
-            pendingValue = value;
-            hasPendingValue = true;
-            
-            if (!timeoutId) {
-              const timeUntilNextEmission = ms - timeSinceLastEmission;
-              
-              await new Promise((resolve) => {
-                resolvePending = resolve;
-                
-                timeoutId = setTimeout(() => {
-                  timeoutId = null;
-                  lastEmittedTime = Date.now();
-                  hasPendingValue = false;
-                  resolve();
-                }, timeUntilNextEmission);
-              });
-              
-              if (pendingValue !== undefined) {
-                yield pendingValue;
-                pendingValue = undefined;
-              }
-            }
-          }
         }
-        
-        // Handle any final pending value
-        if (hasPendingValue && pendingValue !== undefined) {
-          yield pendingValue;
+
+        if (trailing) {
+          pendingValue = result.value;
+          hasPendingValue = true;
         }
-        
-      } catch (error) {
-        // If the source throws, clean up and rethrow
-        cleanup();
-        throw error;
-      } finally {
-        cleanup();
       }
-    }();
+    } finally {
+      reader.cancel();
+    }
   };
 }
 
@@ -1,40 +1,108 @@
-import { AbortError } from '../errors.js';
+import { TimeoutError, ValidationError } from '../errors.js';
+import { TIMEOUT_MODES } from '../constants.js';
+import { resolveScheduler } from '../core/scheduler.js';
+import { stopIterator } from '../utils/abortable.js';
+
+// Marker for the deadline winning the race against the source
+const TIMED_OUT = Symbol('timedOut');
 
 /**
- * Creates an async iterable that throws an error if a value is not emitted within
- * the specified time period.
- * 
+ * Creates an async iterable that fails, or switches to a fallback, when the source takes
+ * too long. The clock measures the wait for the source, not the time the consumer spends
+ * between values, except in 'total' mode where the whole iteration counts.
+ *
  * @param {number} ms - The timeout duration in milliseconds
  * @param {Object} [options] - Configuration options
- * @param {Error|string} [options.error] - Custom error or error message to throw on timeout
+ * @param {'first'|'each'|'total'} [options.mode='each'] - 'first' limits the wait for the first value,
+ *   'each' the wait for every value and for completion, 'total' the time until the source completes
+ * @param {Error|string} [options.error] - Custom error to throw on timeout, or the message of the TimeoutError
+ * @param {AsyncIterable|Iterable} [options.with] - Fallback to continue with instead of throwing
+ * @param {Object} [options.scheduler] - Scheduler providing the clock and timers (see VirtualTimeScheduler)
  * @returns {Function} A function that takes an async iterable and returns a new async iterable
+ * @throws {ValidationError} If ms, mode, the fallback or the scheduler is invalid
+ * @throws {TimeoutError} If time runs out and no fallback is given
  */
-export function timeout(ms, { error } = {}) {
+export function timeout(ms, { mode = TIMEOUT_MODES.EACH, error, with: fallback, scheduler } = {}) {
+  if (typeof ms !== 'number' || ms < 0 || Number.isNaN(ms)) {
+    throw new ValidationError('Timeout must be a non-negative number');
+  }
+
+  if (!Object.values(TIMEOUT_MODES).includes(mode)) {
+    throw new ValidationError(`mode must be one of: ${Object.values(TIMEOUT_MODES).join(', ')}`);
+  }
+
+  if (
+    fallback !== undefined &&
+    typeof fallback?.[Symbol.asyncIterator] !== 'function' &&
+    typeof fallback?.[Symbol.iterator] !== 'function'
+  ) {
+    throw new ValidationError('with must be an async iterable or iterable');
+  }
+
+  const timers = resolveScheduler(scheduler);
+
+  const createError = () => {
+    if (error instanceof Error) return error;
+    return new TimeoutError(error || `Operation timed out after ${ms}ms`);
+  };
+
   return function (source) {
     return async function* () {
-      for await (const value of source) {
-        // Create a promise that will reject after the timeout
-        const timeoutPromise = new Promise((_, reject) => {
-          const timeoutId = setTimeout(() => {
-            const timeoutError = error
-              ? (typeof error === 'string' ? new Error(error) : error)
-              : new AbortError(`Operation timed out after ${ms}ms`);
-            reject(timeoutError);
-          }, ms);
-          
-          // Clean up the timeout if the iterator is closed
-          return () => clearTimeout(timeoutId);
-        });
-        
-        // Race the source value against the timeout
-        const result = await Promise.race([
-          Promise.resolve(value),
-          timeoutPromise
-        ]);
-        
-        // If we get here, the value was emitted before the timeout
-        yield result;
+      const iterator = source[Symbol.asyncIterator]();
+      const start = timers.now();
+      let received = false;
+      let sourceDone = false;
+
+      // Wait for the next source result unless the deadline passes first
+      const nextBefore = (deadline) => {
+        if (deadline === Infinity) return iterator.next();
+
+        const remaining = deadline - timers.now();
+        if (remaining <= 0) return TIMED_OUT;
+
+        let timeoutId;
+        return Promise.race([
+          iterator.next(),
+          new Promise((resolve) => {
+            timeoutId = timers.setTimeout(resolve, remaining, TIMED_OUT);
+          })
+        ]).finally(() => timers.clearTimeout(timeoutId));
+      };
+
+      try {
+        while (true) {
+          let deadline = Infinity;
+          if (mode === TIMEOUT_MODES.EACH) {
+            deadline = timers.now() + ms;
+          } else if (mode === TIMEOUT_MODES.TOTAL || !received) {
+            deadline = start + ms;
+          }
+
+          const result = await nextBefore(deadline);
+          if (result === TIMED_OUT) break;
+
+          if (result.done) {
+            sourceDone = true;
+            return;
+          }
+
+          received = true;
+          yield result.value;
+        }
+      } catch (err) {
+        sourceDone = true;
+        throw err;
+      } finally {
+        // Cancel the pending source next() on timeout or when the consumer stops early
+        if (!sourceDone) stopIterator(iterator);
+      }
+
+      if (fallback !== undefined) {
+        yield* fallback;
+        return;
       }
+
+      throw createError();
     }();
   };
 }
@@ -1,13 +1,14 @@
+import { first } from './terminal.js';
+
 /**
  * Converts an AsyncIterable to a Promise that resolves with the first value
  * @param {AsyncIterable} asyncIterable - The async iterable to convert
- * @returns {Promise} A promise that resolves with the first value
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the wait
+ * @returns {Promise} A promise that resolves with the first value, or undefined if there is none
  */
-async function toPromise(asyncIterable) {
-  for await (const value of asyncIterable) {
-    return value;
-  }
-  return undefined;
+async function toPromise(asyncIterable, { signal } = {}) {
+  return first({ signal })(asyncIterable);
 }
 
 export default toPromise;
@@ -0,0 +1,98 @@
+import { ValidationError } from '../errors.js';
+import { toInnerIterable, isIterable } from '../utils/flatten.js';
+import { createLatch } from '../utils/latch.js';
+import { stopIterator } from '../utils/abortable.js';
+
+// Marker for one of the other sources failing
+const OTHER_FAILED = Symbol('otherFailed');
+
+/**
+ * Pairs every source value with the latest values of the other iterables, yielding
+ * [value, ...latest]. The other iterables are read in the background from the moment
+ * iteration starts; source values that arrive before every other iterable has produced
+ * a value are skipped. Completes with the source, and rethrows errors from any input.
+ * @param {...AsyncIterable} others - The async iterables to sample
+ * @returns {Function} A function that takes an async iterable and returns a new async iterable of arrays
+ * @throws {ValidationError} If any of the others is not iterable
+ */
+export function withLatestFrom(...others) {
+  if (!others.every(isIterable)) {
+    throw new ValidationError('withLatestFrom arguments must be async iterables or iterables');
+  }
+
+  return function (source) {
+    return {
+      async *[Symbol.asyncIterator]() {
+        const iterators = others.map((other) => toInnerIterable(other)[Symbol.asyncIterator]());
+        const sourceIterator = source[Symbol.asyncIterator]();
+        const latest = new Array(others.length);
+        const hasValue = new Array(others.length).fill(false);
+        const finished = new Set();
+        let ready = 0;
+        let stopped = false;
+        let sourceDone = false;
+        let otherError;
+        const failure = createLatch();
+
+        // Keep the latest value of each other iterable up to date
+        iterators.forEach(async (iterator, index) => {
+          try {
+            while (!stopped) {
+              const { value, done } = await iterator.next();
+              if (done) {
+                finished.add(index);
+                return;
+              }
+              if (stopped) return;
+
+              if (!hasValue[index]) {
+                hasValue[index] = true;
+                ready++;
+              }
+              latest[index] = value;
+            }
+          } catch (error) {
+            finished.add(index);
+            if (!stopped) {
+              otherError = error;
+              failure.resolve(OTHER_FAILED);
+            }
+          }
+        });
+
+        try {
+          while (true) {
+            let result;
+            try {
+              result = await Promise.race([sourceIterator.next(), failure.wait()]);
+            } catch (error) {
+              sourceDone = true;
+              throw error;
+            }
+
+            if (result === OTHER_FAILED) throw otherError;
+
+            if (result.done) {
+              sourceDone = true;
+              return;
+            }
+
+            if (ready === others.length) {
+              yield [result.value, ...latest];
+            }
+          }
+        } finally {
+          stopped = true;
+
+          iterators.forEach((iterator, index) => {
+            if (!finished.has(index)) stopIterator(iterator);
+          });
+
+          if (!sourceDone) stopIterator(sourceIterator);
+        }
+      }
+    };
+  };
+}
+
+export default withLatestFrom;
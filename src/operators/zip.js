@@ -1,44 +1,174 @@
+import { ValidationError } from '../errors.js';
+import { QUEUE_POLICIES } from '../constants.js';
+import { createAsyncQueue } from '../core/asyncQueue.js';
+import { toInnerIterable, isIterable, splitTrailingOptions } from '../utils/flatten.js';
+import { createLatch } from '../utils/latch.js';
+import { stopIterator } from '../utils/abortable.js';
+
+// Marker for a buffered source overflowing with the 'throw' policy
+const OVERFLOWED = Symbol('overflowed');
+
 /**
- * Zip operator - combines values from multiple async iterables into tuples
- * @param {...AsyncIterable} sources - The async iterables to zip together
- * @returns {AsyncIterable} A new async iterable that yields arrays of values from each source
+ * Validates zip options
+ * @param {Array} sources - The sources to zip
+ * @param {Object} options - Zip options
+ * @param {number} [options.bufferLimit] - Per-source buffer size
+ * @param {string} options.onOverflow - Per-source overflow policy
+ * @throws {ValidationError} If a source is not iterable or an option is invalid
+ */
+function validateZip(sources, { bufferLimit, onOverflow }) {
+  if (!sources.every(isIterable)) {
+    throw new ValidationError('zip sources must be async iterables or iterables');
+  }
+
+  if (bufferLimit !== undefined && (!Number.isInteger(bufferLimit) || bufferLimit <= 0)) {
+    throw new ValidationError('bufferLimit must be a positive integer');
+  }
+
+  if (!Object.values(QUEUE_POLICIES).includes(onOverflow)) {
+    throw new ValidationError(
+      `onOverflow must be one of: ${Object.values(QUEUE_POLICIES).join(', ')}`
+    );
+  }
+}
+
+/**
+ * Zips sources into arrays, one value per source
+ * @param {Array} sources - The sources to zip
+ * @param {Object} options - Zip options
+ * @param {boolean} options.longest - Keep going until every source is exhausted
+ * @param {any} options.fillValue - Value used for exhausted sources in longest mode
+ * @param {number} [options.bufferLimit] - Read sources eagerly into buffers of this size
+ * @param {string} options.onOverflow - Overflow policy for the buffers
+ * @returns {AsyncIterable} A new async iterable of arrays
  */
-function zip(...sources) {
+function zipSources(sources, { longest, fillValue, bufferLimit, onOverflow }) {
   return {
     async *[Symbol.asyncIterator]() {
-      // Convert each source to an async iterator
-      const iterators = sources.map(source => {
-        const iterator = source[Symbol.asyncIterator]();
+      const overflow = createLatch();
+      let overflowError;
+
+      // Lockstep: a source is only pulled when a new array is needed
+      const pullInput = (source) => {
+        const iterator = toInnerIterable(source)[Symbol.asyncIterator]();
         return {
           next: () => iterator.next(),
-          return: () => iterator.return ? iterator.return() : Promise.resolve({ done: true })
+          return: () => iterator.return?.()
         };
-      });
+      };
 
-      try {
-        while (true) {
-          // Get the next value from each iterator
-          const results = await Promise.all(
-            iterators.map(iterator => iterator.next())
-          );
-
-          // If any iterator is done, we're done
-          if (results.some(({ done }) => done)) {
-            break;
+      // Buffered: a source is read ahead into its own queue
+      const bufferInput = (source) => {
+        const iterator = toInnerIterable(source)[Symbol.asyncIterator]();
+        const queue = createAsyncQueue({ queueLimit: bufferLimit, onOverflow });
+        let stopped = false;
+
+        (async () => {
+          while (!stopped) {
+            let result;
+            try {
+              result = await iterator.next();
+            } catch (error) {
+              if (!stopped) queue.end(error);
+              return;
+            }
+
+            if (result.done) {
+              if (!stopped) queue.end();
+              return;
+            }
+            if (stopped) return;
+
+            try {
+              await queue.enqueue(result.value);
+            } catch (error) {
+              if (!stopped) {
+                overflowError = error;
+                overflow.resolve(OVERFLOWED);
+              }
+              return;
+            }
           }
+        })();
+
+        return {
+          next: () => queue.next(),
+          return: () => {
+            stopped = true;
+            stopIterator(iterator);
+            return queue.return();
+          }
+        };
+      };
 
-          // Yield the array of values
-          yield results.map(({ value }) => value);
+      const inputs = sources.map(bufferLimit === undefined ? pullInput : bufferInput);
+      const done = new Array(inputs.length).fill(false);
+
+      try {
+        while (inputs.length > 0) {
+          const results = await Promise.race([
+            Promise.all(inputs.map((input, index) => (done[index] ? null : input.next()))),
+            overflow.wait()
+          ]);
+
+          if (results === OVERFLOWED) throw overflowError;
+
+          results.forEach((result, index) => {
+            if (result?.done) done[index] = true;
+          });
+
+          if (longest ? done.every(Boolean) : done.some(Boolean)) break;
+
+          yield results.map((result, index) => (done[index] ? fillValue : result.value));
         }
       } finally {
         // Clean up all iterators
-        await Promise.all(
-          iterators.map(iterator => iterator.return ? iterator.return() : Promise.resolve())
-        );
+        inputs.forEach((input, index) => {
+          if (!done[index]) stopIterator(input);
+        });
       }
     }
   };
 }
 
-export { zip };
+/**
+ * Zip operator - combines values from multiple async iterables into tuples, stopping as
+ * soon as any source finishes. An options object may be passed as the last argument.
+ * @param {...(AsyncIterable|Object)} sources - The async iterables to zip together, optionally followed by options
+ * @param {Object} [options] - Zip options (last argument)
+ * @param {number} [options.bufferLimit] - Read every source ahead into a buffer of this size instead of
+ *   pulling in lockstep, so fast sources are not stalled by slow ones
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - What happens when a source
+ *   fills its buffer; 'throw' fails the zip with a QueueOverflowError
+ * @returns {AsyncIterable} A new async iterable that yields arrays of values from each source
+ * @throws {ValidationError} If a source is not iterable or an option is invalid
+ */
+function zip(...args) {
+  const { sources, options } = splitTrailingOptions(args);
+  const { bufferLimit, onOverflow = QUEUE_POLICIES.THROW } = options;
+  validateZip(sources, { bufferLimit, onOverflow });
+
+  return zipSources(sources, { longest: false, bufferLimit, onOverflow });
+}
+
+/**
+ * Like zip, but keeps going until every source is exhausted, using fillValue in place
+ * of the sources that have already finished
+ * @param {...(AsyncIterable|Object)} sources - The async iterables to zip together, optionally followed by options
+ * @param {Object} [options] - Zip options (last argument)
+ * @param {any} [options.fillValue=undefined] - Value used for exhausted sources
+ * @param {number} [options.bufferLimit] - Per-source buffer size, see zip
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Per-source overflow policy
+ * @returns {AsyncIterable} A new async iterable that yields arrays of values from each source
+ * @throws {ValidationError} If a source is not iterable or an option is invalid
+ */
+function zipLongest(...args) {
+  const { sources, options } = splitTrailingOptions(args);
+  const { fillValue, bufferLimit, onOverflow = QUEUE_POLICIES.THROW } = options;
+  validateZip(sources, { bufferLimit, onOverflow });
+
+  return zipSources(sources, { longest: true, fillValue, bufferLimit, onOverflow });
+}
+
+export { zip, zipLongest };
 export default zip;
@@ -0,0 +1,290 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { Readable } from 'node:stream';
+import { fromEventEmitter } from '../fromEventEmitter.js';
+import { collect } from '../../__tests__/utils.js';
+
+describe('fromEventEmitter', () => {
+  it('should reject a non-emitter', () => {
+    expect(() => fromEventEmitter({}, 'data')).toThrow(TypeError);
+  });
+
+  it('should yield emitted values', async () => {
+    const emitter = new EventEmitter();
+    const iterator = fromEventEmitter(emitter, 'data')[Symbol.asyncIterator]();
+
+    emitter.emit('data', 1);
+    emitter.emit('data', 2);
+
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+    expect(await iterator.next()).toEqual({ value: 2, done: false });
+    await iterator.return();
+  });
+
+  describe("'block' policy", () => {
+    it('should keep every event past queueLimit and report pressure', async () => {
+      const emitter = new EventEmitter();
+      const reports = [];
+      const iterator = fromEventEmitter(emitter, 'data', {
+        queueLimit: 1,
+        onOverflow: 'block',
+        pressure: (blocked) => reports.push(blocked)
+      })[Symbol.asyncIterator]();
+
+      emitter.emit('data', 1);
+      emitter.emit('data', 2);
+      emitter.emit('data', 3);
+      expect(reports).toEqual([true]);
+
+      expect((await iterator.next()).value).toBe(1);
+      expect((await iterator.next()).value).toBe(2);
+      expect((await iterator.next()).value).toBe(3);
+      await Promise.resolve();
+      expect(reports).toEqual([true, false]);
+
+      await iterator.return();
+    });
+  });
+
+  describe('watermarks', () => {
+    // A Readable that only produces what the test pushes
+    const createReadable = () => new Readable({ objectMode: true, read() {} });
+
+    it('should pause the emitter at highWaterMark and resume it at lowWaterMark', async () => {
+      const readable = createReadable();
+      const iterator = fromEventEmitter(readable, 'data', {
+        highWaterMark: 2,
+        lowWaterMark: 0
+      })[Symbol.asyncIterator]();
+
+      readable.push(1);
+      readable.push(2);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(readable.isPaused()).toBe(true);
+
+      await iterator.next();
+      expect(readable.isPaused()).toBe(true);
+      await iterator.next();
+      expect(readable.isPaused()).toBe(false);
+
+      await iterator.return();
+    });
+
+    it('should resume a paused emitter when the consumer breaks out', async () => {
+      const readable = createReadable();
+      readable.push(1);
+      readable.push(2);
+      readable.push(3);
+
+      for await (const value of fromEventEmitter(readable, 'data', { highWaterMark: 2 })) {
+        expect(readable.isPaused()).toBe(true);
+        if (value === 1) break;
+      }
+
+      expect(readable.isPaused()).toBe(false);
+      expect(readable.listenerCount('data')).toBe(0);
+    });
+
+    it('should resume a paused emitter on abort', async () => {
+      const readable = createReadable();
+      const controller = new AbortController();
+      fromEventEmitter(readable, 'data', { highWaterMark: 1, signal: controller.signal });
+
+      readable.push(1);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(readable.isPaused()).toBe(true);
+
+      controller.abort();
+      expect(readable.isPaused()).toBe(false);
+    });
+
+    it('should release producers blocked on the queue when the consumer returns', async () => {
+      const emitter = new EventEmitter();
+      const reports = [];
+      const iterator = fromEventEmitter(emitter, 'data', {
+        queueLimit: 1,
+        onOverflow: 'block',
+        pressure: (blocked) => reports.push(blocked)
+      })[Symbol.asyncIterator]();
+
+      emitter.emit('data', 1);
+      emitter.emit('data', 2);
+      await iterator.return();
+      await Promise.resolve();
+
+      expect(reports).toEqual([true, false]);
+    });
+  });
+
+  describe('disposal', () => {
+    it('should detach its listeners on asyncDispose and complete', async () => {
+      const emitter = new EventEmitter();
+      const iterable = fromEventEmitter(emitter, 'data');
+      const iterator = iterable[Symbol.asyncIterator]();
+      expect(emitter.listenerCount('data')).toBe(1);
+
+      await iterable[Symbol.asyncDispose]();
+
+      expect(emitter.listenerCount('data')).toBe(0);
+      expect(emitter.listenerCount('error')).toBe(0);
+      expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    });
+
+    it('should detach its listeners on synchronous dispose', () => {
+      const emitter = new EventEmitter();
+      const iterable = fromEventEmitter(emitter, 'data');
+
+      iterable[Symbol.dispose]();
+
+      expect(emitter.listenerCount('data')).toBe(0);
+    });
+  });
+
+  it('should validate errorEvent, endEvents and args', () => {
+    const emitter = new EventEmitter();
+
+    expect(() => fromEventEmitter(emitter, 42)).toThrow(TypeError);
+    expect(() => fromEventEmitter(emitter, 'data', { errorEvent: 42 })).toThrow(TypeError);
+    expect(() => fromEventEmitter(emitter, 'data', { endEvents: 'end' })).toThrow(TypeError);
+    expect(() => fromEventEmitter(emitter, 'data', { args: 'last' })).toThrow(TypeError);
+  });
+
+  describe('errorEvent', () => {
+    it('should reject with the emitted error after the buffered values', async () => {
+      const emitter = new EventEmitter();
+      const iterator = fromEventEmitter(emitter, 'data')[Symbol.asyncIterator]();
+      const error = new Error('socket hang up');
+
+      emitter.emit('data', 1);
+      emitter.emit('error', error);
+
+      expect(await iterator.next()).toEqual({ value: 1, done: false });
+      await expect(iterator.next()).rejects.toBe(error);
+      expect(emitter.listenerCount('data')).toBe(0);
+    });
+
+    it('should use a custom error event, or none', async () => {
+      const emitter = new EventEmitter();
+      const error = new Error('failed');
+      const custom = fromEventEmitter(emitter, 'data', { errorEvent: 'failure' })[Symbol.asyncIterator]();
+      const other = new EventEmitter();
+      fromEventEmitter(other, 'data', { errorEvent: null });
+
+      emitter.emit('failure', error);
+
+      await expect(custom.next()).rejects.toBe(error);
+      expect(emitter.listenerCount('error')).toBe(0);
+      expect(other.listenerCount('error')).toBe(0);
+    });
+
+    it('should reject with a generic error for an error event without an argument', async () => {
+      const emitter = new EventEmitter();
+      const iterator = fromEventEmitter(emitter, 'data', { errorEvent: 'failure' })[Symbol.asyncIterator]();
+
+      emitter.emit('failure');
+
+      await expect(iterator.next()).rejects.toThrow("'failure' event emitted");
+    });
+
+    it('should yield errors as values when the error event is the one listened to', async () => {
+      const emitter = new EventEmitter();
+      const iterator = fromEventEmitter(emitter, 'error')[Symbol.asyncIterator]();
+      const error = new Error('value');
+
+      emitter.emit('error', error);
+
+      expect(await iterator.next()).toEqual({ value: error, done: false });
+      await iterator.return();
+    });
+  });
+
+  describe('endEvents', () => {
+    it('should complete on end or close after the buffered values', async () => {
+      for (const name of ['end', 'close']) {
+        const emitter = new EventEmitter();
+        const iterable = fromEventEmitter(emitter, 'data');
+
+        emitter.emit('data', 1);
+        emitter.emit(name);
+        emitter.emit('data', 2);
+
+        expect(await collect(iterable)).toEqual([1]);
+        expect(emitter.listenerCount('data')).toBe(0);
+      }
+    });
+
+    it('should complete on custom end events only', async () => {
+      const emitter = new EventEmitter();
+      const iterable = fromEventEmitter(emitter, 'data', { endEvents: ['exit'] });
+
+      emitter.emit('data', 1);
+      emitter.emit('close');
+      emitter.emit('data', 2);
+      emitter.emit('exit');
+
+      expect(await collect(iterable)).toEqual([1, 2]);
+    });
+
+    it('should yield an end event that is also the listened event before completing', async () => {
+      const emitter = new EventEmitter();
+      const iterable = fromEventEmitter(emitter, 'close');
+
+      emitter.emit('close', 'reason');
+
+      expect(await collect(iterable)).toEqual(['reason']);
+    });
+
+    it('should finish a net-style stream cleanly', async () => {
+      const stream = Readable.from(['a', 'b']);
+
+      expect(await collect(fromEventEmitter(stream, 'data'))).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('args', () => {
+    it('should yield one argument as is and several as an array by default', async () => {
+      const emitter = new EventEmitter();
+      const iterator = fromEventEmitter(emitter, 'exit')[Symbol.asyncIterator]();
+
+      emitter.emit('exit', 0);
+      emitter.emit('exit', 1, 'SIGTERM');
+
+      expect((await iterator.next()).value).toBe(0);
+      expect((await iterator.next()).value).toEqual([1, 'SIGTERM']);
+      await iterator.return();
+    });
+
+    it("should take the first argument with 'first' and every argument with 'array'", async () => {
+      const emitter = new EventEmitter();
+      const first = fromEventEmitter(emitter, 'exit', { args: 'first' })[Symbol.asyncIterator]();
+      const array = fromEventEmitter(emitter, 'exit', { args: 'array' })[Symbol.asyncIterator]();
+
+      emitter.emit('exit', 1, 'SIGTERM');
+      emitter.emit('exit', 0);
+
+      expect((await first.next()).value).toBe(1);
+      expect((await first.next()).value).toBe(0);
+      expect((await array.next()).value).toEqual([1, 'SIGTERM']);
+      expect((await array.next()).value).toEqual([0]);
+      await first.return();
+      await array.return();
+    });
+
+    it('should map the arguments with a function, and fail when it throws', async () => {
+      const emitter = new EventEmitter();
+      const error = new Error('bad arguments');
+      const iterator = fromEventEmitter(emitter, 'exit', {
+        args: (code, signal) => {
+          if (code === null) throw error;
+          return { code, signal };
+        }
+      })[Symbol.asyncIterator]();
+
+      emitter.emit('exit', 1, 'SIGTERM');
+      emitter.emit('exit', null);
+
+      expect((await iterator.next()).value).toEqual({ code: 1, signal: 'SIGTERM' });
+      await expect(iterator.next()).rejects.toBe(error);
+    });
+  });
+});
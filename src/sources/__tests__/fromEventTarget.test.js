@@ -0,0 +1,220 @@
+import { describe, it, expect, vi } from 'vitest';
+import { fromEventTarget } from '../fromEventTarget.js';
+import { AbortError, QueueOverflowError } from '../../errors.js';
+import { collect } from '../../__tests__/utils.js';
+
+describe('fromEventTarget', () => {
+  it('should reject a non-EventTarget', () => {
+    expect(() => fromEventTarget({}, 'ping')).toThrow(TypeError);
+  });
+
+  it('should yield dispatched events', async () => {
+    const target = new EventTarget();
+    const iterator = fromEventTarget(target, 'ping')[Symbol.asyncIterator]();
+
+    const event = new Event('ping');
+    target.dispatchEvent(event);
+
+    expect(await iterator.next()).toEqual({ value: event, done: false });
+    await iterator.return();
+  });
+
+  describe('watermarks', () => {
+    it('should call onPause at highWaterMark and onResume at lowWaterMark', async () => {
+      const target = new EventTarget();
+      const onPause = vi.fn();
+      const onResume = vi.fn();
+      const iterator = fromEventTarget(target, 'ping', {
+        highWaterMark: 2,
+        lowWaterMark: 1,
+        onPause,
+        onResume
+      })[Symbol.asyncIterator]();
+
+      target.dispatchEvent(new Event('ping'));
+      target.dispatchEvent(new Event('ping'));
+      expect(onPause).toHaveBeenCalledTimes(1);
+
+      await iterator.next();
+      expect(onResume).toHaveBeenCalledTimes(1);
+
+      await iterator.return();
+    });
+
+    it('should call onResume when the consumer stops while paused', async () => {
+      const target = new EventTarget();
+      const onResume = vi.fn();
+      const iterator = fromEventTarget(target, 'ping', { highWaterMark: 1, onResume })[Symbol.asyncIterator]();
+
+      target.dispatchEvent(new Event('ping'));
+      await iterator.return();
+
+      expect(onResume).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('disposal', () => {
+    it('should remove its listener on asyncDispose and complete', async () => {
+      const target = new EventTarget();
+      const removeEventListener = vi.spyOn(target, 'removeEventListener');
+      const iterable = fromEventTarget(target, 'ping');
+      const iterator = iterable[Symbol.asyncIterator]();
+
+      await iterable[Symbol.asyncDispose]();
+      target.dispatchEvent(new Event('ping'));
+
+      expect(removeEventListener).toHaveBeenCalledWith('ping', expect.any(Function), expect.anything());
+      expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    });
+
+    it('should remove its listener when the consumer breaks out', async () => {
+      const target = new EventTarget();
+      const removeEventListener = vi.spyOn(target, 'removeEventListener');
+      setTimeout(() => target.dispatchEvent(new Event('ping')), 0);
+
+      for await (const event of fromEventTarget(target, 'ping')) {
+        expect(event.type).toBe('ping');
+        break;
+      }
+
+      expect(removeEventListener).toHaveBeenCalledWith('ping', expect.any(Function), expect.anything());
+    });
+  });
+
+  it('should validate event names and map', () => {
+    const target = new EventTarget();
+
+    expect(() => fromEventTarget(target, [])).toThrow(TypeError);
+    expect(() => fromEventTarget(target, ['open', 42])).toThrow(TypeError);
+    expect(() => fromEventTarget(target, 'ping', { map: 'detail' })).toThrow(TypeError);
+  });
+
+  describe('several event names', () => {
+    it('should tag every value with the name it was registered for', async () => {
+      const target = new EventTarget();
+      const iterator = fromEventTarget(target, ['open', 'message', 'close'])[Symbol.asyncIterator]();
+      const open = new Event('open');
+      const message = new Event('message');
+
+      target.dispatchEvent(open);
+      target.dispatchEvent(message);
+
+      expect(await iterator.next()).toEqual({ value: { type: 'open', event: open }, done: false });
+      expect(await iterator.next()).toEqual({ value: { type: 'message', event: message }, done: false });
+      await iterator.return();
+    });
+
+    it('should listen once per name when a name is repeated', async () => {
+      const target = new EventTarget();
+      const iterable = fromEventTarget(target, ['ping', 'ping'], { once: true, map: (event) => event.type });
+
+      target.dispatchEvent(new Event('ping'));
+
+      expect(await collect(iterable)).toEqual([{ type: 'ping', event: 'ping' }]);
+    });
+
+    it('should complete with once after every name has fired', async () => {
+      const target = new EventTarget();
+      const iterable = fromEventTarget(target, ['open', 'close'], { once: true, map: (event) => event.type });
+
+      target.dispatchEvent(new Event('open'));
+      target.dispatchEvent(new Event('open'));
+      target.dispatchEvent(new Event('close'));
+
+      expect(await collect(iterable)).toEqual([
+        { type: 'open', event: 'open' },
+        { type: 'close', event: 'close' }
+      ]);
+    });
+  });
+
+  describe('listener options', () => {
+    it('should register and remove listeners with capture and passive', async () => {
+      const target = new EventTarget();
+      const addEventListener = vi.spyOn(target, 'addEventListener');
+      const removeEventListener = vi.spyOn(target, 'removeEventListener');
+      const iterator = fromEventTarget(target, 'ping', { capture: true, passive: true })[Symbol.asyncIterator]();
+
+      await iterator.return();
+
+      expect(addEventListener).toHaveBeenCalledWith('ping', expect.any(Function), { capture: true, passive: true });
+      expect(removeEventListener).toHaveBeenCalledWith('ping', expect.any(Function), { capture: true });
+    });
+
+    it('should leave passive unset unless asked for', () => {
+      const target = new EventTarget();
+      const addEventListener = vi.spyOn(target, 'addEventListener');
+
+      fromEventTarget(target, 'ping')[Symbol.dispose]();
+
+      expect(addEventListener).toHaveBeenCalledWith('ping', expect.any(Function), { capture: false });
+    });
+
+    it('should stop after the first event with once', async () => {
+      const target = new EventTarget();
+      const iterable = fromEventTarget(target, 'ping', { once: true, map: (event) => event.type });
+
+      target.dispatchEvent(new Event('ping'));
+      target.dispatchEvent(new Event('ping'));
+
+      expect(await collect(iterable)).toEqual(['ping']);
+    });
+  });
+
+  describe('map', () => {
+    it('should queue the mapped value, read while the event is dispatched', async () => {
+      const target = new EventTarget();
+      let dispatching = false;
+      const iterator = fromEventTarget(target, 'ping', {
+        map: (event) => ({ type: event.type, during: dispatching })
+      })[Symbol.asyncIterator]();
+
+      dispatching = true;
+      target.dispatchEvent(new Event('ping'));
+      dispatching = false;
+
+      expect(await iterator.next()).toEqual({ value: { type: 'ping', during: true }, done: false });
+      await iterator.return();
+    });
+
+    it('should end the iterable with an error thrown by map, after the buffered values', async () => {
+      const target = new EventTarget();
+      const error = new Error('bad event');
+      const iterator = fromEventTarget(target, 'ping', {
+        map: (event) => {
+          if (event.cancelable) throw error;
+          return 'ok';
+        }
+      })[Symbol.asyncIterator]();
+
+      target.dispatchEvent(new Event('ping'));
+      expect(() => target.dispatchEvent(new Event('ping', { cancelable: true }))).not.toThrow();
+
+      expect(await iterator.next()).toEqual({ value: 'ok', done: false });
+      await expect(iterator.next()).rejects.toBe(error);
+    });
+  });
+
+  it('should deliver a queue overflow to the consumer instead of the dispatcher', async () => {
+    const target = new EventTarget();
+    const iterator = fromEventTarget(target, 'ping', { queueLimit: 1, map: () => 'ping' })[Symbol.asyncIterator]();
+
+    target.dispatchEvent(new Event('ping'));
+    expect(() => target.dispatchEvent(new Event('ping'))).not.toThrow();
+
+    expect(await iterator.next()).toEqual({ value: 'ping', done: false });
+    await expect(iterator.next()).rejects.toThrow(QueueOverflowError);
+  });
+
+  it('should reject with an AbortError and remove its listener when the signal aborts', async () => {
+    const target = new EventTarget();
+    const controller = new AbortController();
+    const removeEventListener = vi.spyOn(target, 'removeEventListener');
+    const iterator = fromEventTarget(target, 'ping', { signal: controller.signal })[Symbol.asyncIterator]();
+
+    controller.abort();
+
+    await expect(iterator.next()).rejects.toThrow(AbortError);
+    expect(removeEventListener).toHaveBeenCalledTimes(1);
+  });
+});
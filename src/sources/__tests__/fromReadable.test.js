@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'node:stream';
+import { fromReadable } from '../fromReadable.js';
+import { AbortError } from '../../errors.js';
+import { collect, flush } from '../../__tests__/utils.js';
+
+// An object-mode stream that counts how often it is asked for data
+function countingReadable(values, highWaterMark = 1) {
+  const state = { reads: 0 };
+  let index = 0;
+  state.stream = new Readable({
+    objectMode: true,
+    highWaterMark,
+    read() {
+      state.reads++;
+      this.push(index < values.length ? values[index++] : null);
+    }
+  });
+  return state;
+}
+
+describe('fromReadable', () => {
+  it('should reject values that are not Readable streams', () => {
+    expect(() => fromReadable({})).toThrow(TypeError);
+    expect(() => fromReadable(new EventTarget())).toThrow(TypeError);
+  });
+
+  it('should yield every chunk and complete at the end of the stream', async () => {
+    expect(await collect(fromReadable(Readable.from(['a', 'b', 'c'])))).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should only read from the source as the consumer asks for chunks', async () => {
+    const source = countingReadable([1, 2, 3, 4, 5, 6]);
+    const iterator = fromReadable(source.stream)[Symbol.asyncIterator]();
+
+    expect(await iterator.next()).toEqual({ value: 1, done: false });
+    await flush();
+    const readsAfterFirst = source.reads;
+    await flush();
+
+    expect(source.reads).toBe(readsAfterFirst);
+    expect(readsAfterFirst).toBeLessThan(6);
+    await iterator.return();
+  });
+
+  it('should destroy the stream when the consumer stops early', async () => {
+    const { stream } = countingReadable([1, 2, 3]);
+
+    for await (const value of fromReadable(stream)) {
+      expect(value).toBe(1);
+      break;
+    }
+
+    expect(stream.destroyed).toBe(true);
+  });
+
+  it('should leave the stream open with destroyOnReturn disabled', async () => {
+    const { stream } = countingReadable([1, 2, 3]);
+
+    for await (const value of fromReadable(stream, { destroyOnReturn: false })) {
+      expect(value).toBe(1);
+      break;
+    }
+
+    expect(stream.destroyed).toBe(false);
+    expect(await collect(fromReadable(stream))).toEqual([2, 3]);
+  });
+
+  it('should reject with the error of a failing stream', async () => {
+    const error = new Error('disk error');
+    const stream = new Readable({
+      read() {
+        this.destroy(error);
+      }
+    });
+
+    await expect(collect(fromReadable(stream))).rejects.toBe(error);
+  });
+
+  it('should reject with an AbortError and destroy the stream when the signal aborts', async () => {
+    const stream = new Readable({ objectMode: true, read() {} });
+    const controller = new AbortController();
+    const pending = collect(fromReadable(stream, { signal: controller.signal }));
+
+    await flush();
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(AbortError);
+    expect(stream.destroyed).toBe(true);
+  });
+
+  it('should destroy the stream on asyncDispose', async () => {
+    const { stream } = countingReadable([1, 2, 3]);
+    const chunks = fromReadable(stream);
+
+    expect((await chunks.next()).value).toBe(1);
+    await chunks[Symbol.asyncDispose]();
+
+    expect(stream.destroyed).toBe(true);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { fromReadableStream } from '../fromReadableStream.js';
+import { AbortError } from '../../errors.js';
+import { collect, flush } from '../../__tests__/utils.js';
+
+// A stream over the values that records pulls and cancellation
+function trackedStream(values, highWaterMark = 0) {
+  const state = { pulls: 0, cancelled: false, reason: undefined };
+  let index = 0;
+  state.stream = new ReadableStream({
+    pull(controller) {
+      state.pulls++;
+      if (index < values.length) {
+        controller.enqueue(values[index++]);
+      } else {
+        controller.close();
+      }
+    },
+    cancel(reason) {
+      state.cancelled = true;
+      state.reason = reason;
+    }
+  }, { highWaterMark });
+  return state;
+}
+
+describe('fromReadableStream', () => {
+  it('should reject values that are not ReadableStreams', () => {
+    expect(() => fromReadableStream({})).toThrow(TypeError);
+    expect(() => fromReadableStream(null)).toThrow(TypeError);
+  });
+
+  it('should yield every chunk and release the lock at the end', async () => {
+    const { stream } = trackedStream(['a', 'b']);
+
+    expect(await collect(fromReadableStream(stream))).toEqual(['a', 'b']);
+    expect(stream.locked).toBe(false);
+  });
+
+  it('should only pull from the source as the consumer asks for chunks', async () => {
+    const source = trackedStream([1, 2, 3, 4]);
+    const iterator = fromReadableStream(source.stream)[Symbol.asyncIterator]();
+
+    await iterator.next();
+    await flush();
+
+    expect(source.pulls).toBe(1);
+    await iterator.return();
+  });
+
+  it('should cancel the stream when the consumer stops early', async () => {
+    const source = trackedStream([1, 2, 3]);
+
+    for await (const value of fromReadableStream(source.stream)) {
+      expect(value).toBe(1);
+      break;
+    }
+
+    expect(source.cancelled).toBe(true);
+    expect(source.stream.locked).toBe(false);
+  });
+
+  it('should release the stream without cancelling it with preventCancel', async () => {
+    const source = trackedStream([1, 2, 3]);
+
+    for await (const value of fromReadableStream(source.stream, { preventCancel: true })) {
+      expect(value).toBe(1);
+      break;
+    }
+
+    expect(source.cancelled).toBe(false);
+    expect(await collect(fromReadableStream(source.stream))).toEqual([2, 3]);
+  });
+
+  it('should reject with the error of a failing stream', async () => {
+    const error = new Error('network error');
+    const stream = new ReadableStream({
+      pull(controller) {
+        controller.error(error);
+      }
+    });
+
+    await expect(collect(fromReadableStream(stream))).rejects.toBe(error);
+  });
+
+  it('should reject a pending read with an AbortError and cancel with the abort reason', async () => {
+    const source = { cancelled: false, reason: undefined };
+    const stream = new ReadableStream({
+      cancel(reason) {
+        source.cancelled = true;
+        source.reason = reason;
+      }
+    });
+    const controller = new AbortController();
+    const pending = collect(fromReadableStream(stream, { signal: controller.signal }));
+
+    await flush();
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(AbortError);
+    expect(source.cancelled).toBe(true);
+    expect(source.reason).toBe(controller.signal.reason);
+  });
+});
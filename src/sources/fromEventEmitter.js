@@ -1,6 +1,7 @@
 import { createAsyncQueue } from '../core/asyncQueue.js';
 import { QUEUE_POLICIES } from '../constants.js';
-import { isEventEmitter, getCachedEmitterHandler, cleanupCachedHandlers } from '../utils/eventUtils.js';
+import { isEventEmitter, getCachedEmitterHandler, cleanupCachedHandlers, createPressureTracker } from '../utils/eventUtils.js';
+import { addDisposers } from '../utils/dispose.js';
 
 /**
  * Creates an async iterable from an EventEmitter
@@ -8,13 +9,43 @@ import { isEventEmitter, getCachedEmitterHandler, cleanupCachedHandlers } from '
  * @param {string} eventName - The name of the event to listen for
  * @param {Object} [options] - Configuration options
  * @param {AbortSignal} [options.signal] - Optional AbortSignal to cancel the subscription
+ * @param {string|null} [options.errorEvent='error'] - Event whose first argument rejects the iterator once
+ *   the buffered events are consumed (null to disable)
+ * @param {string[]} [options.endEvents=['end', 'close']] - Events that complete the iterator once the
+ *   buffered events are consumed
+ * @param {'first'|'array'|Function} [options.args] - How listener arguments become a value: 'first' takes
+ *   the first argument, 'array' always yields the argument array, a function receives the arguments and
+ *   returns the value. By default single-argument events yield the argument and others an array.
  * @param {number} [options.queueLimit=0] - Maximum queue size (0 = unlimited)
- * @param {'drop-old'|'drop-new'|'throw'} [options.onOverflow='throw'] - Behavior on queue overflow
- * @returns {AsyncIterable} An async iterable that yields events
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Behavior on queue overflow.
+ *   Events can't be held back at the source, so 'block' keeps accepting them past queueLimit
+ *   and reports it through `pressure` so the caller can pause the producer.
+ * @param {(blocked: boolean) => void} [options.pressure] - Called with true when the queue is full under
+ *   the 'block' policy and with false once the consumer has caught up
+ * @param {number} [options.highWaterMark=0] - Buffered size at which the emitter is paused (0 = disabled)
+ * @param {number} [options.lowWaterMark=0] - Buffered size at or below which the emitter is resumed
+ * @param {Function} [options.onPause] - Called when the buffer reaches highWaterMark. Emitters with
+ *   pause()/resume() methods (Node Readable streams, net.Socket) are paused automatically.
+ * @param {Function} [options.onResume] - Called when the buffer drains back to lowWaterMark, or when
+ *   the consumer stops while paused
+ * @returns {AsyncIterable} An async iterable that yields events, disposable with `using`/`await using`
  * @throws {TypeError} If emitter is not an EventEmitter
  * @throws {TypeError} If eventName is not a string
+ * @throws {TypeError} If errorEvent, endEvents or args is invalid
  */
-export function fromEventEmitter(emitter, eventName, { signal, queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW } = {}) {
+export function fromEventEmitter(emitter, eventName, {
+  signal,
+  errorEvent = 'error',
+  endEvents = ['end', 'close'],
+  args: argsMode,
+  queueLimit = 0,
+  onOverflow = QUEUE_POLICIES.THROW,
+  pressure,
+  highWaterMark = 0,
+  lowWaterMark = 0,
+  onPause,
+  onResume
+} = {}) {
   if (!isEventEmitter(emitter)) {
     throw new TypeError('emitter must be an EventEmitter');
   }
@@ -23,54 +54,120 @@ export function fromEventEmitter(emitter, eventName, { signal, queueLimit = 0, o
     throw new TypeError('eventName must be a string');
   }
   
-  const queue = createAsyncQueue({ signal, queueLimit, onOverflow });
+  if (errorEvent !== null && typeof errorEvent !== 'string') {
+    throw new TypeError('errorEvent must be a string or null');
+  }
+  
+  if (!Array.isArray(endEvents) || !endEvents.every((name) => typeof name === 'string')) {
+    throw new TypeError('endEvents must be an array of strings');
+  }
+  
+  if (argsMode !== undefined && argsMode !== 'first' && argsMode !== 'array' && typeof argsMode !== 'function') {
+    throw new TypeError("args must be 'first', 'array' or a function");
+  }
+  
+  const queue = createAsyncQueue({
+    signal,
+    queueLimit,
+    onOverflow,
+    highWaterMark,
+    lowWaterMark,
+    onPause: () => {
+      if (typeof emitter.pause === 'function') emitter.pause();
+      onPause?.();
+    },
+    onResume: () => {
+      if (typeof emitter.resume === 'function') emitter.resume();
+      onResume?.();
+    }
+  });
+  const trackPressure = createPressureTracker(pressure);
+  const listeners = new Map();
+  
+  // Turn listener arguments into the queued value
+  const toValue = (args) => {
+    if (argsMode === 'first') return args[0];
+    if (argsMode === 'array') return args;
+    if (typeof argsMode === 'function') return argsMode(...args);
+    return args.length === 1 ? args[0] : args;
+  };
   
   // Create a handler for the event
   const handleEvent = (...args) => {
     try {
-      // For EventEmitter, we pass all arguments to the queue
-      queue.enqueue(args.length === 1 ? args[0] : args);
+      trackPressure(queue.enqueue(toValue(args)));
     } catch (error) {
-      // If enqueue throws (e.g., due to queue overflow), clean up and rethrow
-      cleanup();
-      throw error;
+      // If enqueue or the args mapper throws, end the iterable with the error
+      cleanup(error);
     }
   };
   
   // Get or create a cached handler
-  const cachedHandler = getCachedEmitterHandler(emitter, eventName, handleEvent);
-  
-  // Set up the event listener
-  emitter.on(eventName, cachedHandler);
+  const listen = (name, handler) => {
+    const cachedHandler = getCachedEmitterHandler(emitter, name, handler);
+    listeners.set(name, cachedHandler);
+    emitter.on(name, cachedHandler);
+  };
   
-  // Cleanup function
-  const cleanup = () => {
-    emitter.off(eventName, cachedHandler);
-    queue.end();
+  // Cleanup function; an error is delivered to the consumer after the buffered events
+  const cleanup = (error) => {
+    for (const [name, cachedHandler] of listeners) {
+      emitter.off(name, cachedHandler);
+    }
+    listeners.clear();
+    signal?.removeEventListener('abort', onAbort);
+    queue.end(error);
     cleanupCachedHandlers(emitter);
   };
   
+  // The consumer is gone: nobody will drain the buffer, so release a paused producer
+  const close = () => {
+    cleanup();
+    queue.return();
+  };
+  
+  const onAbort = () => close();
+  
+  // Set up the event listeners. An error or end event that is also eventName is handled as a
+  // value first: errors are then just values, end events still finish the iterable.
+  listen(eventName, (...args) => {
+    handleEvent(...args);
+    if (endEvents.includes(eventName)) {
+      cleanup();
+    }
+  });
+  
+  if (errorEvent !== null && errorEvent !== eventName) {
+    listen(errorEvent, (error) => cleanup(error ?? new Error(`'${errorEvent}' event emitted`)));
+  }
+  
+  for (const name of endEvents) {
+    if (name !== eventName && name !== errorEvent && !listeners.has(name)) {
+      listen(name, () => cleanup());
+    }
+  }
+  
   // Handle abort signal if provided
   if (signal) {
-    signal.addEventListener('abort', cleanup, { once: true });
+    signal.addEventListener('abort', onAbort, { once: true });
   }
   
-  // Return the async iterable
-  return {
+  // Return the async iterable; `using` declarations detach the listeners on disposal
+  return addDisposers({
     [Symbol.asyncIterator]() {
       return {
         next: () => queue.next(),
         return: () => {
-          cleanup();
+          close();
           return Promise.resolve({ done: true });
         },
         throw: (error) => {
-          cleanup();
+          close();
           return Promise.reject(error);
         }
       };
     }
-  };
+  }, close);
 }
 
 export default fromEventEmitter;
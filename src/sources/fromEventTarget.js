@@ -1,75 +1,152 @@
 import { createAsyncQueue } from '../core/asyncQueue.js';
 import { QUEUE_POLICIES } from '../constants.js';
-import { isEventTarget, getCachedEventHandler, cleanupCachedHandlers } from '../utils/eventUtils.js';
+import { isEventTarget, getCachedEventHandler, cleanupCachedHandlers, createPressureTracker } from '../utils/eventUtils.js';
+import { addDisposers } from '../utils/dispose.js';
 
 /**
  * Creates an async iterable from an EventTarget
  * @param {EventTarget} target - The EventTarget to listen to
- * @param {string} eventName - The name of the event to listen for
+ * @param {string|string[]} eventName - The name of the event to listen for, or several names.
+ *   With an array, every value is tagged as `{ type, event }` with the name it was registered for.
  * @param {Object} [options] - Configuration options
  * @param {AbortSignal} [options.signal] - Optional AbortSignal to cancel the subscription
+ * @param {boolean} [options.capture=false] - Listen in the capture phase
+ * @param {boolean} [options.passive] - Register passive listeners, which can't call preventDefault()
+ * @param {boolean} [options.once=false] - Take at most one event per name; the iterable completes
+ *   once every name has fired
+ * @param {Function} [options.map] - (event) => value, called synchronously in the listener, before
+ *   the platform can recycle the event object; its result is queued instead of the event
  * @param {number} [options.queueLimit=0] - Maximum queue size (0 = unlimited)
- * @param {'drop-old'|'drop-new'|'throw'} [options.onOverflow='throw'] - Behavior on queue overflow
- * @returns {AsyncIterable} An async iterable that yields events
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Behavior on queue overflow.
+ *   Events can't be held back at the source, so 'block' keeps accepting them past queueLimit
+ *   and reports it through `pressure` so the caller can pause the producer. With 'throw', the
+ *   overflow error is delivered to the consumer after the buffered events, never to the dispatcher.
+ * @param {(blocked: boolean) => void} [options.pressure] - Called with true when the queue is full under
+ *   the 'block' policy and with false once the consumer has caught up
+ * @param {number} [options.highWaterMark=0] - Buffered size at which onPause is called (0 = disabled)
+ * @param {number} [options.lowWaterMark=0] - Buffered size at or below which onResume is called
+ * @param {Function} [options.onPause] - Called when the buffer reaches highWaterMark
+ * @param {Function} [options.onResume] - Called when the buffer drains back to lowWaterMark, or when
+ *   the consumer stops while paused
+ * @returns {AsyncIterable} An async iterable that yields events, disposable with `using`/`await using`
  * @throws {TypeError} If target is not an EventTarget
- * @throws {TypeError} If eventName is not a string
+ * @throws {TypeError} If eventName is not a string or a non-empty array of strings
+ * @throws {TypeError} If map is not a function
  */
-export function fromEventTarget(target, eventName, { signal, queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW } = {}) {
+export function fromEventTarget(target, eventName, {
+  signal,
+  capture = false,
+  passive,
+  once = false,
+  map,
+  queueLimit = 0,
+  onOverflow = QUEUE_POLICIES.THROW,
+  pressure,
+  highWaterMark = 0,
+  lowWaterMark = 0,
+  onPause,
+  onResume
+} = {}) {
   if (!isEventTarget(target)) {
     throw new TypeError('target must be an EventTarget');
   }
   
-  if (typeof eventName !== 'string') {
-    throw new TypeError('eventName must be a string');
+  const tagged = Array.isArray(eventName);
+  const eventNames = tagged ? eventName : [eventName];
+  
+  if (eventNames.length === 0 || !eventNames.every((name) => typeof name === 'string')) {
+    throw new TypeError('eventName must be a string or a non-empty array of strings');
   }
   
-  const queue = createAsyncQueue({ signal, queueLimit, onOverflow });
+  if (map !== undefined && typeof map !== 'function') {
+    throw new TypeError('map must be a function');
+  }
   
-  // Create a cached event handler to avoid creating new functions
-  const handleEvent = (event) => {
-    try {
-      queue.enqueue(event);
-    } catch (error) {
-      // If enqueue throws (e.g., due to queue overflow), clean up and rethrow
-      cleanup();
-      throw error;
+  const queue = createAsyncQueue({
+    signal,
+    queueLimit,
+    onOverflow,
+    highWaterMark,
+    lowWaterMark,
+    onPause,
+    onResume
+  });
+  const trackPressure = createPressureTracker(pressure);
+  const listenerOptions = passive === undefined ? { capture } : { capture, passive };
+  const listeners = new Map();
+  
+  const removeListener = (type) => {
+    target.removeEventListener(type, listeners.get(type), { capture });
+    listeners.delete(type);
+  };
+  
+  // Cleanup function; an error is delivered to the consumer after the buffered events
+  const cleanup = (error) => {
+    for (const type of [...listeners.keys()]) {
+      removeListener(type);
     }
+    signal?.removeEventListener('abort', onAbort);
+    queue.end(error);
+    cleanupCachedHandlers(target);
   };
   
-  // Get or create a cached handler
-  const cachedHandler = getCachedEventHandler(target, handleEvent);
+  // The consumer is gone: nobody will drain the buffer, so release a paused producer
+  const close = () => {
+    cleanup();
+    queue.return();
+  };
   
-  // Set up the event listener
-  target.addEventListener(eventName, cachedHandler);
+  const onAbort = () => close();
   
-  // Cleanup function
-  const cleanup = () => {
-    target.removeEventListener(eventName, cachedHandler);
-    queue.end();
-    cleanupCachedHandlers(target);
+  // Errors are never thrown back into the dispatcher
+  const createHandler = (type) => (event) => {
+    try {
+      if (once) {
+        removeListener(type);
+      }
+      
+      const value = map ? map(event) : event;
+      trackPressure(queue.enqueue(tagged ? { type, event: value } : value));
+      
+      if (once && listeners.size === 0) {
+        cleanup();
+      }
+    } catch (error) {
+      // A failing map or an overflowing queue ends the iterable with the error
+      cleanup(error);
+    }
   };
   
+  // Set up one cached listener per event name
+  for (const type of eventNames) {
+    if (listeners.has(type)) continue;
+    
+    const cachedHandler = getCachedEventHandler(target, createHandler(type));
+    listeners.set(type, cachedHandler);
+    target.addEventListener(type, cachedHandler, listenerOptions);
+  }
+  
   // Handle abort signal if provided
   if (signal) {
-    signal.addEventListener('abort', cleanup, { once: true });
+    signal.addEventListener('abort', onAbort, { once: true });
   }
   
-  // Return the async iterable
-  return {
+  // Return the async iterable; `using` declarations detach the listeners on disposal
+  return addDisposers({
     [Symbol.asyncIterator]() {
       return {
         next: () => queue.next(),
         return: () => {
-          cleanup();
+          close();
           return Promise.resolve({ done: true });
         },
         throw: (error) => {
-          cleanup();
+          close();
           return Promise.reject(error);
         }
       };
     }
-  };
+  }, close);
 }
 
 export default fromEventTarget;
@@ -1,17 +1,19 @@
 import { ValidationError, AbortError } from '../errors.js';
+import { resolveScheduler, wait } from '../core/scheduler.js';
+import { addDisposers } from '../utils/dispose.js';
 
 /**
- * Creates an AsyncIterable that emits values at a fixed interval
+ * Emits the iteration count at a fixed interval
  * @param {number} ms - The interval in milliseconds
- * @param {Object} [options] - Configuration options
- * @param {AbortSignal} [options.signal] - Optional AbortSignal to stop the interval
- * @param {number} [options.count=Infinity] - Maximum number of values to emit
+ * @param {Object} options - Configuration options, see fromInterval
  * @yields {number} The current iteration count (0-based)
  */
-export async function* fromInterval(ms, { signal, count = Infinity } = {}) {
+async function* intervalGenerator(ms, { signal, count, scheduler }) {
   if (ms < 0) {
     throw new ValidationError('Interval must be a non-negative number');
   }
+
+  const timers = resolveScheduler(scheduler);
   
   for (let i = 0; i < count; i++) {
     if (signal?.aborted) {
@@ -21,15 +23,23 @@ export async function* fromInterval(ms, { signal, count = Infinity } = {}) {
     yield i;
     
     if (i < count - 1) {
-      await new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(resolve, ms);
-        signal?.addEventListener('abort', () => {
-          clearTimeout(timeoutId);
-          reject(new AbortError());
-        });
-      });
+      await wait(ms, { scheduler: timers, signal });
     }
   }
 }
 
+/**
+ * Creates an AsyncIterable that emits values at a fixed interval
+ * @param {number} ms - The interval in milliseconds
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal to stop the interval
+ * @param {number} [options.count=Infinity] - Maximum number of values to emit
+ * @param {Object} [options.scheduler] - Scheduler providing the timers (see VirtualTimeScheduler)
+ * @returns {AsyncGenerator<number>} The iteration counts (0-based), disposable with `using`/`await using`
+ */
+export function fromInterval(ms, { signal, count = Infinity, scheduler } = {}) {
+  const generator = intervalGenerator(ms, { signal, count, scheduler });
+  return addDisposers(generator, () => generator.return());
+}
+
 export default fromInterval;
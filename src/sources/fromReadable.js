@@ -0,0 +1,64 @@
+import { isEventEmitter, waitForEvent } from '../utils/eventUtils.js';
+import { addDisposers } from '../utils/dispose.js';
+
+/**
+ * Reads chunks from a Node Readable stream on demand
+ * @param {Readable} readable - The stream to read
+ * @param {Object} options - Configuration options, see fromReadable
+ * @yields {Buffer|string|any} The chunks
+ */
+async function* readChunks(readable, { signal, destroyOnReturn }) {
+  let finished = false;
+
+  try {
+    while (true) {
+      if (readable.errored) throw readable.errored;
+      // A destroyed stream will not emit 'end' any more
+      if (readable.readableEnded || readable.destroyed) {
+        finished = true;
+        return;
+      }
+
+      // read() only pulls from the underlying resource while the consumer asks for chunks
+      const chunk = readable.read();
+      if (chunk !== null) {
+        yield chunk;
+        continue;
+      }
+
+      if ((await waitForEvent(readable, ['readable', 'end', 'close'], { signal })) !== 'readable') {
+        finished = true;
+        return;
+      }
+    }
+  } catch (error) {
+    finished = !signal?.aborted;
+    throw error;
+  } finally {
+    if (!finished && destroyOnReturn && typeof readable.destroy === 'function') {
+      readable.destroy();
+    }
+  }
+}
+
+/**
+ * Creates an async iterable from a Node Readable stream. Chunks are read with read() as the
+ * consumer asks for them, so a slow consumer leaves data in the stream's buffer and the
+ * stream stops reading from its source once the buffer reaches its highWaterMark.
+ * @param {Readable} readable - The Node Readable stream to read
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal to stop reading
+ * @param {boolean} [options.destroyOnReturn=true] - Destroy the stream when the consumer stops early
+ * @returns {AsyncGenerator} The chunks, disposable with `using`/`await using`
+ * @throws {TypeError} If readable is not a Readable stream
+ */
+export function fromReadable(readable, { signal, destroyOnReturn = true } = {}) {
+  if (!isEventEmitter(readable) || typeof readable.read !== 'function') {
+    throw new TypeError('readable must be a Readable stream');
+  }
+
+  const generator = readChunks(readable, { signal, destroyOnReturn });
+  return addDisposers(generator, () => generator.return());
+}
+
+export default fromReadable;
@@ -0,0 +1,62 @@
+import { raceAbort } from '../utils/abortable.js';
+import { addDisposers } from '../utils/dispose.js';
+
+/**
+ * Reads chunks from a WHATWG ReadableStream on demand
+ * @param {ReadableStream} stream - The stream to read
+ * @param {Object} options - Configuration options, see fromReadableStream
+ * @yields {any} The chunks
+ */
+async function* readStream(stream, { signal, preventCancel }) {
+  const reader = stream.getReader();
+  let finished = false;
+
+  try {
+    while (true) {
+      const { value, done } = await raceAbort(reader.read(), signal);
+      if (done) {
+        finished = true;
+        return;
+      }
+      yield value;
+    }
+  } catch (error) {
+    // A stream that errored is already closed; an abort leaves it to be cancelled
+    finished = !signal?.aborted;
+    throw error;
+  } finally {
+    if (!finished && !preventCancel) {
+      // Cancelling settles a pending read, so the lock can be released afterwards
+      await reader.cancel(signal?.reason).catch(() => {});
+    }
+
+    try {
+      reader.releaseLock();
+    } catch {
+      // Older implementations refuse to release a lock while a read is pending
+    }
+  }
+}
+
+/**
+ * Creates an async iterable from a WHATWG ReadableStream, such as a fetch() body. Each
+ * value is read as the consumer asks for it, so the stream's queuing strategy applies
+ * backpressure to its source. The stream is cancelled when the consumer stops early.
+ * @param {ReadableStream} stream - The stream to read
+ * @param {Object} [options] - Configuration options
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal to stop reading
+ * @param {boolean} [options.preventCancel=false] - Release the stream instead of cancelling it
+ *   when the consumer stops early
+ * @returns {AsyncGenerator} The chunks, disposable with `using`/`await using`
+ * @throws {TypeError} If stream is not a ReadableStream
+ */
+export function fromReadableStream(stream, { signal, preventCancel = false } = {}) {
+  if (!stream || typeof stream.getReader !== 'function') {
+    throw new TypeError('stream must be a ReadableStream');
+  }
+
+  const generator = readStream(stream, { signal, preventCancel });
+  return addDisposers(generator, () => generator.return());
+}
+
+export default fromReadableStream;
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { parseMarbles, renderMarbles, createMarbleTester, NOTIFICATION_KINDS } from '../marbles.js';
+import { pipe, pipeOperators } from '../../operators/pipe.js';
+import { map } from '../../operators/map.js';
+import { filter } from '../../operators/filter.js';
+import { ValidationError } from '../../errors.js';
+import * as testing from '../index.js';
+
+const { NEXT, ERROR, COMPLETE } = NOTIFICATION_KINDS;
+
+describe('parseMarbles', () => {
+  it('should turn frames, values and completion into notifications', () => {
+    expect(parseMarbles('-a-b|')).toEqual([
+      { frame: 1, kind: NEXT, value: 'a' },
+      { frame: 3, kind: NEXT, value: 'b' },
+      { frame: 4, kind: COMPLETE }
+    ]);
+  });
+
+  it('should look up values and emit the given error', () => {
+    const error = new Error('boom');
+
+    expect(parseMarbles('a#', { values: { a: 1 }, error })).toEqual([
+      { frame: 0, kind: NEXT, value: 1 },
+      { frame: 1, kind: ERROR, error }
+    ]);
+  });
+
+  it('should emit grouped values in one frame and ignore spaces', () => {
+    expect(parseMarbles('- (ab) c')).toEqual([
+      { frame: 1, kind: NEXT, value: 'a' },
+      { frame: 1, kind: NEXT, value: 'b' },
+      { frame: 5, kind: NEXT, value: 'c' }
+    ]);
+  });
+
+  it('should reject malformed diagrams', () => {
+    expect(() => parseMarbles('a|b')).toThrow(ValidationError);
+    expect(() => parseMarbles('(a')).toThrow(ValidationError);
+    expect(() => parseMarbles('a)')).toThrow(ValidationError);
+    expect(() => parseMarbles('((a))')).toThrow(ValidationError);
+  });
+});
+
+describe('renderMarbles', () => {
+  it('should round-trip parsed diagrams', () => {
+    for (const marbles of ['-a-b|', '--(ab)-c#', 'a--']) {
+      expect(renderMarbles(parseMarbles(marbles))).toBe(marbles.replace(/-+$/, ''));
+    }
+  });
+
+  it('should pick characters from the values map', () => {
+    expect(renderMarbles(parseMarbles('xy', { values: { x: { id: 1 }, y: [2] } }), { x: { id: 1 }, y: [2] })).toBe('xy');
+  });
+});
+
+describe('createMarbleTester', () => {
+  it('should validate frameMs', () => {
+    expect(() => createMarbleTester({ frameMs: 0 })).toThrow(ValidationError);
+  });
+
+  it('should assert a pipe composition', async () => {
+    const tester = createMarbleTester();
+    const values = { a: 1, b: 2, c: 3 };
+
+    await tester.expect(
+      pipe(tester.cold('a-b-c|', values), filter((x) => x !== 2), map((x) => x * 10)),
+      'x---y|',
+      { x: 10, y: 30 }
+    );
+  });
+
+  it('should assert a pipeOperators composition', async () => {
+    const tester = createMarbleTester();
+    const double = pipeOperators(map((x) => x + x));
+
+    await tester.expect(double(tester.cold('-a-b|')), '-x-y|', { x: 'aa', y: 'bb' });
+  });
+
+  it('should compare errors by constructor and message', async () => {
+    const tester = createMarbleTester();
+
+    await tester.expect(tester.cold('a#', {}, new TypeError('bad')), 'a#', {}, new TypeError('bad'));
+    await expect(
+      tester.expect(tester.cold('a#', {}, new TypeError('bad')), 'a#', {}, new TypeError('other'))
+    ).rejects.toThrow('Marble mismatch');
+  });
+
+  it('should report a mismatch with both diagrams', async () => {
+    const tester = createMarbleTester();
+
+    await expect(tester.expect(tester.cold('-a|'), '--a|')).rejects.toThrow(/Expected: --a\|\nReceived: -a\|/);
+  });
+
+  it('should render sources that never complete without a completion marker', async () => {
+    const tester = createMarbleTester();
+
+    expect(await tester.toMarbles(tester.cold('a-b'))).toBe('a-b');
+  });
+
+  it('should scale frames by frameMs', async () => {
+    const tester = createMarbleTester({ frameMs: 10 });
+
+    await tester.expect(tester.cold('-a-b|'), '-a-b|');
+    expect(tester.scheduler.now()).toBe(40);
+  });
+});
+
+describe('salahor/testing', () => {
+  it('should expose the marble helpers', () => {
+    expect({ ...testing }).toEqual({ createMarbleTester, parseMarbles, renderMarbles });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Type definitions for the marble testing helpers (`salahor/testing`)
+ */
+
+import type { VirtualTimeScheduler } from '../index';
+
+export interface MarbleNotification<T = unknown> {
+  frame: number;
+  kind: 'next' | 'error' | 'complete';
+  value?: T;
+  error?: unknown;
+}
+
+/** Parses a diagram such as '--a--(bc)--|' into timed notifications. '#' is an error, '|' completion. */
+export function parseMarbles<T = string>(
+  marbles: string,
+  options?: { values?: Record<string, T>; error?: unknown }
+): MarbleNotification<T>[];
+
+/** Renders notifications back into a diagram, using the keys of `values` as marble characters. */
+export function renderMarbles<T>(notifications: MarbleNotification<T>[], values?: Record<string, T>): string;
+
+export interface MarbleTester {
+  /** Pass this to the time-based operators of the pipeline under test. */
+  readonly scheduler: VirtualTimeScheduler;
+  /** A source that follows the diagram from the moment it is iterated. */
+  cold<T = string>(marbles: string, values?: Record<string, T>, error?: unknown): AsyncIterable<T>;
+  /** Runs the iterable on virtual time and records its notifications. */
+  record<T>(iterable: AsyncIterable<T>): Promise<MarbleNotification<T>[]>;
+  /** Runs the iterable on virtual time and renders its output as a diagram. */
+  toMarbles<T>(iterable: AsyncIterable<T>, values?: Record<string, T>): Promise<string>;
+  /** Rejects with a readable diff if the output differs from the expected diagram. */
+  expect<T>(iterable: AsyncIterable<T>, expected: string, values?: Record<string, T>, error?: unknown): Promise<void>;
+}
+
+/** Creates a marble tester driving its own VirtualTimeScheduler. `frameMs` defaults to 1. */
+export function createMarbleTester(options?: { frameMs?: number; scheduler?: VirtualTimeScheduler }): MarbleTester;
@@ -0,0 +1,8 @@
+/**
+ * Marble-diagram testing helpers, published as the `salahor/testing` entry point so they
+ * stay out of the main bundle
+ * 
+ * @module testing
+ */
+
+export { createMarbleTester, parseMarbles, renderMarbles } from './marbles.js';
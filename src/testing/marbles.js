@@ -0,0 +1,307 @@
+import { ValidationError } from '../errors.js';
+import { VirtualTimeScheduler, wait } from '../core/scheduler.js';
+import { stopIterator } from '../utils/abortable.js';
+
+/**
+ * Notification kinds produced by parseMarbles and recorded by the marble tester
+ */
+export const NOTIFICATION_KINDS = Object.freeze({
+  NEXT: 'next',
+  ERROR: 'error',
+  COMPLETE: 'complete'
+});
+
+/**
+ * Parses a marble diagram into timed notifications.
+ *
+ * - `-` one frame passes
+ * - any other character emits a value (looked up in `values`, or the character itself)
+ * - `|` completion, `#` error
+ * - `(ab)` values emitted in the same frame; the group takes as many frames as it has characters
+ * - spaces are ignored
+ *
+ * @param {string} marbles - The marble diagram, e.g. '--a--b--|'
+ * @param {Object} [options] - Parse options
+ * @param {Object} [options.values] - Map from marble characters to emitted values
+ * @param {any} [options.error] - Error emitted by '#' (defaults to new Error('error'))
+ * @returns {Array<{frame: number, kind: string, value?: any, error?: any}>} Notifications in emission order
+ * @throws {ValidationError} If the diagram is malformed
+ */
+export function parseMarbles(marbles, { values = {}, error = new Error('error') } = {}) {
+  if (typeof marbles !== 'string') {
+    throw new ValidationError('marbles must be a string');
+  }
+
+  const notifications = [];
+  let frame = 0;
+  let groupStart = -1;
+  let closed = false;
+
+  for (const char of marbles) {
+    if (char === ' ') continue;
+
+    if (closed && char !== ')') {
+      throw new ValidationError(`Unexpected '${char}' after completion or error in '${marbles}'`);
+    }
+
+    const at = groupStart === -1 ? frame : groupStart;
+
+    switch (char) {
+      case '-':
+        if (groupStart !== -1) {
+          throw new ValidationError(`'-' is not allowed inside a group in '${marbles}'`);
+        }
+        break;
+      case '(':
+        if (groupStart !== -1) {
+          throw new ValidationError(`Nested groups are not supported in '${marbles}'`);
+        }
+        groupStart = frame;
+        break;
+      case ')':
+        if (groupStart === -1) {
+          throw new ValidationError(`Unmatched ')' in '${marbles}'`);
+        }
+        groupStart = -1;
+        break;
+      case '|':
+        notifications.push({ frame: at, kind: NOTIFICATION_KINDS.COMPLETE });
+        closed = true;
+        break;
+      case '#':
+        notifications.push({ frame: at, kind: NOTIFICATION_KINDS.ERROR, error });
+        closed = true;
+        break;
+      default:
+        notifications.push({
+          frame: at,
+          kind: NOTIFICATION_KINDS.NEXT,
+          value: Object.prototype.hasOwnProperty.call(values, char) ? values[char] : char
+        });
+    }
+
+    frame++;
+  }
+
+  if (groupStart !== -1) {
+    throw new ValidationError(`Unclosed group in '${marbles}'`);
+  }
+
+  return notifications;
+}
+
+/**
+ * Structural equality for recorded values; errors compare by constructor and message
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+
+  if (a instanceof Error && b instanceof Error) {
+    return a.constructor === b.constructor && a.message === b.message;
+  }
+
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+
+  return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Renders notifications back into a marble diagram
+ * @param {Array} notifications - Notifications as returned by parseMarbles
+ * @param {Object} [values={}] - Map from marble characters to values, used to pick characters
+ * @returns {string} The marble diagram
+ */
+export function renderMarbles(notifications, values = {}) {
+  const toChar = (notification) => {
+    if (notification.kind === NOTIFICATION_KINDS.COMPLETE) return '|';
+    if (notification.kind === NOTIFICATION_KINDS.ERROR) return '#';
+
+    const key = Object.keys(values).find((char) => isEqual(values[char], notification.value));
+    if (key !== undefined) return key;
+
+    return typeof notification.value === 'string' && notification.value.length === 1
+      ? notification.value
+      : JSON.stringify(notification.value);
+  };
+
+  let marbles = '';
+  let frame = 0;
+  let index = 0;
+
+  while (index < notifications.length) {
+    const at = notifications[index].frame;
+    const group = [];
+    while (index < notifications.length && notifications[index].frame === at) {
+      group.push(toChar(notifications[index++]));
+    }
+
+    marbles += '-'.repeat(Math.max(0, at - frame));
+    if (group.length === 1) {
+      marbles += group[0];
+      frame = at + 1;
+    } else {
+      marbles += `(${group.join('')})`;
+      frame = at + group.length + 2;
+    }
+  }
+
+  return marbles;
+}
+
+/**
+ * Creates a marble tester bound to a virtual-time scheduler. Pass `tester.scheduler` to
+ * every time-based operator in the pipeline under test so it runs on virtual time.
+ * @param {Object} [options] - Tester options
+ * @param {number} [options.frameMs=1] - Virtual milliseconds per marble frame
+ * @param {Object} [options.scheduler] - Virtual scheduler to drive (defaults to a new VirtualTimeScheduler)
+ * @returns {Object} Tester with scheduler, cold, record, toMarbles and expect
+ * @throws {ValidationError} If frameMs is not a positive number or the scheduler cannot be advanced
+ */
+export function createMarbleTester({ frameMs = 1, scheduler = new VirtualTimeScheduler() } = {}) {
+  if (typeof frameMs !== 'number' || frameMs <= 0) {
+    throw new ValidationError('frameMs must be a positive number');
+  }
+
+  if (!scheduler || typeof scheduler.runAll !== 'function' || typeof scheduler.now !== 'function') {
+    throw new ValidationError('scheduler must be a virtual scheduler with now and runAll');
+  }
+
+  /**
+   * Runs an async iterable on virtual time and records what it emits
+   * @param {AsyncIterable} iterable - The pipeline under test
+   * @returns {Promise<Array>} Recorded notifications; a missing completion means the iterable never finished
+   */
+  const record = async (iterable) => {
+    const start = scheduler.now();
+    const notifications = [];
+    const iterator = iterable[Symbol.asyncIterator]();
+    const frameOf = () => Math.round((scheduler.now() - start) / frameMs);
+    let finished = false;
+
+    const recording = (async () => {
+      try {
+        while (true) {
+          const { value, done } = await iterator.next();
+          if (finished) return;
+          if (done) {
+            notifications.push({ frame: frameOf(), kind: NOTIFICATION_KINDS.COMPLETE });
+            return;
+          }
+          notifications.push({ frame: frameOf(), kind: NOTIFICATION_KINDS.NEXT, value });
+        }
+      } catch (error) {
+        if (!finished) {
+          notifications.push({ frame: frameOf(), kind: NOTIFICATION_KINDS.ERROR, error });
+        }
+      } finally {
+        finished = true;
+      }
+    })();
+
+    await scheduler.runAll();
+
+    // Anything still running is waiting for something that will never happen
+    if (!finished) {
+      finished = true;
+      stopIterator(iterator);
+    } else {
+      await recording;
+    }
+
+    return notifications;
+  };
+
+  return {
+    scheduler,
+
+    /**
+     * Creates a cold source: each iteration replays the diagram from its own start time
+     * @param {string} marbles - The marble diagram
+     * @param {Object} [values] - Map from marble characters to values
+     * @param {any} [error] - Error emitted by '#'
+     * @returns {AsyncIterable} Source that follows the diagram on the tester's scheduler
+     */
+    cold(marbles, values, error) {
+      const notifications = parseMarbles(marbles, { values, error });
+
+      return {
+        async *[Symbol.asyncIterator]() {
+          const start = scheduler.now();
+
+          for (const notification of notifications) {
+            const delay = start + notification.frame * frameMs - scheduler.now();
+            if (delay > 0) {
+              await wait(delay, { scheduler });
+            }
+
+            if (notification.kind === NOTIFICATION_KINDS.COMPLETE) return;
+            if (notification.kind === NOTIFICATION_KINDS.ERROR) throw notification.error;
+            yield notification.value;
+          }
+
+          // Without '|' or '#' the source never completes
+          await new Promise(() => {});
+        }
+      };
+    },
+
+    record,
+
+    /**
+     * Runs an async iterable on virtual time and renders its output as a marble diagram
+     * @param {AsyncIterable} iterable - The pipeline under test
+     * @param {Object} [values] - Map from marble characters to values, used to pick characters
+     * @returns {Promise<string>} The output diagram
+     */
+    async toMarbles(iterable, values) {
+      return renderMarbles(await record(iterable), values);
+    },
+
+    /**
+     * Asserts that an async iterable emits the expected diagram on virtual time
+     * @param {AsyncIterable} iterable - The pipeline under test
+     * @param {string} expected - The expected marble diagram
+     * @param {Object} [values] - Map from marble characters to expected values
+     * @param {any} [error] - Expected error for '#'; compared by constructor and message
+     * @returns {Promise<void>} Resolves if the output matches
+     * @throws {Error} If the output differs from the expected diagram
+     */
+    async expect(iterable, expected, values, error) {
+      const want = parseMarbles(expected, { values, error });
+      const actual = await record(iterable);
+
+      const matches = want.length === actual.length && want.every((notification, i) => (
+        notification.frame === actual[i].frame &&
+        notification.kind === actual[i].kind &&
+        isEqual(notification.value, actual[i].value) &&
+        isEqual(notification.error, actual[i].error)
+      ));
+
+      if (!matches) {
+        const describe = (notifications) => notifications
+          .map(({ frame, kind, value, error: err }) => (
+            `  ${frame}: ${kind}${kind === NOTIFICATION_KINDS.NEXT ? ` ${JSON.stringify(value)}` : ''}` +
+            `${kind === NOTIFICATION_KINDS.ERROR ? ` ${err}` : ''}`
+          ))
+          .join('\n');
+
+        throw new Error(
+          `Marble mismatch\nExpected: ${renderMarbles(want, values)}\nReceived: ${renderMarbles(actual, values)}\n` +
+          `Expected notifications:\n${describe(want)}\nReceived notifications:\n${describe(actual)}`
+        );
+      }
+    }
+  };
+}
+
+export default createMarbleTester;
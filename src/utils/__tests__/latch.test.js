@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createLatch } from '../latch.js';
+
+describe('createLatch', () => {
+  it('should hand out a fresh promise per wait()', () => {
+    const latch = createLatch();
+
+    expect(latch.wait()).not.toBe(latch.wait());
+  });
+
+  it('should settle only the latest pending wait()', async () => {
+    const latch = createLatch();
+    const settled = [];
+    latch.wait().then(() => settled.push('first'));
+    latch.wait().then(() => settled.push('second'));
+
+    latch.resolve('value');
+    await Promise.resolve();
+
+    expect(settled).toEqual(['second']);
+  });
+
+  it('should settle later waits immediately with the first outcome', async () => {
+    const latch = createLatch();
+    latch.resolve(1);
+    latch.resolve(2);
+    latch.reject(new Error('ignored'));
+
+    await expect(latch.wait()).resolves.toBe(1);
+  });
+
+  it('should reject waits once rejected', async () => {
+    const latch = createLatch();
+    const pending = latch.wait();
+    latch.reject(new Error('boom'));
+
+    await expect(pending).rejects.toThrow('boom');
+    await expect(latch.wait()).rejects.toThrow('boom');
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi } from 'vitest';
+import { retryIterable } from '../retryIterable.js';
+import { VirtualTimeScheduler } from '../../core/scheduler.js';
+import { AbortError, ValidationError } from '../../errors.js';
+import { collect } from '../../__tests__/utils.js';
+
+// Factory whose first `failures` attempts yield the values and then throw
+function flaky(values, failures) {
+  let calls = 0;
+  const factory = vi.fn(async function* () {
+    const failing = calls++ < failures;
+    yield* values;
+    if (failing) throw new Error(`attempt ${calls} failed`);
+  });
+  return factory;
+}
+
+describe('retryIterable', () => {
+  it('should validate its options', async () => {
+    await expect(retryIterable(null).next()).rejects.toBeInstanceOf(ValidationError);
+    await expect(retryIterable(flaky([], 0), { backoff: 'linear' }).next()).rejects.toBeInstanceOf(ValidationError);
+    await expect(retryIterable(flaky([], 0), { factor: 0.5 }).next()).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('should retry failed attempts until one completes', async () => {
+    const factory = flaky([1, 2], 2);
+
+    expect(await collect(retryIterable(factory))).toEqual([1, 2, 1, 2, 1, 2]);
+    expect(factory).toHaveBeenCalledTimes(3);
+  });
+
+  it('should throw the last error once attempts are exhausted', async () => {
+    await expect(collect(retryIterable(flaky([], 5), { attempts: 2 }))).rejects.toThrow('attempt 2 failed');
+  });
+
+  it('should throw errors rejected by shouldRetry immediately', async () => {
+    const factory = flaky([], 5);
+    const shouldRetry = vi.fn(() => false);
+
+    await expect(collect(retryIterable(factory, { shouldRetry }))).rejects.toThrow('attempt 1 failed');
+    expect(factory).toHaveBeenCalledTimes(1);
+    expect(shouldRetry).toHaveBeenCalledWith(expect.any(Error), 1);
+  });
+
+  it('should continue from the last value with resumeFrom', async () => {
+    let failed = false;
+    const factory = async function* () {
+      yield 1;
+      yield 2;
+      failed = true;
+      throw new Error('dropped');
+    };
+    const resumeFrom = vi.fn(async function* (last) {
+      yield last + 1;
+    });
+
+    expect(await collect(retryIterable(factory, { resumeFrom }))).toEqual([1, 2, 3]);
+    expect(failed).toBe(true);
+    expect(resumeFrom).toHaveBeenCalledWith(2);
+  });
+
+  it('should grow exponential delays up to maxDelay', async () => {
+    const scheduler = new VirtualTimeScheduler();
+    const onRetry = vi.fn();
+    const result = collect(retryIterable(flaky([], 3), {
+      attempts: 4,
+      delay: 100,
+      backoff: 'exponential',
+      maxDelay: 300,
+      onRetry,
+      scheduler
+    }));
+
+    await scheduler.runAll();
+    await result;
+
+    expect(onRetry.mock.calls.map(([, attempt, ms]) => [attempt, ms])).toEqual([[1, 100], [2, 200], [3, 300]]);
+    expect(scheduler.now()).toBe(600);
+  });
+
+  it('should pass attempt, error and previous delay to a custom backoff', async () => {
+    const backoff = vi.fn(() => 0);
+
+    await collect(retryIterable(flaky([], 1), { delay: 50, backoff }));
+
+    expect(backoff).toHaveBeenCalledWith(1, expect.any(Error), 50);
+  });
+
+  it('should keep decorrelated jitter between the base delay and three times the previous wait', async () => {
+    const onRetry = vi.fn();
+    const scheduler = new VirtualTimeScheduler();
+    const result = collect(retryIterable(flaky([], 3), {
+      attempts: 4,
+      delay: 10,
+      backoff: 'decorrelated-jitter',
+      onRetry,
+      scheduler
+    }));
+
+    await scheduler.runAll();
+    await result;
+
+    let previous = 10;
+    for (const [, , ms] of onRetry.mock.calls) {
+      expect(ms).toBeGreaterThanOrEqual(10);
+      expect(ms).toBeLessThanOrEqual(Math.max(10, previous * 3));
+      previous = ms;
+    }
+  });
+
+  it('should cancel a pending wait when the signal aborts', async () => {
+    const controller = new AbortController();
+    const scheduler = new VirtualTimeScheduler();
+    const iterator = retryIterable(flaky([], 5), { delay: 1000, signal: controller.signal, scheduler });
+
+    const next = iterator.next();
+    await scheduler.advanceBy(10);
+    controller.abort();
+
+    await expect(next).rejects.toBeInstanceOf(AbortError);
+  });
+
+  it('should cancel the current attempt when the signal aborts', async () => {
+    const controller = new AbortController();
+    let returned = false;
+    const factory = () => ({
+      [Symbol.asyncIterator]: () => ({
+        next: () => new Promise(() => {}),
+        return: async () => {
+          returned = true;
+          return { done: true };
+        }
+      })
+    });
+
+    const next = retryIterable(factory, { signal: controller.signal }).next();
+    controller.abort();
+
+    await expect(next).rejects.toBeInstanceOf(AbortError);
+    expect(returned).toBe(true);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { toEventTarget } from '../toEventTarget.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { createAsyncQueue } from '../../core/asyncQueue.js';
+import { AbortError } from '../../errors.js';
+import { flush } from '../../__tests__/utils.js';
+
+// Records every event dispatched on a fresh EventTarget
+function recordingTarget(...types) {
+  const target = new EventTarget();
+  const events = [];
+  for (const type of types) {
+    target.addEventListener(type, (event) => events.push(event));
+  }
+  return { target, events };
+}
+
+describe('toEventTarget', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.resetModules();
+  });
+
+  it('should carry values and errors in detail without a global CustomEvent', async () => {
+    // Node 18 has Event but no CustomEvent
+    vi.stubGlobal('CustomEvent', undefined);
+    vi.resetModules();
+    const { toEventTarget } = await import('../toEventTarget.js');
+    const { target, events } = recordingTarget('value', 'error');
+    const error = new Error('boom');
+    const source = {
+      async *[Symbol.asyncIterator]() {
+        yield 1;
+        throw error;
+      }
+    };
+
+    await expect(toEventTarget(source, target, 'value')).rejects.toBe(error);
+
+    expect(events.map((event) => [event.type, event.detail])).toEqual([['value', 1], ['error', error]]);
+    expect(events[0]).toBeInstanceOf(Event);
+  });
+
+  it('should dispatch CustomEvents where the runtime has them', async () => {
+    const { target, events } = recordingTarget('value');
+
+    await toEventTarget(fromIterable([1]), target, 'value');
+
+    expect(events[0]).toBeInstanceOf(CustomEvent);
+    expect(events[0].detail).toBe(1);
+  });
+
+  it('should validate the target, type and options', async () => {
+    const target = new EventTarget();
+
+    const send = (to, type, options) => toEventTarget(fromIterable([]), to, type, options);
+
+    await expect(send({}, 'value')).rejects.toThrow(TypeError);
+    await expect(send(target, 42)).rejects.toThrow(TypeError);
+    await expect(send(target, 'value', { eventFactory: 'event' })).rejects.toThrow(TypeError);
+    await expect(send(target, 'value', { eventKind: 'plain' })).rejects.toThrow(TypeError);
+  });
+
+  it('should dispatch a completion event once the iterable is done', async () => {
+    const { target, events } = recordingTarget('value', 'complete');
+
+    await toEventTarget(fromIterable(['a', 'b']), target, 'value');
+
+    expect(events.map((event) => [event.type, event.detail])).toEqual([
+      ['value', 'a'],
+      ['value', 'b'],
+      ['complete', undefined]
+    ]);
+  });
+
+  it('should carry values in data with the message kind', async () => {
+    const { target, events } = recordingTarget('value');
+
+    await toEventTarget(fromIterable([{ id: 1 }]), target, 'value', { eventKind: 'message' });
+
+    expect(events[0]).toBeInstanceOf(MessageEvent);
+    expect(events[0].data).toEqual({ id: 1 });
+  });
+
+  it('should build events with a custom factory', async () => {
+    const { target, events } = recordingTarget('tick');
+    const eventFactory = (value, type) => {
+      const event = new Event(type);
+      event.count = value;
+      return event;
+    };
+
+    await toEventTarget(fromIterable([1, 2]), target, 'tick', { eventFactory, eventKind: 'ignored' });
+
+    expect(events.map((event) => event.count)).toEqual([1, 2]);
+  });
+
+  it('should rename or disable the completion and error events', async () => {
+    const { target, events } = recordingTarget('complete', 'done', 'error', 'failed');
+    const error = new Error('boom');
+    const failing = {
+      async *[Symbol.asyncIterator]() {
+        throw error;
+      }
+    };
+
+    await toEventTarget(fromIterable([]), target, 'value', { completeEvent: 'done' });
+    await toEventTarget(fromIterable([]), target, 'value', { completeEvent: null });
+    await expect(toEventTarget(failing, target, 'value', { errorEvent: 'failed' })).rejects.toBe(error);
+    await expect(toEventTarget(failing, target, 'value', { errorEvent: null })).rejects.toBe(error);
+
+    expect(events.map((event) => [event.type, event.detail])).toEqual([['done', undefined], ['failed', error]]);
+  });
+
+  it('should stop without a completion or error event when the signal aborts', async () => {
+    const { target, events } = recordingTarget('value', 'complete', 'error');
+    const queue = createAsyncQueue();
+    const controller = new AbortController();
+    const pending = toEventTarget(queue, target, 'value', { signal: controller.signal });
+
+    queue.enqueue(1);
+    await flush();
+    controller.abort();
+
+    await expect(pending).rejects.toThrow(AbortError);
+    expect(events.map((event) => event.type)).toEqual(['value']);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { toReadableStream } from '../toReadableStream.js';
+import { flush, trackedSource } from '../../__tests__/utils.js';
+
+// Reads every chunk of a ReadableStream into an array
+async function readAll(stream) {
+  const reader = stream.getReader();
+  const chunks = [];
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return chunks;
+    chunks.push(value);
+  }
+}
+
+describe('toReadableStream', () => {
+  it('should stream every value of an async or plain iterable', async () => {
+    expect(await readAll(toReadableStream(trackedSource([1, 2, 3]).iterable))).toEqual([1, 2, 3]);
+    expect(await readAll(toReadableStream(['a', 'b']))).toEqual(['a', 'b']);
+  });
+
+  it('should only pull values up to highWaterMark ahead of the reader', async () => {
+    const source = trackedSource([1, 2, 3, 4, 5, 6]);
+    const stream = toReadableStream(source.iterable, { highWaterMark: 2 });
+
+    await flush();
+    expect(source.pulled).toBe(2);
+
+    const reader = stream.getReader();
+    await reader.read();
+    await flush();
+    expect(source.pulled).toBe(3);
+    await reader.cancel();
+  });
+
+  it('should size values with the size function', async () => {
+    const source = trackedSource(['aa', 'bbb', 'c']);
+    toReadableStream(source.iterable, { highWaterMark: 4, size: (chunk) => chunk.length });
+
+    await flush();
+
+    expect(source.pulled).toBe(2);
+  });
+
+  it('should stop the iterable when the stream is cancelled', async () => {
+    const source = trackedSource([1, 2, 3]);
+    const reader = toReadableStream(source.iterable).getReader();
+
+    await reader.read();
+    await reader.cancel();
+
+    expect(source.returned).toBe(true);
+  });
+
+  it('should error the stream when the iterable fails', async () => {
+    const error = new Error('source failed');
+    const stream = toReadableStream({
+      async *[Symbol.asyncIterator]() {
+        yield 1;
+        throw error;
+      }
+    });
+
+    await expect(readAll(stream)).rejects.toBe(error);
+  });
+});
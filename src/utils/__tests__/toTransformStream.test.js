@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { toTransformStream } from '../toTransformStream.js';
+import { map } from '../../operators/map.js';
+import { bufferCount } from '../../operators/buffer.js';
+import { flush } from '../../__tests__/utils.js';
+
+// Reads every chunk of a ReadableStream into an array
+async function readAll(stream) {
+  const reader = stream.getReader();
+  const chunks = [];
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return chunks;
+    chunks.push(value);
+  }
+}
+
+// A stream over the values
+const streamOf = (values) => new ReadableStream({
+  start(controller) {
+    values.forEach((value) => controller.enqueue(value));
+    controller.close();
+  }
+});
+
+describe('toTransformStream', () => {
+  it('should reject an operator that is not a function', () => {
+    expect(() => toTransformStream('map')).toThrow(TypeError);
+  });
+
+  it('should run written chunks through the operator with pipeThrough', async () => {
+    const output = streamOf([1, 2, 3]).pipeThrough(toTransformStream(map((value) => value * 10)));
+
+    expect(await readAll(output)).toEqual([10, 20, 30]);
+  });
+
+  it('should flush operators that emit once the writable side closes', async () => {
+    const output = streamOf([1, 2, 3, 4, 5]).pipeThrough(toTransformStream(bufferCount(2)));
+
+    expect(await readAll(output)).toEqual([[1, 2], [3, 4], [5]]);
+  });
+
+  it('should be a TransformStream', () => {
+    expect(toTransformStream(map((value) => value))).toBeInstanceOf(TransformStream);
+  });
+
+  it('should hold back writes while the reader is behind', async () => {
+    const { writable, readable } = toTransformStream(map((value) => value), {
+      readableStrategy: { highWaterMark: 1 }
+    });
+    const writer = writable.getWriter();
+    const reader = readable.getReader();
+    let secondWritten = false;
+
+    // The first chunk fills the readable queue
+    await writer.write(1);
+    await flush();
+    writer.write(2).then(() => {
+      secondWritten = true;
+    });
+    await flush();
+    expect(secondWritten).toBe(false);
+
+    expect(await reader.read()).toEqual({ value: 1, done: false });
+    await flush();
+    expect(secondWritten).toBe(true);
+    await reader.cancel();
+  });
+
+  it('should stop the operator when the readable side is cancelled', async () => {
+    let returned = false;
+    const operator = (source) => ({
+      [Symbol.asyncIterator]() {
+        const iterator = source[Symbol.asyncIterator]();
+        return {
+          next: () => iterator.next(),
+          return: async () => {
+            returned = true;
+            return iterator.return();
+          }
+        };
+      }
+    });
+    const { writable, readable } = toTransformStream(operator);
+    const reason = new Error('not needed');
+
+    await readable.cancel(reason);
+
+    expect(returned).toBe(true);
+    await expect(writable.getWriter().write(1)).rejects.toBe(reason);
+  });
+
+  it('should fail both sides when the operator fails', async () => {
+    const error = new Error('bad chunk');
+    const { writable, readable } = toTransformStream(map(() => {
+      throw error;
+    }));
+    const writer = writable.getWriter();
+
+    writer.write(1).catch(() => {});
+
+    await expect(readAll(readable)).rejects.toBe(error);
+    await expect(writer.closed).rejects.toBe(error);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { Writable } from 'node:stream';
+import { toWritable } from '../toWritable.js';
+import { fromIterable } from '../../sources/fromIterable.js';
+import { AbortError } from '../../errors.js';
+import { flush, trackedSource } from '../../__tests__/utils.js';
+
+// An object-mode writable that completes each write only when the test allows it
+function manualWritable(highWaterMark = 1) {
+  const state = { written: [], callbacks: [] };
+  state.stream = new Writable({
+    objectMode: true,
+    highWaterMark,
+    write(chunk, encoding, callback) {
+      state.written.push(chunk);
+      state.callbacks.push(callback);
+    }
+  });
+  state.completeWrites = () => {
+    for (const callback of state.callbacks.splice(0)) callback();
+  };
+  return state;
+}
+
+describe('toWritable', () => {
+  it('should reject values that are not Writable streams', async () => {
+    await expect(toWritable(fromIterable([]), {})).rejects.toThrow(TypeError);
+  });
+
+  it('should write every value and end the stream', async () => {
+    const chunks = [];
+    const stream = new Writable({
+      objectMode: true,
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    await toWritable(fromIterable(['a', 'b']), stream);
+
+    expect(chunks).toEqual(['a', 'b']);
+    expect(stream.writableFinished).toBe(true);
+  });
+
+  it('should stop reading the iterable until the stream drains', async () => {
+    const source = trackedSource([1, 2, 3]);
+    const target = manualWritable(1);
+    const done = toWritable(source.iterable, target.stream);
+
+    await flush();
+    expect(source.pulled).toBe(1);
+    expect(target.written).toEqual([1]);
+
+    target.completeWrites();
+    await flush();
+    expect(source.pulled).toBe(2);
+
+    while (target.callbacks.length > 0) {
+      target.completeWrites();
+      await flush();
+    }
+    await done;
+    expect(target.written).toEqual([1, 2, 3]);
+  });
+
+  it('should leave the stream open with end disabled', async () => {
+    const target = manualWritable(16);
+    target.stream._write = (chunk, encoding, callback) => callback();
+
+    await toWritable(fromIterable([1]), target.stream, { end: false });
+
+    expect(target.stream.writableEnded).toBe(false);
+  });
+
+  it('should reject without ending the stream when the iterable fails', async () => {
+    const error = new Error('source failed');
+    const target = manualWritable(16);
+    const source = {
+      async *[Symbol.asyncIterator]() {
+        yield 1;
+        throw error;
+      }
+    };
+
+    await expect(toWritable(source, target.stream)).rejects.toBe(error);
+    expect(target.stream.writableEnded).toBe(false);
+  });
+
+  it('should reject when the stream is destroyed while waiting for drain', async () => {
+    const error = new Error('write failed');
+    const target = manualWritable(1);
+    const done = toWritable(fromIterable([1, 2]), target.stream);
+
+    await flush();
+    target.stream.destroy(error);
+
+    await expect(done).rejects.toBe(error);
+  });
+
+  it('should reject with an AbortError when the signal aborts while waiting for drain', async () => {
+    const target = manualWritable(1);
+    const controller = new AbortController();
+    const done = toWritable(fromIterable([1, 2]), target.stream, { signal: controller.signal });
+
+    await flush();
+    controller.abort();
+
+    await expect(done).rejects.toThrow(AbortError);
+  });
+});
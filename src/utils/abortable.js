@@ -0,0 +1,105 @@
+import { AbortError } from '../errors.js';
+
+/**
+ * Stops an iterator through return() without waiting for it. A next() call that is still
+ * pending is abandoned rather than awaited, and a failing return() is ignored.
+ * @param {AsyncIterator|Iterator} [iterator] - The iterator to stop; one without return() is left as is
+ * @returns {Promise} Settles once return() has, and never rejects
+ */
+export function stopIterator(iterator) {
+  if (typeof iterator?.return !== 'function') return Promise.resolve();
+  return Promise.resolve(iterator.return()).catch(() => {});
+}
+
+/**
+ * Settles like the given promise, unless the signal aborts first
+ * @param {Promise|any} promise - The promise (or value) to wait for
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise} Resolves or rejects like the promise, or rejects with AbortError on abort
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) return Promise.resolve(promise);
+  if (signal.aborted) return Promise.reject(new AbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Pulls the next result from an iterator, rejecting early if the signal aborts
+ * @param {AsyncIterator} iterator - The iterator to pull from
+ * @param {AbortSignal} [signal] - Signal that cancels the pull
+ * @returns {Promise<IteratorResult>}
+ */
+export function nextOrAbort(iterator, signal) {
+  if (!signal) return iterator.next();
+  if (signal.aborted) return Promise.reject(new AbortError());
+  return raceAbort(iterator.next(), signal);
+}
+
+/**
+ * Wraps an async iterable so that aborting the signal rejects a pending next() with an
+ * AbortError and stops the wrapped iterator through return()
+ * @param {AsyncIterable} iterable - The iterable to wrap
+ * @param {AbortSignal} signal - Signal that cancels the iteration
+ * @returns {AsyncIterable} The wrapped iterable
+ */
+export function abortableIterable(iterable, signal) {
+  return {
+    [Symbol.asyncIterator]() {
+      const iterator = iterable[Symbol.asyncIterator]();
+      let finished = false;
+
+      const finish = () => {
+        finished = true;
+        signal.removeEventListener('abort', stop);
+      };
+
+      // Cancel the wrapped iterator
+      function stop() {
+        if (finished) return;
+        finish();
+        stopIterator(iterator);
+      }
+
+      signal.addEventListener('abort', stop, { once: true });
+
+      return {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        async next() {
+          if (signal.aborted) {
+            stop();
+            throw new AbortError();
+          }
+
+          let result;
+          try {
+            result = await nextOrAbort(iterator, signal);
+          } catch (error) {
+            if (signal.aborted) {
+              stop();
+            } else {
+              finish();
+            }
+            throw error;
+          }
+
+          if (result.done) finish();
+          return result;
+        },
+        async return(value) {
+          stop();
+          return { value, done: true };
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,28 @@
+// Runtimes without explicit resource management use the registry symbols that transpilers look up
+export const asyncDisposeSymbol = Symbol.asyncDispose ?? Symbol.for('Symbol.asyncDispose');
+export const disposeSymbol = Symbol.dispose ?? Symbol.for('Symbol.dispose');
+
+/**
+ * Makes an object usable with `using` and `await using` declarations
+ * @param {Object} target - The object to extend
+ * @param {Function} dispose - Releases the object's resources, may return a promise
+ * @returns {Object} The same object
+ */
+export function addDisposers(target, dispose) {
+  Object.defineProperties(target, {
+    [asyncDisposeSymbol]: {
+      value: async () => {
+        await dispose();
+      },
+      configurable: true
+    },
+    // Synchronous disposal starts the cleanup without waiting for it
+    [disposeSymbol]: {
+      value: () => {
+        Promise.resolve(dispose()).catch(() => {});
+      },
+      configurable: true
+    }
+  });
+  return target;
+}
@@ -1,4 +1,4 @@
-import { ValidationError } from '../errors.js';
+import { ValidationError, AbortError } from '../errors.js';
 
 // Cache for event handler functions to avoid creating new ones
 const eventHandlerCache = new WeakMap();
@@ -68,15 +68,19 @@ export function getCachedEmitterHandler(emitter, eventName, handler) {
   }
   
   const emitterCache = emitterHandlerCache.get(emitter);
-  const cacheKey = `${eventName}:${handler.toString()}`;
+  if (!emitterCache.has(eventName)) {
+    emitterCache.set(eventName, new WeakMap());
+  }
   
-  if (!emitterCache.has(cacheKey)) {
-    emitterCache.set(cacheKey, function(...args) {
+  // Key by handler identity: handlers with the same source text belong to different subscriptions
+  const eventCache = emitterCache.get(eventName);
+  if (!eventCache.has(handler)) {
+    eventCache.set(handler, function(...args) {
       handler(...args);
     });
   }
   
-  return emitterCache.get(cacheKey);
+  return eventCache.get(handler);
 }
 
 /**
@@ -92,10 +96,77 @@ export function cleanupCachedHandlers(target) {
   }
 }
 
+/**
+ * Create a tracker for values a push source could not hand over immediately.
+ * Push sources can't await a 'block' queue, so pending enqueue() promises are
+ * counted and reported through the pressure callback instead.
+ * @param {Function} [pressure] - Called with true when the queue starts blocking and false once it drains
+ * @returns {Function} Function that takes the result of queue.enqueue()
+ */
+export function createPressureTracker(pressure) {
+  let pending = 0;
+  
+  return (result) => {
+    if (!result || typeof result.then !== 'function') return;
+    
+    if (pending++ === 0) {
+      pressure?.(true);
+    }
+    
+    const settle = () => {
+      if (--pending === 0) {
+        pressure?.(false);
+      }
+    };
+    result.then(settle, settle);
+  };
+}
+
+/**
+ * Wait for one of several events on an EventEmitter
+ * @param {Object} emitter - The EventEmitter
+ * @param {string[]} events - Events that resolve the wait
+ * @param {Object} [options] - Configuration options
+ * @param {string} [options.errorEvent='error'] - Event whose first argument rejects the wait
+ * @param {AbortSignal} [options.signal] - Signal that rejects the wait with an AbortError
+ * @returns {Promise<string>} The name of the event that fired
+ */
+export function waitForEvent(emitter, events, { errorEvent = 'error', signal } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(new AbortError());
+  }
+  
+  return new Promise((resolve, reject) => {
+    const handlers = new Map();
+    
+    const settle = (callback, value) => {
+      for (const [name, handler] of handlers) {
+        emitter.off(name, handler);
+      }
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    
+    const onAbort = () => settle(reject, new AbortError());
+    
+    for (const name of events) {
+      handlers.set(name, () => settle(resolve, name));
+    }
+    handlers.set(errorEvent, (error) => settle(reject, error));
+    
+    for (const [name, handler] of handlers) {
+      emitter.on(name, handler);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 export default {
   isEventTarget,
   isEventEmitter,
   getCachedEventHandler,
   getCachedEmitterHandler,
-  cleanupCachedHandlers
+  cleanupCachedHandlers,
+  createPressureTracker,
+  waitForEvent
 };
@@ -0,0 +1,208 @@
+import { createAsyncQueue } from '../core/asyncQueue.js';
+import { QUEUE_POLICIES } from '../constants.js';
+import { ValidationError } from '../errors.js';
+import { stopIterator } from './abortable.js';
+
+/**
+ * Flattening strategies shared by the higher-order operators
+ */
+export const FLATTEN_STRATEGIES = Object.freeze({
+  MERGE: 'merge',
+  SWITCH: 'switch',
+  EXHAUST: 'exhaust'
+});
+
+/**
+ * Whether a value is a (sync or async) iterable
+ * @param {any} value - The value to check
+ * @returns {boolean}
+ */
+export function isIterable(value) {
+  return value != null && (
+    typeof value[Symbol.asyncIterator] === 'function' ||
+    typeof value[Symbol.iterator] === 'function'
+  );
+}
+
+/**
+ * Separates an optional trailing options object from a list of sources
+ * @param {Array} args - Sources, optionally followed by a plain options object
+ * @returns {{sources: Array, options: Object}} The sources and the options ({} when absent)
+ */
+export function splitTrailingOptions(args) {
+  const last = args[args.length - 1];
+  if (last !== null && typeof last === 'object' && !isIterable(last)) {
+    return { sources: args.slice(0, -1), options: last };
+  }
+  return { sources: args, options: {} };
+}
+
+/**
+ * Converts the result of a projection function into an async iterable
+ * @param {any} result - An async iterable, iterable, promise or plain value
+ * @returns {AsyncIterable} Async iterable over the result; promises and plain values yield once
+ */
+export function toInnerIterable(result) {
+  if (result && typeof result[Symbol.asyncIterator] === 'function') {
+    return result;
+  }
+
+  if (result && typeof result !== 'string' && typeof result[Symbol.iterator] === 'function') {
+    return (async function* () {
+      yield* result;
+    })();
+  }
+
+  return (async function* () {
+    yield await result;
+  })();
+}
+
+/**
+ * Validates a concurrency limit
+ * @param {number} concurrency - Maximum number of concurrently active inner iterables
+ * @throws {ValidationError} If concurrency is not a positive integer or Infinity
+ */
+export function validateConcurrency(concurrency) {
+  if (concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency <= 0)) {
+    throw new ValidationError('concurrency must be a positive integer or Infinity');
+  }
+}
+
+/**
+ * Maps each source value to an inner async iterable and flattens the results
+ * @param {AsyncIterable} source - The source async iterable
+ * @param {Function} project - (value, index, signal) => AsyncIterable|Iterable|Promise|any
+ * @param {Object} [options] - Flattening options
+ * @param {'merge'|'switch'|'exhaust'} [options.strategy='merge'] - How overlapping inner iterables are handled
+ * @param {number} [options.concurrency=Infinity] - Maximum concurrently active inners for 'merge'
+ * @returns {AsyncIterable} A new async iterable over the flattened values
+ */
+export function flatten(source, project, { strategy = FLATTEN_STRATEGIES.MERGE, concurrency = Infinity } = {}) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      // Inner iterables wait for the consumer instead of buffering without bound
+      const output = createAsyncQueue({ queueLimit: 1, onOverflow: QUEUE_POLICIES.BLOCK });
+      const active = new Set();
+      let sourceIterator = null;
+      let stopped = false;
+      let sourceDone = false;
+      let index = 0;
+      let freeSlot = null;
+
+      const releaseSlot = () => {
+        if (freeSlot) {
+          const resolve = freeSlot;
+          freeSlot = null;
+          resolve();
+        }
+      };
+
+      const fail = (error) => {
+        stopped = true;
+        output.end(error);
+        releaseSlot();
+      };
+
+      const maybeComplete = () => {
+        if (sourceDone && active.size === 0) {
+          output.end();
+        }
+      };
+
+      // Cancel an inner iterable through its AbortSignal and return()
+      const cancel = (inner) => {
+        active.delete(inner);
+        inner.controller.abort();
+        stopIterator(inner.iterator);
+      };
+
+      const runInner = async (value, innerIndex) => {
+        const inner = { controller: new AbortController(), iterator: null };
+        const { signal } = inner.controller;
+        active.add(inner);
+
+        try {
+          const iterable = toInnerIterable(project(value, innerIndex, signal));
+          if (signal.aborted) return;
+          inner.iterator = iterable[Symbol.asyncIterator]();
+
+          while (!stopped && !signal.aborted) {
+            const result = await inner.iterator.next();
+            if (result.done || stopped || signal.aborted) break;
+            await output.enqueue({ signal, value: result.value });
+          }
+        } catch (error) {
+          // Errors from cancelled inners are expected and ignored
+          if (!signal.aborted && !stopped) {
+            fail(error);
+          }
+        } finally {
+          active.delete(inner);
+          releaseSlot();
+          maybeComplete();
+        }
+      };
+
+      const pump = async () => {
+        try {
+          sourceIterator = source[Symbol.asyncIterator]();
+
+          while (!stopped) {
+            while (strategy === FLATTEN_STRATEGIES.MERGE && active.size >= concurrency && !stopped) {
+              await new Promise((resolve) => {
+                freeSlot = resolve;
+              });
+            }
+            if (stopped) break;
+
+            const { value, done } = await sourceIterator.next();
+            if (done || stopped) break;
+
+            if (strategy === FLATTEN_STRATEGIES.EXHAUST && active.size > 0) {
+              continue;
+            }
+
+            if (strategy === FLATTEN_STRATEGIES.SWITCH) {
+              for (const inner of active) {
+                cancel(inner);
+              }
+            }
+
+            runInner(value, index++);
+          }
+
+          sourceDone = true;
+          maybeComplete();
+        } catch (error) {
+          fail(error);
+        }
+      };
+
+      pump();
+
+      try {
+        while (true) {
+          const { value: item, done } = await output.next();
+          if (done) return;
+          // Values an inner queued before it was cancelled are dropped
+          if (item.signal.aborted) continue;
+          yield item.value;
+        }
+      } finally {
+        const sourceFinished = sourceDone;
+        stopped = true;
+        releaseSlot();
+        output.return();
+
+        for (const inner of active) {
+          cancel(inner);
+        }
+
+        if (!sourceFinished) stopIterator(sourceIterator);
+      }
+    }
+  };
+}
+
+export default flatten;
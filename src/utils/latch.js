@@ -0,0 +1,46 @@
+/**
+ * Creates a one-shot notification for loops that race every read against it.
+ * Racing the same long-lived promise on every iteration adds a reaction to it each
+ * time, and those reactions pile up for as long as it stays pending. wait() instead
+ * hands out a fresh promise per call and only the latest one is settled, so promises
+ * from earlier iterations can be collected.
+ * @returns {{wait: Function, resolve: Function, reject: Function}} The latch; only the
+ *   first call to resolve or reject counts
+ */
+export function createLatch() {
+  let outcome = null;
+  let waiter = null;
+
+  const settle = (result) => {
+    if (outcome) return;
+    outcome = result;
+
+    if (waiter) {
+      const { resolve, reject } = waiter;
+      waiter = null;
+      if (result.failed) {
+        reject(result.error);
+      } else {
+        resolve(result.value);
+      }
+    }
+  };
+
+  return {
+    /**
+     * Promise for this iteration, settled once the latch is
+     * @returns {Promise}
+     */
+    wait() {
+      if (outcome) {
+        return outcome.failed ? Promise.reject(outcome.error) : Promise.resolve(outcome.value);
+      }
+
+      return new Promise((resolve, reject) => {
+        waiter = { resolve, reject };
+      });
+    },
+    resolve: (value) => settle({ value }),
+    reject: (error) => settle({ error, failed: true })
+  };
+}
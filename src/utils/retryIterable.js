@@ -1,37 +1,167 @@
-import { AbortError } from '../errors.js';
+import { AbortError, ValidationError } from '../errors.js';
+import { BACKOFF_STRATEGIES } from '../constants.js';
+import { resolveScheduler, wait } from '../core/scheduler.js';
+import { nextOrAbort, stopIterator } from './abortable.js';
+
+/**
+ * Computes the wait before the next attempt
+ * @param {string|Function} backoff - Backoff strategy or (attempt, error, previousDelay) => ms
+ * @param {Object} state - Current retry state
+ * @param {number} state.attempt - The attempt that just failed (1-based)
+ * @param {Error} state.error - The error that ended the attempt
+ * @param {number} state.delay - Base delay in milliseconds
+ * @param {number} state.factor - Multiplier for exponential backoff
+ * @param {number} state.previousDelay - The wait used before the failed attempt
+ * @returns {number} Delay in milliseconds, before maxDelay is applied
+ */
+function computeDelay(backoff, { attempt, error, delay, factor, previousDelay }) {
+  if (typeof backoff === 'function') {
+    return backoff(attempt, error, previousDelay);
+  }
+
+  switch (backoff) {
+    case BACKOFF_STRATEGIES.EXPONENTIAL:
+      return delay * factor ** (attempt - 1);
+    case BACKOFF_STRATEGIES.DECORRELATED_JITTER: {
+      // Random value between the base delay and three times the previous wait
+      const upper = Math.max(delay, previousDelay * 3);
+      return delay + Math.random() * (upper - delay);
+    }
+    default:
+      return delay;
+  }
+}
 
 /**
  * Creates a retry mechanism for async iterables
  * @param {Function} factory - A factory function that returns a new async iterable
  * @param {Object} [options] - Retry options
  * @param {number} [options.attempts=3] - Maximum number of attempts
- * @param {number} [options.delay=0] - Delay between retries in milliseconds
+ * @param {number} [options.delay=0] - Base delay between retries in milliseconds
+ * @param {'fixed'|'exponential'|'decorrelated-jitter'|Function} [options.backoff='fixed'] - Backoff strategy,
+ *   or (attempt, error, previousDelay) => ms
+ * @param {number} [options.factor=2] - Multiplier applied per attempt by the 'exponential' strategy
+ * @param {number} [options.maxDelay=Infinity] - Upper bound for any single delay in milliseconds
+ * @param {Function} [options.shouldRetry] - (error, attempt) => boolean; errors it rejects are thrown immediately
+ * @param {Function} [options.onRetry] - (error, attempt, delay) => void, called before waiting for the next attempt
+ * @param {Function} [options.resumeFrom] - (lastValue) => AsyncIterable, used instead of factory for retries
+ *   once at least one value has been emitted
+ * @param {AbortSignal} [options.signal] - Signal that cancels the current attempt and any pending wait
+ * @param {Object} [options.scheduler] - Scheduler providing the timers for the waits (see VirtualTimeScheduler)
  * @returns {AsyncIterable} A new async iterable with retry logic
+ * @throws {ValidationError} If factory or any option is invalid
+ * @throws {AbortError} If the signal aborts
  */
-export async function* retryIterable(factory, { attempts = 3, delay = 0 } = {}) {
+export async function* retryIterable(factory, {
+  attempts = 3,
+  delay = 0,
+  backoff = BACKOFF_STRATEGIES.FIXED,
+  factor = 2,
+  maxDelay = Infinity,
+  shouldRetry,
+  onRetry,
+  resumeFrom,
+  signal,
+  scheduler
+} = {}) {
   if (typeof factory !== 'function') {
-    throw new Error('factory must be a function that returns an async iterable');
+    throw new ValidationError('factory must be a function that returns an async iterable');
+  }
+
+  if (!Number.isInteger(attempts) || attempts < 0) {
+    throw new ValidationError('attempts must be a non-negative integer');
+  }
+
+  if (typeof delay !== 'number' || delay < 0) {
+    throw new ValidationError('delay must be a non-negative number');
+  }
+
+  if (typeof maxDelay !== 'number' || maxDelay < 0) {
+    throw new ValidationError('maxDelay must be a non-negative number');
+  }
+
+  if (typeof factor !== 'number' || factor < 1) {
+    throw new ValidationError('factor must be a number greater than or equal to 1');
+  }
+
+  if (typeof backoff !== 'function' && !Object.values(BACKOFF_STRATEGIES).includes(backoff)) {
+    throw new ValidationError(
+      `backoff must be a function or one of: ${Object.values(BACKOFF_STRATEGIES).join(', ')}`
+    );
+  }
+
+  for (const [name, fn] of Object.entries({ shouldRetry, onRetry, resumeFrom })) {
+    if (fn !== undefined && typeof fn !== 'function') {
+      throw new ValidationError(`${name} must be a function`);
+    }
   }
-  
+
+  const timers = resolveScheduler(scheduler);
+
   let lastError;
-  
-  for (let i = 0; i < attempts; i++) {
+  let lastValue;
+  let hasValue = false;
+  let previousDelay = delay;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (signal?.aborted) {
+      throw new AbortError();
+    }
+
+    const iterable = hasValue && resumeFrom ? resumeFrom(lastValue) : factory();
+    const iterator = iterable[Symbol.asyncIterator]();
+    let finished = false;
+
     try {
-      const iterable = factory();
-      for await (const value of iterable) {
-        yield value;
-      }
-      // If we get here, the iterable completed successfully
-      return;
-    } catch (error) {
-      lastError = error;
-      
-      if (i < attempts - 1 && delay > 0) {
-        await new Promise(resolve => setTimeout(resolve, delay));
+      while (true) {
+        let result;
+
+        try {
+          result = await nextOrAbort(iterator, signal);
+        } catch (error) {
+          if (signal?.aborted) throw new AbortError();
+          finished = true;
+
+          lastError = error;
+          if (attempt >= attempts || (shouldRetry && !shouldRetry(error, attempt))) {
+            throw error;
+          }
+          break;
+        }
+
+        if (result.done) {
+          // If we get here, the iterable completed successfully
+          finished = true;
+          return;
+        }
+
+        hasValue = true;
+        lastValue = result.value;
+        yield result.value;
       }
+    } finally {
+      // Close the attempt if the consumer stopped early or the signal aborted
+      if (!finished) stopIterator(iterator);
+    }
+
+    const ms = Math.min(maxDelay, Math.max(0, computeDelay(backoff, {
+      attempt,
+      error: lastError,
+      delay,
+      factor,
+      previousDelay
+    })));
+    previousDelay = ms;
+
+    if (onRetry) {
+      onRetry(lastError, attempt, ms);
+    }
+
+    if (ms > 0) {
+      await wait(ms, { scheduler: timers, signal });
     }
   }
-  
+
   // If we've exhausted all attempts, throw the last error
   throw lastError || new Error('No attempts were made');
 }
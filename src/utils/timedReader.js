@@ -0,0 +1,67 @@
+import { stopIterator } from './abortable.js';
+
+// Returned by read() when the deadline passes before the source produces a result
+export const ELAPSED = Symbol('elapsed');
+
+/**
+ * Wraps a source so it can be read with a deadline. A pull that is still unfinished when
+ * the deadline passes is kept for the next read, so no value is lost.
+ * @param {AsyncIterable} source - The source async iterable
+ * @param {Object} timers - Resolved scheduler providing the clock and timers
+ * @returns {{ read: Function, cancel: Function }} The reader
+ */
+export function createTimedReader(source, timers) {
+  const iterator = source[Symbol.asyncIterator]();
+  let pending = null;
+  let finished = false;
+
+  const settle = (result) => {
+    pending = null;
+    if (result.done) finished = true;
+    return result;
+  };
+
+  return {
+    /**
+     * Reads the next result from the source
+     * @param {number|null} [deadline=null] - Clock time to stop waiting at; null waits indefinitely
+     * @returns {Promise<IteratorResult|symbol>} The next result, or ELAPSED
+     */
+    async read(deadline = null) {
+      pending = pending || Promise.resolve(iterator.next()).catch((error) => {
+        finished = true;
+        throw error;
+      });
+
+      if (deadline === null) {
+        return settle(await pending);
+      }
+
+      const remaining = deadline - timers.now();
+      if (remaining <= 0) return ELAPSED;
+
+      let timeoutId;
+      try {
+        const result = await Promise.race([
+          pending,
+          new Promise((resolve) => {
+            timeoutId = timers.setTimeout(resolve, remaining, ELAPSED);
+          })
+        ]);
+        return result === ELAPSED ? result : settle(result);
+      } finally {
+        timers.clearTimeout(timeoutId);
+      }
+    },
+
+    /**
+     * Stops the source unless it has finished
+     */
+    cancel() {
+      if (!finished) {
+        finished = true;
+        stopIterator(iterator);
+      }
+    }
+  };
+}
@@ -0,0 +1,88 @@
+import { isEventTarget } from './eventUtils.js';
+import { forEach } from '../operators/terminal.js';
+import { fromIterable } from '../sources/fromIterable.js';
+import { AbortError } from '../errors.js';
+
+/**
+ * CustomEvent is only a global from Node 19; older runtimes get an Event subclass that
+ * carries `detail` the same way
+ */
+const DetailEvent = typeof CustomEvent === 'function'
+  ? CustomEvent
+  : class CustomEvent extends Event {
+    /**
+     * @param {string} type - The event type
+     * @param {Object} [init] - Event init options plus `detail`
+     */
+    constructor(type, { detail = null, ...init } = {}) {
+      super(type, init);
+      this.detail = detail;
+    }
+  };
+
+// Default event factories, keyed by the eventKind option
+const EVENT_FACTORIES = {
+  custom: (value, type) => new DetailEvent(type, { detail: value }),
+  message: (value, type) => new MessageEvent(type, { data: value })
+};
+
+/**
+ * Dispatches every value of an iterable into an EventTarget
+ * @param {AsyncIterable|Iterable} asyncIterable - The iterable to read
+ * @param {EventTarget} target - The EventTarget to dispatch events to
+ * @param {string} type - The type of the events dispatched for values
+ * @param {Object} [options] - Configuration options
+ * @param {'custom'|'message'} [options.eventKind='custom'] - Dispatch CustomEvents carrying the value
+ *   in `detail`, or MessageEvents carrying it in `data`
+ * @param {Function} [options.eventFactory] - (value, type) => Event, replaces eventKind
+ * @param {string|null} [options.completeEvent='complete'] - Event dispatched when the iterable completes
+ *   (null to disable)
+ * @param {string|null} [options.errorEvent='error'] - CustomEvent dispatched with the error in `detail`
+ *   when the iterable fails (null to disable)
+ * @param {AbortSignal} [options.signal] - Stops reading the iterable; no completion or error event is dispatched
+ * @returns {Promise<void>} A promise that resolves when the iteration is complete
+ * @throws {TypeError} If target is not an EventTarget or an option is invalid
+ */
+export async function toEventTarget(asyncIterable, target, type, {
+  eventKind = 'custom',
+  eventFactory,
+  completeEvent = 'complete',
+  errorEvent = 'error',
+  signal
+} = {}) {
+  if (!isEventTarget(target)) {
+    throw new TypeError('target must be an EventTarget');
+  }
+  
+  if (typeof type !== 'string') {
+    throw new TypeError('type must be a string');
+  }
+  
+  if (eventFactory !== undefined && typeof eventFactory !== 'function') {
+    throw new TypeError('eventFactory must be a function');
+  }
+  
+  if (!eventFactory && !EVENT_FACTORIES[eventKind]) {
+    throw new TypeError(`eventKind must be one of: ${Object.keys(EVENT_FACTORIES).join(', ')}`);
+  }
+  
+  const createEvent = eventFactory || EVENT_FACTORIES[eventKind];
+  const source = fromIterable(asyncIterable);
+  
+  try {
+    await forEach((value) => {
+      target.dispatchEvent(createEvent(value, type));
+    }, { signal })(source);
+    
+    if (completeEvent !== null) {
+      target.dispatchEvent(new Event(completeEvent));
+    }
+  } catch (error) {
+    if (errorEvent !== null && !(error instanceof AbortError && signal?.aborted)) {
+      target.dispatchEvent(new DetailEvent(errorEvent, { detail: error }));
+    }
+    throw error;
+  }
+}
+
+export default toEventTarget;
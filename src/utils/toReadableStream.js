@@ -0,0 +1,41 @@
+import { toInnerIterable } from './flatten.js';
+
+/**
+ * Creates a WHATWG ReadableStream from an async iterable. The stream pulls a value from the
+ * iterable only when its queue is below highWaterMark, so a slow reader holds back the
+ * iterable. Cancelling the stream stops the iterable through return().
+ * @param {AsyncIterable|Iterable} asyncIterable - The iterable to read
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.highWaterMark=1] - Number of values (or total size) buffered ahead of the reader
+ * @param {Function} [options.size] - (chunk) => number, the size of each value for highWaterMark
+ * @returns {ReadableStream} The stream
+ */
+export function toReadableStream(asyncIterable, { highWaterMark = 1, size } = {}) {
+  const iterator = toInnerIterable(asyncIterable)[Symbol.asyncIterator]();
+
+  return new ReadableStream({
+    async pull(controller) {
+      let result;
+      try {
+        result = await iterator.next();
+      } catch (error) {
+        controller.error(error);
+        return;
+      }
+
+      if (result.done) {
+        controller.close();
+      } else {
+        controller.enqueue(result.value);
+      }
+    },
+
+    async cancel() {
+      if (typeof iterator.return === 'function') {
+        await iterator.return();
+      }
+    }
+  }, size ? { highWaterMark, size } : { highWaterMark });
+}
+
+export default toReadableStream;
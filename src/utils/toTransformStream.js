@@ -0,0 +1,64 @@
+import { createAsyncQueue } from '../core/asyncQueue.js';
+import { QUEUE_POLICIES } from '../constants.js';
+import { stopIterator } from './abortable.js';
+
+/**
+ * Wraps an operator as a TransformStream that can be passed to pipeThrough(). Chunks written
+ * to the writable side are fed to the operator, and its output is enqueued on the readable
+ * side as it is produced. The stream only hands a chunk to the operator while the readable
+ * side has room, so a slow reader holds back the writer. Cancelling the readable side or
+ * aborting the writable side stops the operator through return(); runtimes without the
+ * transformer cancel() hook (Node 18) stop it once it produces its next value.
+ * @param {Function} operator - (asyncIterable) => asyncIterable, e.g. map(fn) or bufferCount(10)
+ * @param {Object} [options] - Configuration options
+ * @param {Object} [options.writableStrategy] - Queuing strategy for the writable side
+ * @param {Object} [options.readableStrategy] - Queuing strategy for the readable side
+ * @returns {TransformStream} The transform stream
+ * @throws {TypeError} If operator is not a function
+ */
+export function toTransformStream(operator, { writableStrategy, readableStrategy } = {}) {
+  if (typeof operator !== 'function') {
+    throw new TypeError('operator must be a function');
+  }
+
+  // Holds at most one written chunk; further writes wait for the operator to pull
+  const input = createAsyncQueue({ queueLimit: 1, onOverflow: QUEUE_POLICIES.BLOCK });
+  const output = operator(input)[Symbol.asyncIterator]();
+  let pumping;
+
+  // Stop the operator and drop the chunk it has not taken yet
+  const stop = () => {
+    input.return();
+    return stopIterator(output);
+  };
+
+  return new TransformStream({
+    start(controller) {
+      pumping = (async () => {
+        try {
+          while (true) {
+            const { value, done } = await output.next();
+            if (done) return;
+            controller.enqueue(value);
+          }
+        } catch (error) {
+          // An operator failure fails both sides
+          controller.error(error);
+          stop();
+        }
+      })();
+    },
+    async transform(chunk) {
+      await input.enqueue(chunk);
+    },
+    async flush() {
+      input.end();
+      await pumping;
+    },
+    async cancel() {
+      await stop();
+    }
+  }, writableStrategy, readableStrategy);
+}
+
+export default toTransformStream;
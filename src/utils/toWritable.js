@@ -0,0 +1,40 @@
+import { isEventEmitter, waitForEvent } from './eventUtils.js';
+import { forEach } from '../operators/terminal.js';
+
+/**
+ * Writes every value of an async iterable to a Node Writable stream. When write() reports
+ * a full buffer, the iterable is not read again until the stream emits 'drain'.
+ * @param {AsyncIterable} asyncIterable - The async iterable to read
+ * @param {Writable} writable - The Node Writable stream to write to
+ * @param {Object} [options] - Configuration options
+ * @param {boolean} [options.end=true] - End the stream, and wait for 'finish', once the iterable completes
+ * @param {AbortSignal} [options.signal] - Optional AbortSignal to stop writing
+ * @returns {Promise<void>} A promise that resolves when every value has been written. It rejects
+ *   if the iterable or the stream fails; the stream is not ended in that case.
+ * @throws {TypeError} If writable is not a Writable stream
+ */
+export async function toWritable(asyncIterable, writable, { end = true, signal } = {}) {
+  if (!isEventEmitter(writable) || typeof writable.write !== 'function') {
+    throw new TypeError('writable must be a Writable stream');
+  }
+
+  await forEach(async (chunk) => {
+    if (writable.destroyed) {
+      throw writable.errored || new Error('Cannot write to a destroyed stream');
+    }
+
+    if (!writable.write(chunk)) {
+      if ((await waitForEvent(writable, ['drain', 'close'], { signal })) === 'close') {
+        throw writable.errored || new Error('Writable closed before drain');
+      }
+    }
+  }, { signal })(asyncIterable);
+
+  if (end) {
+    const finished = waitForEvent(writable, ['finish', 'close'], { signal });
+    writable.end();
+    await finished;
+  }
+}
+
+export default toWritable;
@@ -1,5 +1,9 @@
-import { QueueOverflowError, AbortError, ValidationError } from './index.js';
+import { QueueOverflowError, AbortError, ValidationError } from './errors.js';
 import { QUEUE_POLICIES, ERROR_MESSAGES } from './constants.js';
+import { createPriorityComparator, insertByPriority, evictLowestPriority } from './core/priority.js';
+import { addDisposers } from './utils/dispose.js';
+import { fromIterable } from './sources/fromIterable.js';
+import { stopIterator } from './utils/abortable.js';
 
 // Re-export the queue policies
 export { QUEUE_POLICIES };
@@ -10,31 +14,64 @@ export { QUEUE_POLICIES };
  * 
  * @param {Object} [options={}] - Configuration options
  * @param {number} [options.queueLimit=0] - Maximum queue size (0 = unlimited)
- * @param {'drop-old'|'drop-new'|'throw'} [options.onOverflow='throw'] - Behavior on queue overflow
+ * @param {'drop-old'|'drop-new'|'throw'|'block'} [options.onOverflow='throw'] - Behavior on queue overflow.
+ *   With 'block', the source is not pulled again until the consumer frees a slot.
  * @param {AbortSignal} [options.signal] - Optional AbortSignal to cancel iteration
+ * @param {number} [options.highWaterMark=0] - Buffered size at which the source stops being pulled
+ *   and onPause is called (0 = disabled)
+ * @param {number} [options.lowWaterMark=0] - Buffered size at or below which pulling resumes and onResume is called
+ * @param {Function} [options.onPause] - Called when the buffer reaches highWaterMark
+ * @param {Function} [options.onResume] - Called when the buffer drains back to lowWaterMark
+ * @param {Function} [options.priority] - (value) => number; enables priority mode where higher numbers are
+ *   served first and 'drop-old'/'drop-new' evict the lowest-priority value instead of the oldest/newest
+ * @param {Function} [options.compare] - (a, b) => number comparator alternative to priority;
+ *   negative when a should be served before b
  * @returns {Function} A function that wraps an async iterable with queue behavior
  * @throws {ValidationError} If queueLimit is negative
  * @throws {ValidationError} If onOverflow is not a valid policy
+ * @throws {ValidationError} If lowWaterMark is negative or greater than or equal to highWaterMark
+ * @throws {ValidationError} If priority or compare is not a function
  */
-export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, signal } = {}) {
+export function withQueue({
+  queueLimit = 0,
+  onOverflow = QUEUE_POLICIES.THROW,
+  signal,
+  highWaterMark = 0,
+  lowWaterMark = 0,
+  onPause,
+  onResume,
+  priority,
+  compare
+} = {}) {
   // Validate inputs
   if (typeof queueLimit !== 'number' || queueLimit < 0) {
     throw new ValidationError('queueLimit must be a non-negative number');
   }
   
+  if (typeof highWaterMark !== 'number' || highWaterMark < 0) {
+    throw new ValidationError('highWaterMark must be a non-negative number');
+  }
+  
+  if (typeof lowWaterMark !== 'number' || lowWaterMark < 0 ||
+      (highWaterMark > 0 && lowWaterMark >= highWaterMark)) {
+    throw new ValidationError('lowWaterMark must be a non-negative number below highWaterMark');
+  }
+  
   if (!Object.values(QUEUE_POLICIES).includes(onOverflow)) {
     throw new ValidationError(
       `Invalid onOverflow policy. Must be one of: ${Object.values(QUEUE_POLICIES).join(', ')}`
     );
   }
+  
+  const compareItems = createPriorityComparator({ priority, compare });
 
   /**
    * Wraps an async iterable with the configured queue behavior
    * @param {AsyncIterable} sourceIterable - The source async iterable
-   * @returns {AsyncIterable} A new async iterable with queue behavior applied
+   * @returns {AsyncIterable} A new async iterable with queue behavior applied, disposable with `using`/`await using`
    */
   return function wrapIterable(sourceIterable) {
-    // Circular buffer implementation
+    // Circular buffer implementation (a sorted array in priority mode)
     let buffer = [];
     let head = 0;
     let tail = 0;
@@ -43,22 +80,73 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
     // Promise state for async iteration
     let resolveNext = null;
     let nextPromise = null;
+    // Whether a consumer is currently awaiting nextPromise
+    let isWaiting = false;
     let isDone = false;
     let error = null;
     let isPulling = false;
-    let pullController = null;
+    // The source iterator, read by a single pull loop
+    let sourceIterator = null;
+    let sourceDone = false;
+    // Resolves a source pull paused by the 'block' policy or a watermark
+    let resumePull = null;
+    let paused = false;
     
     // Initialize the first promise
     const resetNextPromise = () => {
       nextPromise = new Promise((resolve) => {
         resolveNext = (value) => {
-          resolveNext = null;
+          isWaiting = false;
           resolve(value);
         };
       });
     };
     resetNextPromise();
     
+    // Remove and return the next buffered value
+    const shift = () => {
+      if (compareItems) {
+        size--;
+        return buffer.shift();
+      }
+      
+      const value = buffer[head];
+      // Help GC by clearing the reference
+      buffer[head] = undefined;
+      head = (head + 1) % buffer.length;
+      size--;
+      return value;
+    };
+    
+    // Call onPause/onResume when the buffered size crosses a watermark
+    const checkWaterMarks = () => {
+      if (highWaterMark === 0) return;
+      
+      if (!paused && size >= highWaterMark) {
+        paused = true;
+        onPause?.();
+      } else if (paused && size <= lowWaterMark) {
+        paused = false;
+        onResume?.();
+      }
+    };
+    
+    // Whether the source must not be pulled until the consumer catches up
+    const shouldWait = () => {
+      if (isDone) return false;
+      if (paused) return true;
+      return onOverflow === QUEUE_POLICIES.BLOCK && queueLimit > 0 && size >= queueLimit;
+    };
+    
+    // Let a blocked source pull continue
+    const resume = () => {
+      if (resumePull) {
+        const r = resumePull;
+        resumePull = null;
+        r();
+      }
+    };
+    
     // Handle external abort
     const onAbort = () => {
       const err = new AbortError('Operation was aborted');
@@ -76,17 +164,49 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
       }
     }
 
+    // Stop the source unless it finished on its own
+    const stopSource = () => {
+      if (sourceIterator && !sourceDone) {
+        sourceDone = true;
+        stopIterator(sourceIterator);
+      }
+    };
+    
     // Pull from the source iterable
     const pullFromSource = async () => {
       if (isPulling || isDone) return;
       isPulling = true;
       
       try {
-        for await (const value of sourceIterable) {
+        // Plain iterables are read like in a for await loop
+        if (!sourceIterator) {
+          sourceIterator = fromIterable(sourceIterable)[Symbol.asyncIterator]();
+        }
+        
+        while (!isDone) {
+          let result;
+          try {
+            result = await sourceIterator.next();
+          } catch (err) {
+            // A source that threw has already finished
+            sourceDone = true;
+            throw err;
+          }
+          
+          if (result.done) {
+            sourceDone = true;
+            break;
+          }
           if (isDone) break;
           
+          const { value } = result;
+          
           // Apply queue limit policy if needed
-          if (queueLimit > 0 && size >= queueLimit) {
+          if (queueLimit > 0 && size >= queueLimit && compareItems && onOverflow !== QUEUE_POLICIES.THROW) {
+            // Evict the lowest-priority value, which may be the new one
+            if (!evictLowestPriority(buffer, value, compareItems, onOverflow)) continue;
+            size--;
+          } else if (queueLimit > 0 && size >= queueLimit) {
             switch (onOverflow) {
               case QUEUE_POLICIES.DROP_OLD:
                 // Remove the oldest item
@@ -105,34 +225,47 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
           }
           
           // Add the new value to the buffer
-          if (size === buffer.length) {
-            // Need to grow the buffer
-            const newBuffer = new Array(Math.max(1, buffer.length * 2));
-            for (let i = 0; i < size; i++) {
-              newBuffer[i] = buffer[(head + i) % buffer.length];
+          if (compareItems) {
+            insertByPriority(buffer, value, compareItems);
+          } else {
+            if (size === buffer.length) {
+              // Need to grow the buffer
+              const newBuffer = new Array(Math.max(1, buffer.length * 2));
+              for (let i = 0; i < size; i++) {
+                newBuffer[i] = buffer[(head + i) % buffer.length];
+              }
+              buffer = newBuffer;
+              head = 0;
+              tail = size;
             }
-            buffer = newBuffer;
-            head = 0;
-            tail = size;
+            
+            buffer[tail] = value;
+            tail = (tail + 1) % buffer.length;
           }
-          
-          buffer[tail] = value;
-          tail = (tail + 1) % buffer.length;
           size++;
+          checkWaterMarks();
           
           // Notify any waiting consumers
-          if (resolveNext) {
-            const value = buffer[head];
+          if (isWaiting && resolveNext) {
+            const value = shift();
+            checkWaterMarks();
             const r = resolveNext;
             resetNextPromise();
             r({ value, done: false });
           }
+          
+          // Don't pull from the source again until the consumer catches up
+          while (shouldWait()) {
+            await new Promise((resolve) => {
+              resumePull = resolve;
+            });
+          }
         }
         
         // Mark as done if not already done
         if (!isDone) {
           isDone = true;
-          if (resolveNext) {
+          if (isWaiting && resolveNext) {
             const r = resolveNext;
             resetNextPromise();
             r({ value: undefined, done: true });
@@ -156,9 +289,10 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
       // Clean up the buffer
       buffer = [];
       head = tail = size = 0;
+      resume();
       
       // Notify any waiting consumers
-      if (resolveNext) {
+      if (isWaiting && resolveNext) {
         const r = resolveNext;
         resetNextPromise();
         r(Promise.reject(error));
@@ -167,24 +301,17 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
       // Clean up the abort listener
       abortCleanup?.();
       
-      // Abort the source iteration if possible
-      if (pullController) {
-        pullController.abort();
-        pullController = null;
-      }
+      // Stop the source iteration
+      stopSource();
     };
     
     // Start pulling from source
     if (!isDone && !error) {
-      // Use AbortController if the source supports it
-      if (typeof sourceIterable.return === 'function') {
-        pullController = new AbortController();
-      }
       pullFromSource().catch(() => {});
     }
 
     // Return an async iterable that cleans up when done
-    return {
+    const iterator = {
       [Symbol.asyncIterator]() {
         return this;
       },
@@ -192,11 +319,9 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
       async next() {
         // Fast path: buffer has items available
         if (size > 0) {
-          const value = buffer[head];
-          // Help GC by clearing the reference
-          buffer[head] = undefined;
-          head = (head + 1) % buffer.length;
-          size--;
+          const value = shift();
+          checkWaterMarks();
+          resume();
           
           // Start pulling the next value if needed
           if (size === 0 && !isPulling && !isDone) {
@@ -213,6 +338,7 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
         }
         
         // Wait for the next value or for the source to complete
+        isWaiting = true;
         const result = await nextPromise;
         
         // Start pulling the next value
@@ -231,18 +357,20 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
         // Clean up resources
         buffer = [];
         head = tail = size = 0;
+        resume();
+        if (paused) {
+          paused = false;
+          onResume?.();
+        }
         
         // Clean up the abort listener
         abortCleanup?.();
         
-        // Abort the source iteration if possible
-        if (pullController) {
-          pullController.abort();
-          pullController = null;
-        }
+        // Stop the source iteration
+        stopSource();
         
         // Notify any waiting consumers
-        if (resolveNext) {
+        if (isWaiting && resolveNext) {
           const r = resolveNext;
           resetNextPromise();
           r({ value: undefined, done: true });
@@ -256,6 +384,9 @@ export function withQueue({ queueLimit = 0, onOverflow = QUEUE_POLICIES.THROW, s
         throw err;
       }
     };
+    
+    // `using` declarations end the queue and stop the source on disposal
+    return addDisposers(iterator, () => iterator.return());
   };
 }
 
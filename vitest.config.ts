@@ -27,7 +27,8 @@ export default defineConfig({
     },
     include: [
       'packages/**/src/**/*.{test,spec}.{js,ts,tsx}',
-      'packages/**/tests/**/*.{test,spec}.{js,ts,tsx}'
+      'packages/**/tests/**/*.{test,spec}.{js,ts,tsx}',
+      'src/**/*.{test,spec}.{js,ts}'
     ],
     exclude: [
       'node_modules/',